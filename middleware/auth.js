@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { userService } from '../services/userService.js';
+
+function readApiKey(req) {
+  const header = req.get('Authorization');
+  if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+  return req.get('X-API-Key') || null;
+}
+
+/**
+ * Populate req.user from an API key (server-to-server) or the logged-in session.
+ * An API key that does not match is rejected instead of falling back to the session.
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const apiKey = readApiKey(req);
+    if (apiKey) {
+      const user = await userService.authenticateApiKey(apiKey);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      req.user = user;
+      req.authMethod = 'api_key';
+      return next();
+    }
+
+    if (req.session?.userId) {
+      req.user = await userService.getById(req.session.userId);
+      req.authMethod = req.user ? 'session' : undefined;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+/**
+ * Operator-only endpoints: the X-Admin-Token header must match ADMIN_TOKEN.
+ * They are disabled entirely when ADMIN_TOKEN is not set.
+ */
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled' });
+  }
+  const token = Buffer.from(req.get('X-Admin-Token') || '');
+  const secret = Buffer.from(expected);
+  if (token.length !== secret.length || !crypto.timingSafeEqual(token, secret)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+/**
+ * Identity used for per-user state (rate limits, saved searches): the user when
+ * authenticated, otherwise the session.
+ */
+export function identityOf(req) {
+  return req.user ? `user:${req.user.id}` : req.sessionID;
+}
+
+/**
+ * Rate limit tier for a request. Accounts use their subscription status; anonymous
+ * sessions are always on the anonymous tier.
+ */
+export async function resolveTier(req) {
+  return userService.getTier(req.user);
+}
@@ -0,0 +1,36 @@
+import { randomUUID } from 'crypto';
+import { runWithContext } from '../utils/requestContext.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+
+// Accept a caller's ID (e.g. from a load balancer) only if it is short and plain
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * Give every request an ID (X-Request-Id, echoed back) that is attached to all of its
+ * log lines, then log and time the request when it finishes.
+ */
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      // Route patterns, not raw paths, so IDs in URLs don't each become a series
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      metrics.httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, durationMs / 1000);
+      logger.info(`➡️ ${req.method} ${req.path} ${res.statusCode}`, {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+      });
+    });
+    next();
+  });
+}
@@ -0,0 +1,53 @@
+import express from 'express';
+import { userService } from '../services/userService.js';
+import { requireUser } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+export const accountRouter = express.Router();
+
+accountRouter.use(requireUser);
+
+accountRouter.get('/history', async (req, res) => {
+  try {
+    res.json({ history: await userService.getHistory(req.user.id) });
+  } catch (error) {
+    logger.error('❌ Search history error', error);
+    res.status(500).json({ error: 'Failed to load search history', message: error.message });
+  }
+});
+
+accountRouter.get('/api-keys', async (req, res) => {
+  try {
+    res.json({ apiKeys: await userService.listApiKeys(req.user.id) });
+  } catch (error) {
+    logger.error('❌ List API keys error', error);
+    res.status(500).json({ error: 'Failed to list API keys', message: error.message });
+  }
+});
+
+accountRouter.post('/api-keys', async (req, res) => {
+  try {
+    const created = await userService.createApiKey(req.user.id, req.body?.name);
+    if (!created) {
+      return res.status(409).json({ error: 'API key limit reached' });
+    }
+    // The full key is only returned here
+    res.status(201).json(created);
+  } catch (error) {
+    logger.error('❌ Create API key error', error);
+    res.status(500).json({ error: 'Failed to create API key', message: error.message });
+  }
+});
+
+accountRouter.delete('/api-keys/:id', async (req, res) => {
+  try {
+    const revoked = await userService.revokeApiKey(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Revoke API key error', error);
+    res.status(500).json({ error: 'Failed to revoke API key', message: error.message });
+  }
+});
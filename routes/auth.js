@@ -0,0 +1,71 @@
+import express from 'express';
+import { userService } from '../services/userService.js';
+import { requireUser } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+export const authRouter = express.Router();
+
+function startSession(req, userId) {
+  return new Promise((resolve, reject) => {
+    // New session id on login to prevent session fixation
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      req.session.userId = userId;
+      resolve();
+    });
+  });
+}
+
+authRouter.post('/register', async (req, res) => {
+  try {
+    const validationError = userService.validateCredentials(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const user = await userService.register(req.body);
+    if (!user) {
+      return res.status(409).json({ error: 'Email is already registered' });
+    }
+
+    await startSession(req, user.id);
+    res.status(201).json({ user });
+  } catch (error) {
+    logger.error('❌ Register error', error);
+    res.status(500).json({ error: 'Registration failed', message: error.message });
+  }
+});
+
+authRouter.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await userService.authenticate({ email, password });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await startSession(req, user.id);
+    res.json({ user });
+  } catch (error) {
+    logger.error('❌ Login error', error);
+    res.status(500).json({ error: 'Login failed', message: error.message });
+  }
+});
+
+authRouter.post('/logout', (req, res) => {
+  req.session.destroy(error => {
+    if (error) {
+      logger.error('❌ Logout error', error);
+      return res.status(500).json({ error: 'Logout failed', message: error.message });
+    }
+    res.status(204).end();
+  });
+});
+
+authRouter.get('/me', requireUser, (req, res) => {
+  res.json({ user: req.user, tier: userService.getTier(req.user) });
+});
@@ -0,0 +1,63 @@
+import express from 'express';
+import { billingService } from '../services/billingService.js';
+import { requireUser } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+export const billingRouter = express.Router();
+
+function requireBilling(req, res, next) {
+  if (!billingService.isConfigured()) {
+    return res.status(503).json({ error: 'Billing is not configured' });
+  }
+  next();
+}
+
+// Subscriptions belong to accounts, so checkout and the portal need a signed-in user
+billingRouter.post('/create-checkout-session', requireUser, requireBilling, async (req, res) => {
+  try {
+    const session = await billingService.createCheckoutSession(req.user);
+    res.json({ id: session.id, url: session.url });
+  } catch (error) {
+    logger.error('❌ Checkout session error', error);
+    res.status(500).json({ error: 'Failed to create checkout session', message: error.message });
+  }
+});
+
+billingRouter.post('/create-portal-session', requireUser, requireBilling, async (req, res) => {
+  try {
+    const session = await billingService.createPortalSession(req.user);
+    if (!session) {
+      return res.status(404).json({ error: 'No subscription found' });
+    }
+    res.json({ url: session.url });
+  } catch (error) {
+    logger.error('❌ Billing portal error', error);
+    res.status(500).json({ error: 'Failed to create billing portal session', message: error.message });
+  }
+});
+
+/**
+ * Stripe webhook endpoint. Needs the raw request body for signature checks, so it is
+ * mounted with express.raw() ahead of the JSON body parser.
+ */
+export async function stripeWebhookHandler(req, res) {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Stripe webhooks are not configured' });
+  }
+
+  let event;
+  try {
+    event = billingService.constructEvent(req.body, req.get('Stripe-Signature'));
+  } catch (error) {
+    logger.error('❌ Stripe webhook signature error', error.message);
+    return res.status(400).json({ error: 'Invalid Stripe signature' });
+  }
+
+  try {
+    await billingService.handleEvent(event);
+    res.json({ received: true });
+  } catch (error) {
+    logger.error('❌ Stripe webhook error', error);
+    res.status(500).json({ error: 'Webhook handling failed', message: error.message });
+  }
+}
@@ -0,0 +1,155 @@
+import express from 'express';
+import { batchJobService } from '../services/batchJobService.js';
+import { currencyService } from '../services/currencyService.js';
+import { marketplaceRegistry } from '../services/marketplaceRegistry.js';
+import { parseSearchFilters, fromQueryString } from '../utils/searchFilters.js';
+import { DEFAULT_REGION, validateRegion } from '../utils/regions.js';
+import { parseWantlist } from '../utils/wantlist.js';
+import { identityOf } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+export const jobsRouter = express.Router();
+
+// Wantlist uploads can be posted as the raw CSV body, with the search options in the query string
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+/**
+ * Read the batch items and options from either a JSON body
+ * ({ terms: [...] } or { csv: "..." }, plus location/currency/filters) or an uploaded CSV.
+ * @returns {{ items, source, options } | { error: string }}
+ */
+function parseBatchRequest(req) {
+  if (typeof req.body === 'string') {
+    const { format, items } = parseWantlist(req.body);
+    return { items, source: format, options: fromQueryString(req.query) };
+  }
+
+  const { terms, csv, ...options } = req.body || {};
+  if (typeof csv === 'string') {
+    const { format, items } = parseWantlist(csv);
+    return { items, source: format, options };
+  }
+  if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+    return { error: 'Send terms as an array of strings, csv as a string, or a text/csv body' };
+  }
+  return { items: terms.map(term => ({ term })), source: 'terms', options };
+}
+
+jobsRouter.post('/batch-search', csvBody, async (req, res) => {
+  try {
+    const parsed = parseBatchRequest(req);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Duplicate wantlist rows would only repeat the same search; the first one wins
+    const byTerm = new Map();
+    for (const item of parsed.items) {
+      const term = item.term.trim().replace(/\s+/g, ' ');
+      if (term && !byTerm.has(term.toLowerCase())) byTerm.set(term.toLowerCase(), { ...item, term });
+    }
+    const items = [...byTerm.values()];
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No search terms found' });
+    }
+    const inverted = items.find(item => item.minPrice !== undefined && item.maxPrice !== undefined && item.minPrice > item.maxPrice);
+    if (inverted) {
+      return res.status(400).json({ error: `min_price cannot be greater than max_price (item "${inverted.term}")` });
+    }
+    if (items.length > batchJobService.maxItems) {
+      return res.status(400).json({ error: `A batch can have at most ${batchJobService.maxItems} items (got ${items.length})` });
+    }
+
+    const { filters, error: filterError } = parseSearchFilters(parsed.options, marketplaceRegistry.names());
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    const { region, error: regionError } = validateRegion(parsed.options.location ?? DEFAULT_REGION, filters);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+    const { currency, error: currencyError } = await currencyService.validateCurrency(parsed.options.currency, region.currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const job = await batchJobService.create(identityOf(req), {
+      items,
+      location: region.code,
+      currency,
+      filters,
+      source: parsed.source,
+    }, { ip: req.ip });
+    if (!job) {
+      return res.status(409).json({ error: `Limit of ${batchJobService.maxActivePerOwner} unfinished batch jobs reached` });
+    }
+
+    res.status(202).location(`${req.baseUrl}/${job.id}`).json(job);
+  } catch (error) {
+    logger.error('❌ Create batch job error', error);
+    res.status(500).json({ error: 'Failed to queue batch search', message: error.message });
+  }
+});
+
+jobsRouter.get('/', async (req, res) => {
+  try {
+    res.json({ jobs: await batchJobService.list(identityOf(req)) });
+  } catch (error) {
+    logger.error('❌ List batch jobs error', error);
+    res.status(500).json({ error: 'Failed to list batch jobs', message: error.message });
+  }
+});
+
+jobsRouter.get('/:id', async (req, res) => {
+  try {
+    const job = await batchJobService.get(identityOf(req), req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    logger.error('❌ Get batch job error', error);
+    res.status(500).json({ error: 'Failed to load batch job', message: error.message });
+  }
+});
+
+// Download per-item results once the job has finished: ?format=json (default) or csv
+jobsRouter.get('/:id/results', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const result = await batchJobService.getResults(identityOf(req), req.params.id, { format });
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.body === null) {
+      return res.status(409).json({ error: 'Job has not finished yet', job: result.job });
+    }
+
+    res.attachment(`batch-${result.job.id}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(result.body);
+    } else {
+      res.json(result.body);
+    }
+  } catch (error) {
+    logger.error('❌ Batch job results error', error);
+    res.status(500).json({ error: 'Failed to load batch job results', message: error.message });
+  }
+});
+
+jobsRouter.delete('/:id', async (req, res) => {
+  try {
+    const removed = await batchJobService.remove(identityOf(req), req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Delete batch job error', error);
+    res.status(500).json({ error: 'Failed to delete batch job', message: error.message });
+  }
+});
@@ -0,0 +1,130 @@
+import express from 'express';
+import { savedSearchService } from '../services/savedSearchService.js';
+import { marketplaceRegistry } from '../services/marketplaceRegistry.js';
+import { currencyService } from '../services/currencyService.js';
+import { webhookService } from '../services/webhookService.js';
+import { parseSearchFilters } from '../utils/searchFilters.js';
+import { identityOf, requireUser } from '../middleware/auth.js';
+import { DEFAULT_REGION, validateRegion } from '../utils/regions.js';
+import { logger } from '../utils/logger.js';
+
+export const savedSearchesRouter = express.Router();
+
+// Scheduled runs are charged to the owner's account, so anonymous sessions can't save searches
+savedSearchesRouter.use(requireUser);
+
+const FILTER_FIELDS = [
+  'min_price', 'max_price', 'condition', 'listing_type', 'item_location', 'sources', 'exclude_sources',
+  'exclude_keywords', 'sort', 'min_score', 'timeout_ms', 'postcode', 'radius_km',
+];
+
+savedSearchesRouter.get('/', async (req, res) => {
+  try {
+    res.json({ savedSearches: await savedSearchService.list(identityOf(req)) });
+  } catch (error) {
+    logger.error('❌ List saved searches error', error);
+    res.status(500).json({ error: 'Failed to list saved searches', message: error.message });
+  }
+});
+
+savedSearchesRouter.post('/', async (req, res) => {
+  try {
+    const validationError = savedSearchService.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const webhookError = req.body.webhook_url ? await webhookService.checkUrl(req.body.webhook_url) : null;
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+    const { filters, error: filterError } = parseSearchFilters(req.body, marketplaceRegistry.names());
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+    const { region, error: regionError } = validateRegion(req.body.location ?? DEFAULT_REGION, filters);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+    const { currency, error: currencyError } = await currencyService.validateCurrency(req.body.currency, region.currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const savedSearch = await savedSearchService.create(identityOf(req), { ...req.body, currency }, filters);
+    if (!savedSearch) {
+      return res.status(409).json({ error: `Saved search limit of ${savedSearchService.maxPerOwner} reached` });
+    }
+    res.status(201).json(savedSearch);
+  } catch (error) {
+    logger.error('❌ Create saved search error', error);
+    res.status(500).json({ error: 'Failed to save search', message: error.message });
+  }
+});
+
+savedSearchesRouter.get('/:id', async (req, res) => {
+  try {
+    const savedSearch = await savedSearchService.get(identityOf(req), req.params.id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json(savedSearch);
+  } catch (error) {
+    logger.error('❌ Get saved search error', error);
+    res.status(500).json({ error: 'Failed to load saved search', message: error.message });
+  }
+});
+
+savedSearchesRouter.patch('/:id', async (req, res) => {
+  try {
+    const validationError = savedSearchService.validate(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const webhookError = req.body.webhook_url ? await webhookService.checkUrl(req.body.webhook_url) : null;
+    if (webhookError) {
+      return res.status(400).json({ error: webhookError });
+    }
+
+    // An empty currency goes back to the region's own
+    let changes = req.body;
+    if (req.body.currency !== undefined) {
+      const { currency, error: currencyError } = await currencyService.validateCurrency(req.body.currency, null);
+      if (currencyError) {
+        return res.status(400).json({ error: currencyError });
+      }
+      changes = { ...req.body, currency };
+    }
+
+    // Filters are replaced as a whole when any filter field is sent
+    let filters;
+    if (FILTER_FIELDS.some(field => field in req.body)) {
+      const parsed = parseSearchFilters(req.body, marketplaceRegistry.names());
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      filters = parsed.filters;
+    }
+
+    const savedSearch = await savedSearchService.update(identityOf(req), req.params.id, changes, filters);
+    if (!savedSearch) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json(savedSearch);
+  } catch (error) {
+    logger.error('❌ Update saved search error', error);
+    res.status(500).json({ error: 'Failed to update saved search', message: error.message });
+  }
+});
+
+savedSearchesRouter.delete('/:id', async (req, res) => {
+  try {
+    const removed = await savedSearchService.remove(identityOf(req), req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error('❌ Delete saved search error', error);
+    res.status(500).json({ error: 'Failed to delete saved search', message: error.message });
+  }
+});
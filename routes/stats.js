@@ -0,0 +1,30 @@
+import express from 'express';
+import { llmService } from '../services/llmService.js';
+import { llmUsageService } from '../services/llmUsageService.js';
+import { fetchService } from '../services/fetchService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { logger } from '../utils/logger.js';
+
+export const statsRouter = express.Router();
+
+statsRouter.use(requireAdmin);
+
+// Query enhancement requests, cache hits, tokens and cost per day
+statsRouter.get('/llm', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    res.json({
+      provider: llmService.describe(),
+      cache: await llmService.getCacheInfo(),
+      ...await llmUsageService.getStats({ days }),
+    });
+  } catch (error) {
+    logger.error('❌ LLM stats error', error);
+    res.status(500).json({ error: 'Failed to load LLM stats', message: error.message });
+  }
+});
+
+// Requests, retries, ScrapingBee credits and circuit breaker state per host since startup
+statsRouter.get('/fetch', (req, res) => {
+  res.json(fetchService.getStats());
+});
@@ -1,5 +1,4 @@
-import dotenv from 'dotenv';
-dotenv.config();
+import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
@@ -7,15 +6,50 @@ import session from 'express-session';
 import { searchService } from './services/searchService.js';
 import * as nicheSearchService from './services/nicheSearchService.js'; // import all to access searchNicheMarketplaces
 import { rateLimitService } from './services/rateLimitService.js';
+import { marketplaceRegistry } from './services/marketplaceRegistry.js';
+import { sourceHealthService } from './services/sourceHealthService.js';
+import { ebayApiService } from './services/ebayApiService.js';
+import { fetchService } from './services/fetchService.js';
+import { parseSearchFilters, fromQueryString } from './utils/searchFilters.js';
+import { DEFAULT_REGION, validateRegion, describeRegion, isValidPostcode, normalizePostcode } from './utils/regions.js';
+import { ListingNotFoundError } from './utils/errors.js';
+import { savedSearchService } from './services/savedSearchService.js';
+import { savedSearchesRouter } from './routes/savedSearches.js';
+import { batchJobService } from './services/batchJobService.js';
+import { jobsRouter } from './routes/jobs.js';
+import { authRouter } from './routes/auth.js';
+import { accountRouter } from './routes/account.js';
+import { authenticate, identityOf, resolveTier } from './middleware/auth.js';
+import { billingRouter, stripeWebhookHandler } from './routes/billing.js';
+import { billingService } from './services/billingService.js';
+import { userService } from './services/userService.js';
+import { llmService } from './services/llmService.js';
+import { priceHistoryService } from './services/priceHistoryService.js';
+import { listingDetailService } from './services/listingDetailService.js';
+import { currencyService } from './services/currencyService.js';
+import { statsRouter } from './routes/stats.js';
+import { requestContext } from './middleware/requestContext.js';
+import { logger } from './utils/logger.js';
+import { registry as metricsRegistry } from './utils/metrics.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Rate limits count per client IP. X-Forwarded-For is only believed for the proxy hops
+// configured here; with no proxy in front a client could set it to dodge its IP limits.
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS) || false);
+
+// Request IDs, access logs and HTTP timings for everything below
+app.use(requestContext);
+
 app.use(cors({
   origin: 'https://hunta.uk',
   credentials: true,
 }));
 
+// Stripe signs the raw body, so the webhook is registered before the JSON parser
+app.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhookHandler);
+
 app.use(express.json());
 
 app.use(session({
@@ -28,6 +62,25 @@ app.use(session({
   }
 }));
 
+// Prometheus scrape endpoint. Registered before authenticate, which would read a
+// METRICS_TOKEN bearer token as an API key.
+app.get('/metrics', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+  try {
+    res.set('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (error) {
+    logger.error('❌ Metrics error', error);
+    res.status(500).json({ error: 'Failed to collect metrics', message: error.message });
+  }
+});
+
+// Sets req.user from an API key or the logged-in session
+app.use(authenticate);
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({
@@ -36,62 +89,308 @@ app.get('/health', (req, res) => {
     memory: process.memoryUsage(),
     services: {
       openai: process.env.OPENAI_API_KEY ? 'configured' : 'missing',
-      scrapingbee: process.env.SCRAPINGBEE_API_KEY ? 'configured' : 'missing',
-    }
+      llm: llmService.describe(),
+      fetch: `${fetchService.transport.name} (${fetchService.isConfigured() ? 'configured' : 'missing'})`,
+      ebay_api: ebayApiService.isConfigured() ? `configured (${ebayApiService.environment})` : 'missing',
+      stripe: billingService.isConfigured() ? 'configured' : 'missing',
+    },
+    sources: describeSources(),
   });
 });
 
+// Rolling health per marketplace; unconfigured sources are never searched
+function describeSources() {
+  return Object.fromEntries(marketplaceRegistry.names().map(name => {
+    const adapter = marketplaceRegistry.get(name);
+    if (!marketplaceRegistry.isConfigured(adapter)) {
+      return [name, { status: 'unconfigured' }];
+    }
+    return [name, sourceHealthService.getStats(name)];
+  }));
+}
+
+async function parseSearchRequest(input) {
+  const { search_term, location = DEFAULT_REGION } = input;
+
+  if (!search_term || typeof search_term !== 'string') {
+    return { error: 'Invalid search term' };
+  }
+
+  const { filters, error } = parseSearchFilters(input, marketplaceRegistry.names());
+  if (error) {
+    return { error };
+  }
+
+  const { region, error: regionError } = validateRegion(location, filters);
+  if (regionError) {
+    return { error: regionError };
+  }
+
+  // Prices default to the region's own currency
+  const { currency, error: currencyError } = await currencyService.validateCurrency(input.currency, region.currency);
+  if (currencyError) {
+    return { error: currencyError };
+  }
+  return { searchTerm: search_term.trim(), location: region.code, currency, filters };
+}
+
+// Counts the request against a daily quota bucket and sets the RateLimit-* headers.
+// Resolves to the rate limit status, or null after sending a 429.
+async function checkRateLimit(req, res, bucket) {
+  const rateLimit = await rateLimitService.consume(bucket, {
+    identity: identityOf(req) || 'anonymous',
+    ip: req.ip,
+    tier: await resolveTier(req),
+  });
+
+  if (rateLimit.limit !== null) {
+    res.set({
+      'RateLimit-Limit': String(rateLimit.limit),
+      'RateLimit-Remaining': String(rateLimit.remaining),
+      'RateLimit-Reset': String(rateLimit.resetSeconds),
+    });
+  }
+
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', String(rateLimit.resetSeconds));
+    res.status(429).json({
+      error: 'Daily limit exceeded',
+      resetTime: rateLimit.resetTime,
+      upgradeUrl: '/api/create-checkout-session'
+    });
+    return null;
+  }
+  return rateLimit;
+}
+
+function recordHistory(req, search, resultCount) {
+  if (!req.user) return;
+  const { searchTerm, location, currency, filters } = search;
+  userService.recordSearch(req.user.id, { searchTerm, location, currency, filters, resultCount })
+    .catch(error => logger.error('❌ Search history error', error));
+}
+
 // Main search endpoint
 app.post('/search', async (req, res) => {
   try {
-    const { search_term, location = 'UK', currency = 'GBP' } = req.body;
-
-    if (!search_term || typeof search_term !== 'string') {
-      return res.status(400).json({ error: 'Invalid search term' });
+    const search = await parseSearchRequest(req.body);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
     }
 
-    const userIdentifier = req.sessionID || req.ip || 'anonymous';
-    const isSubscribed = false; // Add auth logic if needed
+    const rateLimit = await checkRateLimit(req, res, 'search');
+    if (!rateLimit) return;
 
-    const rateLimit = await rateLimitService.checkDailyLimit(userIdentifier, isSubscribed);
-    if (!rateLimit.allowed) {
-      return res.status(429).json({
-        error: 'Daily limit exceeded',
-        resetTime: rateLimit.resetTime,
-        upgradeUrl: '/api/create-checkout-session'
-      });
-    }
-
-    const results = await searchService.performSearch(search_term.trim(), location.trim(), currency);
+    const { listings, cache, understanding, skipped, completion, region } = await searchService.performSearch(search.searchTerm, search.location, search.currency, search.filters);
+    recordHistory(req, search, listings.length);
 
     res.json({
-      listings: results,
+      listings,
+      cache,
+      understanding,
+      skipped,
+      completion,
+      region,
       searchesRemaining: rateLimit.remaining,
       resetTime: rateLimit.resetTime,
     });
 
   } catch (err) {
-    console.error('Search error:', err);
+    logger.error('❌ Search error', err);
     res.status(500).json({ error: 'Search failed', message: err.message });
   }
 });
 
+// Streaming search: one Server-Sent Event per source/term as it finishes, then the merged list.
+// Takes the same fields as /search in the query string so EventSource can call it.
+app.get('/search/stream', async (req, res) => {
+  let search;
+  let rateLimit;
+  try {
+    search = await parseSearchRequest(fromQueryString(req.query));
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+    rateLimit = await checkRateLimit(req, res, 'search');
+    if (!rateLimit) return;
+  } catch (err) {
+    logger.error('❌ Search stream error', err);
+    return res.status(500).json({ error: 'Search failed', message: err.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop upstream marketplace requests as soon as the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { listings, cache, understanding, skipped, completion, region } = await searchService.performSearch(
+      search.searchTerm,
+      search.location,
+      search.currency,
+      search.filters,
+      {
+        signal: controller.signal,
+        onSourceResult: ({ source, term, status, listings: sourceListings, durationMs, cache: sourceCache, error }) => {
+          sendEvent('source', {
+            source,
+            term,
+            status,
+            count: sourceListings.length,
+            durationMs,
+            cache: sourceCache,
+            error,
+            listings: sourceListings,
+          });
+        },
+      }
+    );
+
+    recordHistory(req, search, listings.length);
+    sendEvent('done', {
+      listings,
+      cache,
+      understanding,
+      skipped,
+      completion,
+      region,
+      searchesRemaining: rateLimit.remaining,
+      resetTime: rateLimit.resetTime,
+    });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    logger.error('❌ Search stream error', err);
+    sendEvent('error', { error: 'Search failed', message: err.message });
+  }
+  res.end();
+});
+
 // Niche marketplaces search endpoint using Puppeteer
 app.post('/search-niche', async (req, res) => {
   try {
-    const { search_term } = req.body;
+    const { search_term, location = DEFAULT_REGION } = req.body;
     if (!search_term || typeof search_term !== 'string') {
       return res.status(400).json({ error: 'Invalid search term' });
     }
+    const { region, error: regionError } = validateRegion(location);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+
+    const rateLimit = await checkRateLimit(req, res, 'niche');
+    if (!rateLimit) return;
 
-    const listings = await nicheSearchService.searchNicheMarketplaces(search_term.trim());
-    res.json({ listings });
+    const listings = await nicheSearchService.searchNicheMarketplaces(search_term.trim(), { region });
+    res.json({
+      listings,
+      region: describeRegion(region),
+      searchesRemaining: rateLimit.remaining,
+      resetTime: rateLimit.resetTime,
+    });
   } catch (error) {
-    console.error('Niche search error:', error);
+    logger.error('❌ Niche search error', error);
     res.status(500).json({ error: 'Niche search failed', message: error.message });
   }
 });
 
+// One listing's details and landed cost (item + postage + import charges) in the user's currency
+app.get('/listing', async (req, res) => {
+  try {
+    const { url, location = DEFAULT_REGION, postcode } = req.query;
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ error: 'url is required' });
+    }
+    if (!listingDetailService.identify(url)) {
+      return res.status(400).json({ error: 'url is not a listing on a supported marketplace' });
+    }
+    if (postcode !== undefined && typeof postcode !== 'string') {
+      return res.status(400).json({ error: 'postcode must be a string' });
+    }
+    const { region, error: regionError } = validateRegion(location);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+    if (postcode && !isValidPostcode(region, postcode)) {
+      return res.status(400).json({ error: `postcode is not a valid ${region.name} postcode` });
+    }
+    const { currency, error: currencyError } = await currencyService.validateCurrency(req.query.currency, region.currency);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const rateLimit = await checkRateLimit(req, res, 'listing');
+    if (!rateLimit) return;
+
+    const shipTo = { postcode: postcode ? normalizePostcode(postcode) : undefined };
+    const listing = await listingDetailService.getListing(url, { region, currency, ...shipTo });
+    res.json({
+      listing,
+      region: describeRegion(region, shipTo),
+      searchesRemaining: rateLimit.remaining,
+      resetTime: rateLimit.resetTime,
+    });
+  } catch (error) {
+    if (error instanceof ListingNotFoundError) {
+      return res.status(404).json({ error: 'Listing not found', message: error.message });
+    }
+    logger.error('❌ Listing detail error', error);
+    res.status(500).json({ error: 'Failed to load listing', message: error.message });
+  }
+});
+
+// Price history for a search term: daily min/median/max over the last `days` days
+app.get('/price-history', async (req, res) => {
+  try {
+    const { q, currency = 'GBP' } = req.query;
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    const days = req.query.days === undefined ? 90 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      return res.status(400).json({ error: 'days must be a whole number between 1 and 90' });
+    }
+
+    const history = await priceHistoryService.getHistory(q, { days, currency: String(currency) });
+    if (!history) {
+      return res.status(400).json({ error: `Unsupported currency: ${currency}` });
+    }
+    res.json(history);
+  } catch (error) {
+    logger.error('❌ Price history error', error);
+    res.status(500).json({ error: 'Failed to load price history', message: error.message });
+  }
+});
+
+// Accounts: session login, API keys and search history
+app.use('/auth', authRouter);
+app.use('/account', accountRouter);
+
+// Stripe checkout and billing portal (the upgradeUrl in 429 responses)
+app.use('/api', billingRouter);
+
+// Saved searches, re-run on a schedule with new-listing webhooks
+app.use('/saved-searches', savedSearchesRouter);
+
+// Batch/wantlist searches, run in the background with progress and downloadable results
+app.use('/jobs', jobsRouter);
+
+// Operator stats (ADMIN_TOKEN): query enhancement cost per day
+app.use('/stats', statsRouter);
+
 app.listen(PORT, () => {
-  console.log(`Hunta backend running on port ${PORT}`);
+  logger.info(`🚀 Hunta backend running on port ${PORT}`);
+  savedSearchService.startScheduler();
+  batchJobService.startWorker().catch(error => logger.error('❌ Batch job worker failed to start', error));
 });
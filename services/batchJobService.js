@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import { searchService } from './searchService.js';
+import { rateLimitService } from './rateLimitService.js';
+import { userService } from './userService.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { logger } from '../utils/logger.js';
+import { runWithContext, runWithoutContext } from '../utils/requestContext.js';
+import { toCsv } from '../utils/csv.js';
+
+// Items run one at a time across all jobs, with a pause between them, so a big
+// wantlist can't crowd out interactive searches or burn through scraping credits
+const ITEM_DELAY_MS = Number(process.env.BATCH_ITEM_DELAY_MS) || 2000;
+const MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 200;
+const MAX_ACTIVE_JOBS_PER_OWNER = Number(process.env.BATCH_MAX_ACTIVE_JOBS) || 2;
+const RESULTS_PER_ITEM = Number(process.env.BATCH_RESULTS_PER_ITEM) || 10;
+const RETENTION_DAYS = Number(process.env.BATCH_JOB_RETENTION_DAYS) || 7;
+const IDLE_POLL_MS = 30 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+const RESULT_COLUMNS = ['term', 'status', 'rank', 'title', 'price', 'price_currency', 'converted_price', 'currency', 'source', 'condition', 'score', 'link', 'error'];
+
+function summarizeListing(listing) {
+  const { title, link, source, condition, price, convertedPrice, score } = listing;
+  return { title, link, source, condition: condition ?? null, price, convertedPrice: convertedPrice ?? null, score: score ?? null };
+}
+
+// Owners are `user:<id>` for accounts (identityOf) and the session ID otherwise. The tier is
+// looked up when each item runs, so an upgrade or a cancelled subscription applies to queued jobs
+async function currentTier(ownerId) {
+  const [kind, id] = String(ownerId).split(':');
+  const user = kind === 'user' && id ? await userService.getById(id) : null;
+  return userService.getTier(user);
+}
+
+// Strip rate-limit identity and per-item listings before handing a job to API callers
+function toPublic(job) {
+  const { ownerId, ip, items, ...rest } = job;
+  const done = items.filter(item => item.status === 'completed' || item.status === 'failed').length;
+  return {
+    ...rest,
+    progress: {
+      total: items.length,
+      completed: items.filter(item => item.status === 'completed').length,
+      failed: items.filter(item => item.status === 'failed').length,
+      pending: items.length - done,
+      percent: items.length ? Math.round((done / items.length) * 100) : 100,
+    },
+    items: items.map(({ listings, ...item }) => item),
+  };
+}
+
+class BatchJobService {
+  constructor(store = new JsonFileStore('batch-jobs.json', { jobs: [] })) {
+    this.store = store;
+    this.timer = null;
+    this.running = false;
+    this.started = false;
+  }
+
+  get maxItems() {
+    return MAX_ITEMS;
+  }
+
+  get maxActivePerOwner() {
+    return MAX_ACTIVE_JOBS_PER_OWNER;
+  }
+
+  /**
+   * Queue a batch of searches.
+   * @param {string} ownerId identityOf(req)
+   * @param {object} spec { items: [{ term, minPrice, maxPrice }], location, currency, filters, source }
+   *   Per-item prices override the job's filters; source says where the items came from
+   *   ('terms', 'csv', 'discogs' or 'list').
+   * @param {object} requester { ip } each item is counted against the owner's and this IP's `batch` bucket
+   * @returns {Promise<object|null>} null when the owner already has the maximum number of active jobs
+   */
+  async create(ownerId, { items, location, currency, filters = {}, source = 'terms' }, { ip } = {}) {
+    const job = await this.store.update(data => {
+      const active = data.jobs.filter(j => j.ownerId === ownerId && ACTIVE_STATUSES.includes(j.status));
+      if (active.length >= MAX_ACTIVE_JOBS_PER_OWNER) return null;
+
+      const job = {
+        id: crypto.randomUUID(),
+        ownerId,
+        ip,
+        status: 'queued',
+        source,
+        location,
+        currency,
+        filters,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        resumeAt: null,
+        lastItemAt: null,
+        items: items.map(({ term, minPrice, maxPrice }) => ({
+          term,
+          ...(minPrice !== undefined ? { minPrice } : {}),
+          ...(maxPrice !== undefined ? { maxPrice } : {}),
+          status: 'pending',
+          resultCount: null,
+          error: null,
+          listings: [],
+        })),
+      };
+      data.jobs.push(job);
+      return job;
+    });
+
+    if (job) {
+      logger.info(`🗂️ Queued batch job ${job.id} with ${job.items.length} items`);
+      this.wake();
+    }
+    return job ? toPublic(job) : null;
+  }
+
+  async list(ownerId) {
+    const { jobs } = await this.store.load();
+    return jobs.filter(job => job.ownerId === ownerId).map(toPublic);
+  }
+
+  async get(ownerId, id) {
+    const { jobs } = await this.store.load();
+    const found = jobs.find(job => job.id === id && job.ownerId === ownerId);
+    return found ? toPublic(found) : null;
+  }
+
+  /**
+   * Per-item results of a finished job, as JSON or CSV.
+   * @returns {Promise<{ job: object, body: object|string }|null>} body is null while the job is still running
+   */
+  async getResults(ownerId, id, { format = 'json' } = {}) {
+    const { jobs } = await this.store.load();
+    const job = jobs.find(j => j.id === id && j.ownerId === ownerId);
+    if (!job) return null;
+    if (ACTIVE_STATUSES.includes(job.status)) return { job: toPublic(job), body: null };
+
+    if (format === 'csv') {
+      const rows = job.items.flatMap(item => {
+        const base = { term: item.term, status: item.status, error: item.error };
+        if (item.listings.length === 0) return [base];
+        return item.listings.map((listing, index) => ({
+          ...base,
+          rank: index + 1,
+          title: listing.title,
+          price: listing.price?.amount,
+          price_currency: listing.price?.currency,
+          converted_price: listing.convertedPrice?.amount,
+          currency: listing.convertedPrice?.currency,
+          source: listing.source,
+          condition: listing.condition,
+          score: listing.score,
+          link: listing.link,
+        }));
+      });
+      return { job: toPublic(job), body: toCsv(RESULT_COLUMNS, rows) };
+    }
+
+    return {
+      job: toPublic(job),
+      body: {
+        job: toPublic(job),
+        results: job.items.map(({ term, status, resultCount, error, listings }) => ({ term, status, resultCount, error, listings })),
+      },
+    };
+  }
+
+  // Deleting an active job cancels it; the item in flight finishes but its results are dropped
+  async remove(ownerId, id) {
+    return this.store.update(data => {
+      const before = data.jobs.length;
+      data.jobs = data.jobs.filter(job => !(job.id === id && job.ownerId === ownerId));
+      return data.jobs.length < before;
+    });
+  }
+
+  /**
+   * The next job to take an item from: queued and running jobs, plus paused jobs whose
+   * rate-limit reset has passed, least recently served first so jobs take turns.
+   */
+  nextJob(jobs, now = Date.now()) {
+    return jobs
+      .filter(job => job.status === 'queued' || job.status === 'running'
+        || (job.status === 'paused' && Date.parse(job.resumeAt) <= now))
+      .sort((a, b) => (Date.parse(a.lastItemAt || a.createdAt) || 0) - (Date.parse(b.lastItemAt || b.createdAt) || 0))[0] || null;
+  }
+
+  /**
+   * Run the next pending item of the next job.
+   * @returns {Promise<boolean>} whether an item was run (false when there's nothing to do)
+   */
+  async runNext() {
+    const { jobs } = await this.store.load();
+    const job = this.nextJob(jobs);
+    if (!job) return false;
+
+    const item = job.items.find(i => i.status === 'pending');
+    if (!item) {
+      await this.finish(job);
+      return true;
+    }
+
+    const allowance = await rateLimitService.consume('batch', {
+      identity: job.ownerId || 'anonymous',
+      ip: job.ip,
+      tier: await currentTier(job.ownerId),
+    });
+    if (!allowance.allowed) {
+      await this.store.update(() => {
+        job.status = 'paused';
+        job.resumeAt = allowance.resetTime;
+      });
+      logger.info(`⏸️ Batch job ${job.id} paused until ${allowance.resetTime} (${allowance.tier} batch limit reached)`);
+      return true;
+    }
+
+    await this.store.update(() => {
+      job.status = 'running';
+      job.resumeAt = null;
+      job.startedAt ||= new Date().toISOString();
+      item.status = 'running';
+    });
+
+    await runWithContext({ batchJobId: job.id, term: item.term }, () => this.runItem(job, item));
+    return true;
+  }
+
+  async runItem(job, item) {
+    const filters = {
+      ...job.filters,
+      ...(item.minPrice !== undefined ? { minPrice: item.minPrice } : {}),
+      ...(item.maxPrice !== undefined ? { maxPrice: item.maxPrice } : {}),
+    };
+
+    let outcome;
+    try {
+      const { listings } = await searchService.performSearch(item.term, job.location, job.currency, filters);
+      outcome = { status: 'completed', resultCount: listings.length, error: null, listings: listings.slice(0, RESULTS_PER_ITEM).map(summarizeListing) };
+    } catch (error) {
+      logger.warn(`⚠️ Batch job ${job.id} item "${item.term}" failed: ${error.message}`);
+      outcome = { status: 'failed', resultCount: null, error: error.message, listings: [] };
+    }
+
+    await this.store.update(data => {
+      // The job may have been deleted while the search ran
+      if (!data.jobs.includes(job)) return;
+      Object.assign(item, outcome);
+      job.lastItemAt = new Date().toISOString();
+    });
+
+    if (!job.items.some(i => i.status === 'pending')) {
+      await this.finish(job);
+    }
+  }
+
+  async finish(job) {
+    await this.store.update(data => {
+      if (!data.jobs.includes(job)) return;
+      const failed = job.items.filter(i => i.status === 'failed').length;
+      job.status = job.items.length > 0 && failed === job.items.length ? 'failed' : 'completed';
+      job.finishedAt = new Date().toISOString();
+    });
+    logger.info(`✅ Batch job ${job.id} ${job.status}`);
+  }
+
+  // Items left 'running' by a restart go back in the queue; old finished jobs are dropped
+  async recover(now = Date.now()) {
+    const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    await this.store.update(data => {
+      data.jobs = data.jobs.filter(job => !job.finishedAt || Date.parse(job.finishedAt) >= cutoff);
+      for (const job of data.jobs) {
+        job.items.filter(item => item.status === 'running').forEach(item => { item.status = 'pending'; });
+        // Jobs queued before the tier was looked up per item kept it with the IP in `rateLimit`
+        if (job.rateLimit) {
+          job.ip ??= job.rateLimit.ip;
+          delete job.rateLimit;
+        }
+      }
+    });
+  }
+
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+    let ranItem = false;
+    try {
+      ranItem = await this.runNext();
+    } catch (error) {
+      logger.error('❌ Batch job worker error', error);
+    } finally {
+      this.running = false;
+    }
+    this.schedule(ranItem ? ITEM_DELAY_MS : IDLE_POLL_MS);
+  }
+
+  schedule(delayMs) {
+    if (!this.started) return;
+    clearTimeout(this.timer);
+    // wake() is called from the request that queued a job; its requestId shouldn't follow the worker
+    this.timer = runWithoutContext(() => setTimeout(() => this.tick(), delayMs));
+    this.timer.unref();
+  }
+
+  // New jobs start straight away instead of waiting for the idle poll
+  wake() {
+    if (!this.running) this.schedule(0);
+  }
+
+  async startWorker() {
+    if (this.started) return;
+    this.started = true;
+    await this.recover();
+    logger.info(`🗂️ Batch job worker started (${ITEM_DELAY_MS}ms between items)`);
+    this.schedule(0);
+  }
+
+  stopWorker() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+export const batchJobService = new BatchJobService();
@@ -0,0 +1,188 @@
+import Stripe from 'stripe';
+import { userService } from './userService.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { logger } from '../utils/logger.js';
+
+const APP_URL = process.env.APP_URL || 'https://hunta.uk';
+const ACTIVE_STATUSES = ['active', 'trialing'];
+const MAX_PROCESSED_EVENTS = 1000;
+
+// STRIPE_API_BASE points the client at stripe-mock or another local stand-in
+function createStripeClient() {
+  const options = {};
+  if (process.env.STRIPE_API_BASE) {
+    const base = new URL(process.env.STRIPE_API_BASE);
+    options.host = base.hostname;
+    options.port = base.port;
+    options.protocol = base.protocol.replace(':', '');
+  }
+  return new Stripe(process.env.STRIPE_SECRET_KEY, options);
+}
+
+const userIdentity = user => `user:${user.id}`;
+// Checkouts started before accounts were required carry a session id; those are ignored
+const isUserIdentity = identity => typeof identity === 'string' && identity.startsWith('user:');
+
+class BillingService {
+  constructor(store = new JsonFileStore('subscriptions.json', { subscriptions: {}, processedEvents: [] })) {
+    this.store = store;
+    this.stripe = null;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.STRIPE_SECRET_KEY && process.env.STRIPE_PRO_PRICE_ID);
+  }
+
+  getClient() {
+    if (!this.stripe) this.stripe = createStripeClient();
+    return this.stripe;
+  }
+
+  /**
+   * Start a Stripe Checkout subscription for a signed-in user. Subscriptions are keyed on
+   * `user:<id>`, which travels as client_reference_id and subscription metadata so
+   * webhooks can find the account.
+   */
+  async createCheckoutSession(user) {
+    const identity = userIdentity(user);
+    const existing = await this.getSubscription(identity);
+    const session = await this.getClient().checkout.sessions.create({
+      mode: 'subscription',
+      line_items: [{ price: process.env.STRIPE_PRO_PRICE_ID, quantity: 1 }],
+      client_reference_id: identity,
+      customer: existing?.customerId || undefined,
+      customer_email: existing?.customerId ? undefined : user.email,
+      subscription_data: { metadata: { identity } },
+      success_url: `${APP_URL}/upgrade/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${APP_URL}/upgrade/cancelled`,
+    });
+    logger.info(`💳 Created checkout session ${session.id}`);
+    return session;
+  }
+
+  // Resolves to null when the user has no Stripe customer yet
+  async createPortalSession(user) {
+    const subscription = await this.getSubscription(userIdentity(user));
+    if (!subscription?.customerId) return null;
+    return this.getClient().billingPortal.sessions.create({
+      customer: subscription.customerId,
+      return_url: APP_URL,
+    });
+  }
+
+  async getSubscription(identity) {
+    const { subscriptions } = await this.store.load();
+    return subscriptions[identity] || null;
+  }
+
+  /**
+   * Verify a webhook payload against STRIPE_WEBHOOK_SECRET. Throws on a bad signature.
+   */
+  constructEvent(rawBody, signature) {
+    return this.getClient().webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+  }
+
+  /**
+   * Apply a verified Stripe event. Events are processed once; replays are ignored, and so
+   * is an event older than the last one applied to the same subscription, since Stripe does
+   * not deliver in order. The duplicate check and the change are one store update.
+   * @returns {Promise<boolean>} whether the event changed anything
+   */
+  async handleEvent(event) {
+    const change = subscriptionChange(event);
+
+    const outcome = await this.store.update(data => {
+      if (data.processedEvents.includes(event.id)) return { duplicate: true };
+      data.processedEvents = [event.id, ...data.processedEvents].slice(0, MAX_PROCESSED_EVENTS);
+      if (!change) return {};
+
+      const identity = [change.identity, findIdentityBySubscription(data, change.details.subscriptionId)].find(isUserIdentity);
+      if (!identity) return { unknown: true };
+      const current = data.subscriptions[identity];
+      if (current?.eventCreated > event.created) return { stale: true, identity };
+
+      data.subscriptions[identity] = {
+        ...current,
+        ...change.details,
+        eventCreated: event.created,
+        updatedAt: new Date().toISOString(),
+      };
+      return { identity, subscription: data.subscriptions[identity] };
+    });
+
+    if (outcome.duplicate) {
+      logger.info(`💳 Ignoring already processed Stripe event ${event.id}`);
+    } else if (outcome.stale) {
+      logger.info(`💳 Ignoring Stripe event ${event.id} for ${outcome.identity}: a newer event was already applied`);
+    } else if (outcome.unknown) {
+      logger.warn(`⚠️ No Hunta identity for Stripe event ${event.id} (${event.type})`);
+    } else if (!change) {
+      logger.info(`💳 Stripe event ${event.id} (${event.type}) changes no subscription`);
+    }
+    if (!outcome.subscription) return false;
+
+    await this.syncAccount(outcome.identity, outcome.subscription);
+    return true;
+  }
+
+  async recordSubscription(identity, details) {
+    const subscription = await this.store.update(data => {
+      data.subscriptions[identity] = {
+        ...data.subscriptions[identity],
+        ...details,
+        updatedAt: new Date().toISOString(),
+      };
+      return data.subscriptions[identity];
+    });
+    await this.syncAccount(identity, subscription);
+    return subscription;
+  }
+
+  // Accounts also carry the status so the rate limiter can pick their tier
+  async syncAccount(identity, subscription) {
+    const status = ACTIVE_STATUSES.includes(subscription.status) ? 'pro' : 'free';
+    await userService.setSubscriptionStatus(identity.slice('user:'.length), status);
+    logger.info(`💳 Subscription for ${identity} is now ${subscription.status}`);
+  }
+}
+
+function findIdentityBySubscription({ subscriptions }, subscriptionId) {
+  return Object.keys(subscriptions).find(id => subscriptions[id].subscriptionId === subscriptionId) || null;
+}
+
+/**
+ * What a Stripe event would record: { identity, details }, identity being null when only the
+ * subscription id can find the account; null for events that change nothing. A checkout
+ * only activates the subscription once it has been paid for.
+ */
+function subscriptionChange(event) {
+  const object = event.data.object;
+  switch (event.type) {
+    case 'checkout.session.completed':
+      if (object.mode !== 'subscription' || object.payment_status !== 'paid' || !isUserIdentity(object.client_reference_id)) {
+        return null;
+      }
+      return {
+        identity: object.client_reference_id,
+        details: { customerId: object.customer, subscriptionId: object.subscription, status: 'active' },
+      };
+    case 'customer.subscription.created':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted':
+      return {
+        identity: object.metadata?.identity ?? null,
+        details: {
+          customerId: object.customer,
+          subscriptionId: object.id,
+          status: event.type === 'customer.subscription.deleted' ? 'canceled' : object.status,
+          currentPeriodEnd: object.current_period_end
+            ? new Date(object.current_period_end * 1000).toISOString()
+            : null,
+        },
+      };
+    default:
+      return null;
+  }
+}
+
+export const billingService = new BillingService();
@@ -0,0 +1,97 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { formatPrice } from '../utils/price.js';
+
+const DEFAULT_RATES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/exchangeRates.json');
+const RATES_TTL_MS = Number(process.env.EXCHANGE_RATES_TTL_MS) || 60 * 60 * 1000;
+
+/**
+ * Default rate provider: reads { base, rates } from a local JSON file.
+ */
+export function fileRateProvider(filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+  return async () => JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+class CurrencyService {
+  constructor() {
+    this.provider = fileRateProvider();
+    this.table = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Swap the rate source. A provider is an async function returning { base, rates }.
+   */
+  setRateProvider(provider) {
+    this.provider = provider;
+    this.table = null;
+    this.loadedAt = 0;
+  }
+
+  async getRates() {
+    if (this.table && Date.now() - this.loadedAt < RATES_TTL_MS) {
+      return this.table;
+    }
+    try {
+      const table = await this.provider();
+      if (!table?.rates || typeof table.rates !== 'object') {
+        throw new Error('rate provider returned no rates');
+      }
+      this.table = table;
+      this.loadedAt = Date.now();
+      logger.info(`💱 Loaded ${Object.keys(table.rates).length} exchange rates (base ${table.base})`);
+    } catch (error) {
+      if (!this.table) throw error;
+      logger.warn(`⚠️ Failed to refresh exchange rates, keeping previous table: ${error.message}`);
+    }
+    return this.table;
+  }
+
+  /**
+   * Check a requested currency against the rate table.
+   * @returns {Promise<string|null>} the upper-case code, or null when it can't be converted to
+   */
+  async normalizeCurrency(value) {
+    if (typeof value !== 'string') return null;
+    const code = value.trim().toUpperCase();
+    const { rates } = await this.getRates();
+    return Object.hasOwn(rates, code) ? code : null;
+  }
+
+  /**
+   * Validate the currency field of a request; an empty value means defaultCurrency.
+   * @returns {Promise<{ currency: string } | { error: string }>}
+   */
+  async validateCurrency(value, defaultCurrency) {
+    if (value === undefined || value === null || value === '') return { currency: defaultCurrency };
+    const currency = await this.normalizeCurrency(value);
+    if (currency) return { currency };
+    const { rates } = await this.getRates();
+    return { error: `Unsupported currency: ${value} (available: ${Object.keys(rates).join(', ')})` };
+  }
+
+  /**
+   * Convert a parsed price into the target currency.
+   * @returns {Promise<{amount: number, currency: string, rate: number, formatted: string}|null>}
+   */
+  async convert(price, targetCurrency) {
+    if (!price || price.amount == null || !price.currency) return null;
+
+    const from = price.currency.toUpperCase();
+    const to = targetCurrency.toUpperCase();
+    let rate = 1;
+
+    if (from !== to) {
+      const { rates } = await this.getRates();
+      if (!rates[from] || !rates[to]) return null;
+      rate = rates[to] / rates[from];
+    }
+
+    const amount = Math.round(price.amount * rate * 100) / 100;
+    return { amount, currency: to, rate: Math.round(rate * 1e6) / 1e6, formatted: formatPrice(amount, to) };
+  }
+}
+
+export const currencyService = new CurrencyService();
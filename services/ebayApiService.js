@@ -1,35 +1,157 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { toPrice } from '../utils/price.js';
+import { DEFAULT_REGION, regionCodes, resolveRegion } from '../utils/regions.js';
+
+const EBAY_ENVIRONMENTS = {
+  production: {
+    browseUrl: 'https://api.ebay.com/buy/browse/v1',
+    tokenUrl: 'https://api.ebay.com/identity/v1/oauth2/token',
+  },
+  sandbox: {
+    browseUrl: 'https://api.sandbox.ebay.com/buy/browse/v1',
+    tokenUrl: 'https://api.sandbox.ebay.com/identity/v1/oauth2/token',
+  },
+};
+
+// Each eBay marketplace lists prices in its region's currency (config/regions.json)
+const EBAY_MARKETPLACE_CURRENCIES = Object.fromEntries(
+  regionCodes()
+    .map(code => resolveRegion(code))
+    .filter(region => region.marketplaces?.ebay)
+    .map(region => [region.marketplaces.ebay.marketplaceId, region.currency])
+);
+
+// Hunta sort option -> Browse API sort value (relevance is the API default)
+const EBAY_SORTS = {
+  price_asc: 'price',
+  price_desc: '-price',
+  newest: 'newlyListed',
+};
 
-const EBAY_SANDBOX_BASE_URL = 'https://api.sandbox.ebay.com/buy/browse/v1';
 const EBAY_CLIENT_ID = process.env.EBAY_CLIENT_ID;
 const EBAY_CLIENT_SECRET = process.env.EBAY_CLIENT_SECRET;
 const EBAY_REFRESH_TOKEN = process.env.EBAY_REFRESH_TOKEN; // optional, for OAuth tokens if needed
+const EBAY_ENV = EBAY_ENVIRONMENTS[process.env.EBAY_ENV] ? process.env.EBAY_ENV : 'production';
+
+const MAX_PAGE_SIZE = 200; // Browse API upper bound for `limit`
+const PAGE_SIZE = 50;
+// Listings collected per search across pages; ranking and clustering cut these down later
+const MAX_RESULTS = Number(process.env.EBAY_MAX_RESULTS) || 150;
+
+// Hunta listing type -> Browse API buying options
+const EBAY_BUYING_OPTIONS = {
+  auction: ['AUCTION'],
+  buy_it_now: ['FIXED_PRICE'],
+};
+
+function buildFilter(filters = {}) {
+  const parts = [];
+  const { minPrice, maxPrice, currency, conditions, buyingOptions, itemLocationCountry } = filters;
+
+  if (minPrice != null || maxPrice != null) {
+    parts.push(`price:[${minPrice ?? ''}..${maxPrice ?? ''}]`);
+    if (currency) parts.push(`priceCurrency:${currency}`);
+  }
+  if (conditions?.length) {
+    parts.push(`conditions:{${conditions.join('|')}}`);
+  }
+  if (buyingOptions?.length) {
+    parts.push(`buyingOptions:{${buyingOptions.join('|')}}`);
+  }
+  if (itemLocationCountry) {
+    parts.push(`itemLocationCountry:${itemLocationCountry}`);
+  }
+
+  return parts.length > 0 ? parts.join(',') : undefined;
+}
 
 class EbayApiService {
   constructor() {
     this.accessToken = null;
     this.tokenExpiresAt = 0;
+    // Token request in flight, shared by every search that needs a token meanwhile
+    this.tokenRequest = null;
+    this.environment = EBAY_ENV;
+  }
+
+  isConfigured() {
+    return Boolean(EBAY_CLIENT_ID && EBAY_CLIENT_SECRET);
+  }
+
+  // Hunta location -> eBay marketplace ID, from the region profiles
+  getMarketplaceId(location = DEFAULT_REGION) {
+    return resolveRegion(location)?.marketplaces.ebay?.marketplaceId || null;
+  }
+
+  /**
+   * Translate Hunta search filters into Browse API `filters`, `sort` and paging options.
+   * Price bounds are only pushed down when they are in the marketplace's own currency.
+   */
+  buildSearchOptions(marketplaceId, filters = {}) {
+    const apiFilters = {};
+    const marketplaceCurrency = EBAY_MARKETPLACE_CURRENCIES[marketplaceId];
+
+    if (filters.currency === marketplaceCurrency) {
+      apiFilters.minPrice = filters.minPrice;
+      apiFilters.maxPrice = filters.maxPrice;
+      apiFilters.currency = marketplaceCurrency;
+    }
+    if (filters.condition) {
+      apiFilters.conditions = [filters.condition.toUpperCase()];
+    }
+    if (filters.listingType) {
+      apiFilters.buyingOptions = EBAY_BUYING_OPTIONS[filters.listingType];
+    }
+    if (filters.itemLocation) {
+      apiFilters.itemLocationCountry = filters.itemLocation;
+    }
+
+    return {
+      marketplaceId,
+      filters: apiFilters,
+      sort: EBAY_SORTS[filters.sort],
+      limit: PAGE_SIZE,
+      maxResults: MAX_RESULTS,
+    };
   }
 
-  async getAccessToken() {
+  /**
+   * Client-credentials token, cached until a minute before it expires. Searches that need
+   * a token while one is being fetched wait for that request rather than starting their own.
+   * @param {object} options { signal } stops this caller waiting; the shared request carries on
+   */
+  async getAccessToken({ signal } = {}) {
     if (this.accessToken && Date.now() < this.tokenExpiresAt - 60000) {
       return this.accessToken; // still valid
     }
+    this.tokenRequest ??= this.requestAccessToken().finally(() => { this.tokenRequest = null; });
+    if (!signal) return this.tokenRequest;
+
+    signal.throwIfAborted();
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.tokenRequest.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  async requestAccessToken() {
     try {
       const resp = await axios.post(
-        'https://api.sandbox.ebay.com/identity/v1/oauth2/token',
+        EBAY_ENVIRONMENTS[this.environment].tokenUrl,
         'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope',
         {
           headers: {
             'Content-Type': 'application/x-www-form-urlencoded',
             Authorization: 'Basic ' + Buffer.from(`${EBAY_CLIENT_ID}:${EBAY_CLIENT_SECRET}`).toString('base64'),
           },
+          timeout: 15000,
         }
       );
       this.accessToken = resp.data.access_token;
       this.tokenExpiresAt = Date.now() + resp.data.expires_in * 1000;
-      logger.info('✅ eBay API access token retrieved');
+      logger.info(`✅ eBay API access token retrieved (${this.environment})`);
       return this.accessToken;
     } catch (error) {
       logger.error('❌ Failed to get eBay API access token:', error.response?.data || error.message);
@@ -37,37 +159,153 @@ class EbayApiService {
     }
   }
 
-  async searchItems(query, limit = 10) {
+  /**
+   * Search the Browse API, following `next` links until `maxResults` items are collected.
+   * Errors are thrown so callers can fall back to the scraper.
+   * @param {string} query
+   * @param {object} options { limit, maxResults, marketplaceId, acceptLanguage, filters, sort, signal }
+   *   limit is the page size; maxResults (default EBAY_MAX_RESULTS) caps the total across pages
+   *   filters: { minPrice, maxPrice, currency, conditions: ['NEW'|'USED'|...],
+   *              buyingOptions: ['FIXED_PRICE'|'AUCTION'|'BEST_OFFER'], itemLocationCountry }
+   */
+  async searchItems(query, options = {}) {
+    const {
+      limit = PAGE_SIZE,
+      maxResults = MAX_RESULTS,
+      marketplaceId = 'EBAY_GB',
+      acceptLanguage,
+      filters,
+      sort,
+      signal,
+    } = options;
+
+    if (!this.isConfigured()) {
+      throw new Error('eBay API credentials are not configured');
+    }
+
     try {
-      const token = await this.getAccessToken();
-      const url = `${EBAY_SANDBOX_BASE_URL}/item_summary/search`;
-      const params = {
+      const token = await this.getAccessToken({ signal });
+      const headers = {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
+        ...(acceptLanguage ? { 'Accept-Language': acceptLanguage } : {}),
+      };
+
+      let url = `${EBAY_ENVIRONMENTS[this.environment].browseUrl}/item_summary/search`;
+      let params = {
         q: query,
-        limit,
-        // You can add filters here as needed
+        limit: Math.min(limit, maxResults, MAX_PAGE_SIZE),
+        offset: 0,
+        filter: buildFilter(filters),
+        sort,
       };
-      const response = await axios.get(url, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
+
+      const items = [];
+      while (url && items.length < maxResults) {
+        const response = await axios.get(url, { headers, params, timeout: 15000, signal });
+        const summaries = response.data.itemSummaries || [];
+
+        items.push(...summaries.map(item => ({
+          title: item.title,
+          price: item.price?.value ? toPrice(item.price.value, item.price.currency) : null,
+          link: item.itemWebUrl,
+          image: item.thumbnailImages?.[0]?.imageUrl || item.image?.imageUrl || '',
+          condition: item.condition || null,
+          listedAt: item.itemCreationDate || null,
+          listingType: item.buyingOptions?.includes('AUCTION') ? 'auction' : 'buy_it_now',
+          source: 'ebay_api',
+        })));
+
+        // `next` is a fully-formed URL carrying the original query and the next offset
+        url = summaries.length > 0 ? response.data.next : null;
+        params = undefined;
+      }
+
+      const results = items.slice(0, maxResults);
+      logger.info(`📦 eBay API returned ${results.length} results for "${query}" on ${marketplaceId}`);
+      return results;
+
+    } catch (error) {
+      logger.error('❌ eBay API search error:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch one listing with the Browse API getItem call, normalized like scraped item pages.
+   * Shipping and import charges are quoted for delivery to `shipTo` ({ country, postcode }).
+   * Errors are thrown so callers can fall back to the scraper; a 404 means the item is gone.
+   * @param {string} legacyItemId The number in eBay /itm/<id> URLs
+   * @param {object} options { marketplaceId, acceptLanguage, shipTo, legacyVariationId, signal }
+   *   legacyVariationId (the `var` parameter of the URL) picks one variation of a multi-variation listing
+   */
+  async getItem(legacyItemId, options = {}) {
+    const { marketplaceId = 'EBAY_GB', acceptLanguage, shipTo, legacyVariationId, signal } = options;
+
+    if (!this.isConfigured()) {
+      throw new Error('eBay API credentials are not configured');
+    }
+
+    try {
+      const token = await this.getAccessToken({ signal });
+      const contextualLocation = shipTo
+        ? [`country=${shipTo.country}`, shipTo.postcode && `zip=${shipTo.postcode.replace(/\s/g, '')}`].filter(Boolean).join(',')
+        : null;
+      const headers = {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'X-EBAY-C-MARKETPLACE-ID': marketplaceId,
+        ...(acceptLanguage ? { 'Accept-Language': acceptLanguage } : {}),
+        ...(contextualLocation ? { 'X-EBAY-C-ENDUSERCTX': `contextualLocation=${encodeURIComponent(contextualLocation)}` } : {}),
+      };
+
+      // The RESTful item ID of a multi-variation listing depends on the variation, so look it up by legacy ID
+      const { data: item } = await axios.get(`${EBAY_ENVIRONMENTS[this.environment].browseUrl}/item/get_item_by_legacy_id`, {
+        headers,
+        params: {
+          legacy_item_id: legacyItemId,
+          ...(legacyVariationId ? { legacy_variation_id: legacyVariationId } : {}),
         },
-        params,
+        timeout: 15000,
+        signal,
       });
 
-      const items = (response.data.itemSummaries || []).map(item => ({
+      const amount = value => (value?.value ? toPrice(value.value, value.currency) : null);
+      const isAuction = item.buyingOptions?.includes('AUCTION');
+      const location = item.itemLocation;
+
+      logger.info(`📦 eBay API returned item ${legacyItemId} on ${marketplaceId}`);
+      return {
+        itemId: item.legacyItemId || legacyItemId,
         title: item.title,
-        price: item.price.value ? `${item.price.currency} ${item.price.value}` : 'N/A',
+        price: amount(isAuction && item.currentBidPrice ? item.currentBidPrice : item.price),
         link: item.itemWebUrl,
-        image: item.thumbnailImages?.[0]?.imageUrl || '',
+        condition: item.condition || null,
+        seller: item.seller ? {
+          name: item.seller.username || null,
+          feedbackScore: item.seller.feedbackScore ?? null,
+          feedbackPercent: item.seller.feedbackPercentage != null ? Number(item.seller.feedbackPercentage) : null,
+        } : null,
+        shippingOptions: (item.shippingOptions || []).map(option => ({
+          service: option.shippingServiceCode || option.type || null,
+          cost: amount(option.shippingCost),
+          importCharges: amount(option.importCharges),
+          estimatedDelivery: option.maxEstimatedDeliveryDate || option.minEstimatedDeliveryDate || null,
+        })),
+        itemLocation: location
+          ? [location.city, location.stateOrProvince, location.country].filter(Boolean).join(', ') || null
+          : null,
+        listingType: isAuction ? 'auction' : 'buy_it_now',
+        bidCount: isAuction ? item.bidCount ?? 0 : null,
+        endTime: item.itemEndDate || null,
+        images: [item.image?.imageUrl, ...(item.additionalImages || []).map(image => image.imageUrl)].filter(Boolean),
         source: 'ebay_api',
-      }));
-
-      logger.info(`📦 eBay API returned ${items.length} results for "${query}"`);
-      return items;
+      };
 
     } catch (error) {
-      logger.error('❌ eBay API search error:', error.response?.data || error.message);
-      return [];
+      logger.error('❌ eBay API getItem error:', error.response?.data || error.message);
+      throw error;
     }
   }
 }
@@ -0,0 +1,206 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { createTransport } from '../utils/fetchTransports.js';
+import { BotBlockedError, CircuitOpenError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+
+const HOST_CONCURRENCY = Number(process.env.FETCH_HOST_CONCURRENCY) || 2;
+// Retries allowed per minute across every host, so an outage can't multiply our traffic
+const RETRY_BUDGET_PER_MINUTE = Number(process.env.FETCH_RETRY_BUDGET) || 20;
+const BREAKER_THRESHOLD = Number(process.env.FETCH_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS = Number(process.env.FETCH_BREAKER_COOLDOWN_MS) || 60000;
+const BREAKER_MAX_COOLDOWN_MS = 15 * 60000;
+const RETRY_DELAY_MS = 1000;
+const RATE_LIMIT_DELAY_MS = 10000;
+
+function newHostState() {
+  return {
+    active: 0,
+    waiting: [],
+    consecutiveTrips: 0,
+    openUntil: 0,
+    cooldownMs: BREAKER_COOLDOWN_MS,
+    requests: 0,
+    retries: 0,
+    credits: 0,
+    blocks: 0,
+    rateLimited: 0,
+  };
+}
+
+class FetchService {
+  constructor(transport = createTransport()) {
+    this.transport = transport;
+    this.hosts = new Map();
+    this.retryTimestamps = [];
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  isConfigured() {
+    return this.transport.isConfigured();
+  }
+
+  getHost(host) {
+    if (!this.hosts.has(host)) this.hosts.set(host, newHostState());
+    return this.hosts.get(host);
+  }
+
+  // Per-host semaphore; waiters are released in order and drop out if their request is aborted
+  async acquire(state, signal) {
+    if (state.active < HOST_CONCURRENCY) {
+      state.active++;
+      return;
+    }
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        state.waiting = state.waiting.filter(w => w !== waiter);
+        reject(signal.reason);
+      };
+      const waiter = {
+        resolve: () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        },
+      };
+      state.waiting.push(waiter);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  release(state) {
+    const next = state.waiting.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      state.active--;
+    }
+  }
+
+  // Once the cooldown has passed requests flow again; the next trip reopens it for longer
+  checkBreaker(host, state) {
+    if (state.openUntil > Date.now()) {
+      throw new CircuitOpenError(host, new Date(state.openUntil).toISOString());
+    }
+  }
+
+  trip(host, state, reason) {
+    state.consecutiveTrips++;
+    if (state.consecutiveTrips < BREAKER_THRESHOLD) return;
+
+    state.openUntil = Date.now() + state.cooldownMs;
+    logger.warn(`🔌 Circuit open for ${host} for ${state.cooldownMs / 1000}s after repeated ${reason}`);
+    state.cooldownMs = Math.min(state.cooldownMs * 2, BREAKER_MAX_COOLDOWN_MS);
+  }
+
+  succeed(state) {
+    state.consecutiveTrips = 0;
+    state.cooldownMs = BREAKER_COOLDOWN_MS;
+  }
+
+  takeRetry() {
+    const cutoff = Date.now() - 60000;
+    this.retryTimestamps = this.retryTimestamps.filter(t => t > cutoff);
+    if (this.retryTimestamps.length >= RETRY_BUDGET_PER_MINUTE) return false;
+    this.retryTimestamps.push(Date.now());
+    return true;
+  }
+
+  /**
+   * Fetch a page through the configured transport with per-host concurrency, retries
+   * (429s, 5xx and network errors) drawn from a global budget, and a per-host circuit breaker.
+   * @param {string} url
+   * @param {object} options { renderJs = true, premiumProxy = true, countryCode, cookies, headers, timeoutMs,
+   *   maxRetries = 3, signal, transport, marketplace, isBlocked(body) }
+   *   countryCode is the region's country, for transports whose proxies can pick one.
+   *   isBlocked spots challenge pages; a blocked page throws BotBlockedError and counts
+   *   towards the host's breaker like a 429.
+   * @returns {Promise<string|object>} the response body
+   */
+  async fetchPage(url, options = {}) {
+    const { maxRetries = 3, signal, isBlocked, marketplace, transport = this.transport, ...requestOptions } = options;
+    const host = new URL(url).hostname;
+    const state = this.getHost(host);
+
+    for (let attempt = 1; ; attempt++) {
+      this.checkBreaker(host, state);
+      await this.acquire(state, signal);
+
+      let response;
+      try {
+        state.requests++;
+        response = await transport.fetch(url, { ...requestOptions, signal });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+
+        const status = error.response?.status;
+        if (status === 429) {
+          state.rateLimited++;
+          this.trip(host, state, 'rate limits');
+        }
+        const retryable = status === 429 || status >= 500 || status === undefined;
+        logger.warn(`⚠️ fetchPage attempt ${attempt} failed for ${host} via ${transport.name} - Status: ${status} - Message: ${error.message}`);
+
+        if (!retryable || attempt > maxRetries) throw error;
+        if (!this.takeRetry()) {
+          logger.warn(`⚠️ Retry budget exhausted, not retrying ${host}`);
+          throw error;
+        }
+        state.retries++;
+        const delay = status === 429
+          ? RATE_LIMIT_DELAY_MS * Math.pow(2, attempt - 1) + Math.floor(Math.random() * 1000)
+          : RETRY_DELAY_MS * attempt;
+        await sleep(delay, undefined, { signal });
+        continue;
+      } finally {
+        this.release(state);
+      }
+
+      state.credits += response.credits;
+      if (response.credits) metrics.fetchCredits.inc({ host }, response.credits);
+      const length = typeof response.body === 'string' ? response.body.length : JSON.stringify(response.body ?? '').length;
+      logger.info(`✅ fetchPage success for ${host} via ${transport.name}, length: ${length}, credits: ${response.credits}`);
+
+      if (typeof response.body === 'string' && isBlocked?.(response.body)) {
+        state.blocks++;
+        logger.warn(`⚠️ Detected possible bot-blocking content from ${host}`);
+        this.trip(host, state, 'blocks');
+        throw new BotBlockedError(marketplace || host);
+      }
+
+      this.succeed(state);
+      return response.body;
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    const hosts = Object.fromEntries([...this.hosts].map(([host, state]) => [host, {
+      requests: state.requests,
+      retries: state.retries,
+      credits: state.credits,
+      blocks: state.blocks,
+      rateLimited: state.rateLimited,
+      active: state.active,
+      queued: state.waiting.length,
+      circuit: state.openUntil > now ? 'open' : 'closed',
+      openUntil: state.openUntil > now ? new Date(state.openUntil).toISOString() : null,
+    }]));
+    const totals = Object.values(hosts).reduce((sum, h) => ({
+      requests: sum.requests + h.requests,
+      retries: sum.retries + h.retries,
+      credits: sum.credits + h.credits,
+    }), { requests: 0, retries: 0, credits: 0 });
+
+    return {
+      transport: this.transport.name,
+      totals,
+      retryBudget: { usedLastMinute: this.retryTimestamps.filter(t => t > now - 60000).length, perMinute: RETRY_BUDGET_PER_MINUTE },
+      hosts,
+    };
+  }
+}
+
+export const fetchService = new FetchService();
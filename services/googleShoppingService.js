@@ -1,30 +1,35 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { parsePrice, toPrice } from '../utils/price.js';
+import { DEFAULT_REGION, resolveRegion } from '../utils/regions.js';
 
 const RAPIDAPI_HOST = 'google-shopping-results.p.rapidapi.com';
 const RAPIDAPI_KEY = process.env.RAPIDAPI_GOOGLE_SHOPPING_KEY?.trim();
 
 class GoogleShoppingService {
-  async search(term) {
+  // Results come from the region's Google country (gl) and language (hl)
+  async search(term, { signal, region = resolveRegion(DEFAULT_REGION) } = {}) {
     if (!RAPIDAPI_KEY) {
       logger.warn('⚠️ RAPIDAPI_GOOGLE_SHOPPING_KEY not set or empty');
       return [];
     }
 
-    logger.info(`🔑 Using RapidAPI key starting with: ${RAPIDAPI_KEY.slice(0, 5)}...`);
-
     try {
       const response = await axios.get('https://google-shopping-results.p.rapidapi.com/google-search', {
-        params: { query: term },
+        params: { query: term, gl: region.google.gl, hl: region.google.hl },
         headers: {
           'X-RapidAPI-Key': RAPIDAPI_KEY,
           'X-RapidAPI-Host': RAPIDAPI_HOST,
-        }
+        },
+        timeout: 15000,
+        signal,
       });
 
       const items = response.data.results?.map(item => ({
         title: item.title,
-        price: item.price?.value ? `${item.price.currency} ${item.price.value}` : 'N/A',
+        price: item.price?.value
+          ? toPrice(item.price.value, item.price.currency)
+          : parsePrice(item.price),
         link: item.link,
         image: item.image,
         source: 'google_shopping'
@@ -35,7 +40,7 @@ class GoogleShoppingService {
 
     } catch (error) {
       logger.error(`❌ Google Shopping API error: ${error.message}`);
-      return [];
+      throw error;
     }
   }
 }
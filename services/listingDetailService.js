@@ -0,0 +1,202 @@
+import { ebayApiService } from './ebayApiService.js';
+import { scrapingService } from './scrapingService.js';
+import { fetchService } from './fetchService.js';
+import { currencyService } from './currencyService.js';
+import { resultCacheService } from './resultCacheService.js';
+import { extractListing, isNicheMarketplaceUrl, scrapeListingPage } from './nicheSearchService.js';
+import { logger } from '../utils/logger.js';
+import { formatPrice } from '../utils/price.js';
+import { ListingNotFoundError } from '../utils/errors.js';
+import { canonicalizeLink } from '../utils/listingClusters.js';
+import { marketplaceDomains } from '../utils/regions.js';
+
+// Details change slowly, but bids and postage quotes don't; endTime is absolute, so time left stays right
+const CACHE_TTL_SECONDS = Number(process.env.LISTING_CACHE_TTL_SECONDS) || 600;
+
+// Marketplaces whose listing pages are read from their structured data
+const PAGE_MARKETPLACES = ['vinted', 'depop', 'gumtree', 'discogs'];
+const FIXED_DOMAINS = {
+  depop: ['www.depop.com'],
+  discogs: ['www.discogs.com'],
+};
+
+const EBAY_ITEM_PATH = /\/itm\/(?:[^/]+\/)?(\d{9,})/;
+
+function bareHost(host) {
+  return host.toLowerCase().replace(/^www\./, '');
+}
+
+function domainsOf(marketplace) {
+  return (FIXED_DOMAINS[marketplace] || marketplaceDomains(marketplace)).map(bareHost);
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class ListingDetailService {
+  /**
+   * Work out which marketplace a listing URL belongs to. Only known marketplace and
+   * niche shop hosts are accepted, so the endpoint can't be used to fetch arbitrary pages.
+   * @returns {{ marketplace: string, url: string, itemId?: string, variationId?: string }|null}
+   */
+  identify(rawUrl) {
+    let url;
+    try {
+      url = new URL(rawUrl);
+    } catch {
+      return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+
+    const host = bareHost(url.hostname);
+    if (domainsOf('ebay').includes(host)) {
+      const itemId = url.pathname.match(EBAY_ITEM_PATH)?.[1];
+      if (!itemId) return null;
+      // Multi-variation listings link to one variation with ?var=<id>
+      const variationId = url.searchParams.get('var')?.match(/^\d+$/)?.[0];
+      return variationId
+        ? { marketplace: 'ebay', url: `https://${url.hostname}/itm/${itemId}?var=${variationId}`, itemId, variationId }
+        : { marketplace: 'ebay', url: `https://${url.hostname}/itm/${itemId}`, itemId };
+    }
+
+    const marketplace = PAGE_MARKETPLACES.find(name => domainsOf(name).includes(host));
+    if (marketplace) return { marketplace, url: url.href };
+    if (isNicheMarketplaceUrl(url.href)) return { marketplace: 'niche', url: url.href };
+    return null;
+  }
+
+  /**
+   * Normalized details for one listing plus its landed cost (item + postage + import
+   * charges) in `currency`. Details are cached per listing and delivery region; the
+   * landed cost and time left are worked out fresh on every call.
+   * @param {string} url
+   * @param {object} options { region, currency, postcode, signal } region from utils/regions.js
+   * @returns {Promise<object|null>} null when the URL isn't a supported listing
+   * @throws {ListingNotFoundError} when the marketplace says the listing is gone
+   */
+  async getListing(url, { region, currency = region.currency, postcode, signal } = {}) {
+    const target = this.identify(url);
+    if (!target) return null;
+
+    const key = `listing:v2:${canonicalizeLink(target.url)}:${target.variationId || ''}:${region.code}:${postcode || ''}`;
+    const { value: details, state, ageSeconds } = await resultCacheService.wrap(
+      key,
+      ({ background }) => this.fetchDetails(target, { region, postcode, signal: background ? undefined : signal }),
+      { ttlSeconds: CACHE_TTL_SECONDS },
+    );
+
+    const endsAt = details.endTime ? Date.parse(details.endTime) : NaN;
+    return {
+      ...details,
+      timeLeftSeconds: Number.isNaN(endsAt) ? null : Math.max(0, Math.round((endsAt - Date.now()) / 1000)),
+      landedCost: await this.computeLandedCost(details, currency),
+      cache: { state, ageSeconds },
+    };
+  }
+
+  async fetchDetails(target, { region, postcode, signal }) {
+    try {
+      const details = target.marketplace === 'ebay'
+        ? await this.fetchEbayItem(target, { region, postcode, signal })
+        : await this.fetchListingPage(target, { region, signal });
+
+      if (!details) {
+        throw new Error(`Could not read listing details from ${new URL(target.url).hostname}`);
+      }
+      return this.withCheapestShipping({ url: target.url, marketplace: target.marketplace, availability: null, ...details });
+    } catch (error) {
+      if ([404, 410].includes(error.response?.status)) {
+        throw new ListingNotFoundError(target.url);
+      }
+      throw error;
+    }
+  }
+
+  // Prefer the Browse API (it quotes postage and import charges to the buyer); scrape the page otherwise
+  async fetchEbayItem({ url, itemId, variationId }, { region, postcode, signal }) {
+    const canScrape = fetchService.isConfigured();
+
+    if (ebayApiService.isConfigured()) {
+      try {
+        return await ebayApiService.getItem(itemId, {
+          marketplaceId: region.marketplaces.ebay?.marketplaceId,
+          acceptLanguage: region.acceptLanguage,
+          shipTo: { country: region.countryCode, postcode },
+          legacyVariationId: variationId,
+          signal,
+        });
+      } catch (error) {
+        if (!canScrape || signal?.aborted || error.response?.status === 404) throw error;
+        logger.warn(`⚠️ eBay API unavailable, falling back to item page: ${error.message}`);
+      }
+    }
+
+    if (!canScrape) {
+      throw new Error('No eBay listing lookup available');
+    }
+    return scrapingService.getEbayItem(url, { region, signal });
+  }
+
+  async fetchListingPage({ url, marketplace }, { region, signal }) {
+    const listing = marketplace === 'niche'
+      ? await scrapeListingPage(url, region)
+      : extractListing(await scrapingService.fetchListingPage(url, marketplace, { region, signal }), url);
+    if (!listing.price) return null;
+
+    return {
+      itemId: null,
+      title: listing.title,
+      price: listing.price,
+      link: url,
+      condition: listing.condition,
+      availability: listing.availability,
+      seller: null,
+      shippingOptions: [],
+      itemLocation: null,
+      listingType: 'buy_it_now',
+      bidCount: null,
+      endTime: null,
+      images: listing.image ? [listing.image] : [],
+      source: marketplace === 'niche' ? new URL(url).hostname : marketplace,
+    };
+  }
+
+  // The landed cost uses the cheapest priced postage option and its import charges
+  withCheapestShipping(details) {
+    const cheapest = details.shippingOptions
+      .filter(option => option.cost)
+      .sort((a, b) => a.cost.amount - b.cost.amount)[0];
+    return {
+      ...details,
+      shippingCost: cheapest?.cost || null,
+      importCharges: cheapest?.importCharges || null,
+    };
+  }
+
+  /**
+   * Item price plus postage plus import charges, each converted to `currency`.
+   * `complete` is false when the postage is unknown, so the total is only a lower bound.
+   * @returns {Promise<{ amount: number, currency: string, formatted: string, complete: boolean,
+   *   breakdown: { item: object, shipping: object|null, importCharges: object|null } }|null>}
+   *   null when the item price can't be converted
+   */
+  async computeLandedCost({ price, shippingCost, importCharges }, currency) {
+    const item = await currencyService.convert(price, currency);
+    if (!item) return null;
+
+    const shipping = shippingCost ? await currencyService.convert(shippingCost, currency) : null;
+    const imports = importCharges ? await currencyService.convert(importCharges, currency) : null;
+    const amount = round(item.amount + (shipping?.amount || 0) + (imports?.amount || 0));
+
+    return {
+      amount,
+      currency: item.currency,
+      formatted: formatPrice(amount, item.currency),
+      complete: shipping !== null,
+      breakdown: { item, shipping, importCharges: imports },
+    };
+  }
+}
+
+export const listingDetailService = new ListingDetailService();
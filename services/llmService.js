@@ -0,0 +1,135 @@
+import { marketplaceRegistry } from './marketplaceRegistry.js';
+import { llmUsageService } from './llmUsageService.js';
+import { logger } from '../utils/logger.js';
+import { MemoryLruBackend } from '../utils/cacheBackends.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { createLlmProvider, RulesProvider } from '../utils/llmProviders.js';
+import {
+  buildQueryUnderstandingSchema,
+  parseModelJson,
+  normalizeQueryUnderstanding,
+} from '../utils/queryUnderstanding.js';
+
+const CACHE_TTL_SECONDS = Number(process.env.LLM_CACHE_TTL_SECONDS) || 7 * 86400;
+const CACHE_MAX_ENTRIES = Number(process.env.LLM_CACHE_MAX_ENTRIES) || 1000;
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 8000;
+
+const SYSTEM_PROMPT = `
+You help shoppers search second-hand and collectables marketplaces in the UK, US and Europe.
+Given a search query, describe what the shopper is looking for:
+- search_terms: up to 3 concise alternative phrasings a seller might use in a listing title
+- category, brand and model when the query implies them, otherwise null
+- attributes: key details such as size, colour, format, year or edition
+- exclude_keywords: words in listings that mean a different or incomplete item (e.g. "case" for a guitar)
+- price_band: typical price range for the item in GBP, or null if you cannot tell
+- marketplace_queries: the best query for each marketplace, or null to use the original query
+  (e.g. a catalogue number for discogs, a seller-style title for ebay)
+`.trim();
+
+class LlmService {
+  constructor({
+    provider = createLlmProvider(),
+    cache = new MemoryLruBackend({ maxEntries: CACHE_MAX_ENTRIES }),
+    store = process.env.LLM_CACHE_PERSIST === 'false' ? null : new JsonFileStore('llm-cache.json', { entries: [] }),
+  } = {}) {
+    this.provider = provider;
+    this.cache = cache;
+    this.store = store;
+    this.restoring = null;
+    this.rules = new RulesProvider();
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  describe() {
+    return `${this.provider.name} (${this.provider.model})`;
+  }
+
+  // Persisted entries are loaded once, on first use
+  async restoreCache() {
+    if (!this.store) return;
+    if (!this.restoring) {
+      this.restoring = this.store.load().then(({ entries }) => {
+        this.cache.restore(entries);
+        if (entries.length) logger.info(`🤖 Restored ${this.cache.size} cached query enhancements`);
+      });
+    }
+    await this.restoring;
+  }
+
+  async getCacheInfo() {
+    await this.restoreCache();
+    return { entries: this.cache.size, maxEntries: CACHE_MAX_ENTRIES, ttlSeconds: CACHE_TTL_SECONDS };
+  }
+
+  async persistCache() {
+    if (!this.store) return;
+    try {
+      await this.store.update(data => { data.entries = this.cache.dump(); });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to persist LLM cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Structured understanding of a search query:
+   * { search_terms, category, brand, model, attributes, exclude_keywords, price_band, marketplace_queries }
+   * Falls back to the offline rules enhancer when the provider fails or takes longer than LLM_TIMEOUT_MS.
+   * @param {object} options { signal } aborts the call along with the search
+   */
+  async enhanceSearchQuery(query, { signal } = {}) {
+    const { name, model } = this.provider;
+    const cacheKey = `${name}:${model}:${query.toLowerCase().trim().replace(/\s+/g, ' ')}`;
+
+    await this.restoreCache();
+    const cached = await this.cache.get(cacheKey);
+    if (cached) {
+      logger.info(`🤖 Returning cached ${name} enhancement for query: "${query}"`);
+      llmUsageService.record({ provider: name, model, cached: true });
+      return cached;
+    }
+
+    const timeout = AbortSignal.timeout(TIMEOUT_MS);
+    try {
+      logger.info(`🤖 Enhancing query with ${name}: "${query}"`);
+
+      const marketplaces = marketplaceRegistry.names();
+      const { content, usage } = await this.provider.complete({
+        system: SYSTEM_PROMPT,
+        user: query,
+        schemaName: 'query_understanding',
+        schema: buildQueryUnderstandingSchema(marketplaces),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+      });
+
+      const enhancedQuery = normalizeQueryUnderstanding(parseModelJson(content), marketplaces);
+      if (!enhancedQuery) {
+        logger.warn(`⚠️ ${name} response did not match the query schema, returning fallback`);
+        llmUsageService.record({ provider: name, model, usage, failed: true });
+        return this.getFallbackEnhancement(query);
+      }
+
+      llmUsageService.record({ provider: name, model, usage });
+      await this.cache.set(cacheKey, enhancedQuery, CACHE_TTL_SECONDS);
+      this.persistCache();
+      return enhancedQuery;
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      if (timeout.aborted) {
+        logger.warn(`⚠️ ${name} enhancement timed out after ${TIMEOUT_MS}ms, returning fallback`);
+      } else {
+        logger.error(`💥 ${name} enhancement error:`, error.message);
+      }
+      llmUsageService.record({ provider: name, model, failed: true });
+      return this.getFallbackEnhancement(query);
+    }
+  }
+
+  getFallbackEnhancement(query) {
+    return normalizeQueryUnderstanding(this.rules.understand(query));
+  }
+}
+
+export const llmService = new LlmService();
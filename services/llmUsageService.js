@@ -0,0 +1,84 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_PRICING_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/llmPricing.json');
+const RETENTION_DAYS = 90;
+
+// USD per million tokens, keyed by model name
+function loadPricing(filePath = process.env.LLM_PRICING_FILE || DEFAULT_PRICING_FILE) {
+  return JSON.parse(readFileSync(filePath, 'utf8'));
+}
+
+function emptyCounters() {
+  return { requests: 0, cacheHits: 0, failures: 0, promptTokens: 0, completionTokens: 0, costUsd: 0 };
+}
+
+function addCounters(target, counters) {
+  Object.keys(counters).forEach(key => { target[key] = (target[key] || 0) + counters[key]; });
+  target.costUsd = Math.round(target.costUsd * 1e6) / 1e6;
+  return target;
+}
+
+class LlmUsageService {
+  constructor(store = new JsonFileStore('llm-usage.json', { days: {} }), pricing = loadPricing()) {
+    this.store = store;
+    this.pricing = pricing;
+  }
+
+  // Models without a price (local, rules, mock) cost nothing
+  getCost(model, { promptTokens, completionTokens }) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Count one enhancement against today's totals.
+   * @param {object} entry { provider, model, usage: { promptTokens, completionTokens }, cached, failed }
+   */
+  async record({ provider, model, usage = { promptTokens: 0, completionTokens: 0 }, cached = false, failed = false }) {
+    const counters = {
+      requests: cached ? 0 : 1,
+      cacheHits: cached ? 1 : 0,
+      failures: failed ? 1 : 0,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      costUsd: this.getCost(model, usage),
+    };
+    const today = new Date().toISOString().split('T')[0];
+
+    try {
+      await this.store.update(data => {
+        const day = data.days[today] || { ...emptyCounters(), models: {} };
+        addCounters(day, counters);
+        const modelKey = `${provider}/${model}`;
+        day.models[modelKey] = addCounters(day.models[modelKey] || emptyCounters(), counters);
+        data.days[today] = day;
+
+        const oldest = new Date(Date.now() - RETENTION_DAYS * 86400000).toISOString().split('T')[0];
+        Object.keys(data.days).filter(date => date < oldest).forEach(date => delete data.days[date]);
+      });
+    } catch (error) {
+      logger.warn(`⚠️ Failed to record LLM usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Per-day usage for the last `days` days (newest first) and their totals.
+   */
+  async getStats({ days = 7 } = {}) {
+    const data = await this.store.load();
+    const dates = Object.keys(data.days).sort().reverse().slice(0, days);
+    const perDay = dates.map(date => ({ date, ...data.days[date] }));
+    const totals = perDay.reduce((sum, day) => {
+      const { date, models, ...counters } = day;
+      return addCounters(sum, counters);
+    }, emptyCounters());
+    return { days: perDay, totals };
+  }
+}
+
+export const llmUsageService = new LlmUsageService();
@@ -0,0 +1,200 @@
+import { scrapingService } from './scrapingService.js';
+import { googleShoppingService } from './googleShoppingService.js';
+import { ebayApiService } from './ebayApiService.js';
+import { fetchService } from './fetchService.js';
+import { logger } from '../utils/logger.js';
+import { regionsWith } from '../utils/regions.js';
+
+const ANY = '*';
+
+class MarketplaceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Register a marketplace adapter.
+   * @param {object} adapter { name, regions, currencies, requiredEnv, weight, cacheTtlSeconds, cacheKeyParams,
+   *   search(term, context) }
+   *   `weight` is the default ranking multiplier; config/ranking.json sourceWeights override it.
+   *   `cacheKeyParams` names what the search uses besides the term and location ('currency' or
+   *   filter names such as 'minPrice'); only these go into its result cache key.
+   *   context is { location, region, currency, filters, signal }, region being the profile from
+   *   utils/regions.js; adapters may push filters down to the marketplace and should pass the
+   *   abort signal on to their HTTP calls. Region-specific adapters list the profiles that
+   *   configure them (regionsWith) as their `regions`.
+   *   An optional isAvailable() hook covers adapters with alternative credentials.
+   */
+  register(adapter) {
+    if (!adapter?.name || typeof adapter.search !== 'function') {
+      throw new Error('Marketplace adapter needs a name and a search function');
+    }
+    if (this.adapters.has(adapter.name)) {
+      throw new Error(`Marketplace adapter "${adapter.name}" is already registered`);
+    }
+
+    const normalized = {
+      regions: [ANY],
+      currencies: [ANY],
+      requiredEnv: [],
+      weight: 1,
+      cacheKeyParams: [],
+      ...adapter,
+    };
+    this.adapters.set(normalized.name, normalized);
+
+    const missing = this.getMissingEnv(normalized);
+    if (missing.length > 0) {
+      logger.warn(`⚠️ Marketplace "${normalized.name}" disabled, missing env: ${missing.join(', ')}`);
+    } else if (!this.isConfigured(normalized)) {
+      logger.warn(`⚠️ Marketplace "${normalized.name}" disabled, no usable credentials`);
+    }
+    return normalized;
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  names() {
+    return [...this.adapters.keys()];
+  }
+
+  getMissingEnv(adapter) {
+    return adapter.requiredEnv.filter(key => !process.env[key]?.trim());
+  }
+
+  isConfigured(adapter) {
+    if (this.getMissingEnv(adapter).length > 0) return false;
+    return adapter.isAvailable ? adapter.isAvailable() : true;
+  }
+
+  // Only the region gates an adapter; its `currencies` are the ones it prices in,
+  // and results are converted to the requested currency afterwards.
+  supports(adapter, { location } = {}) {
+    return !location || adapter.regions.includes(ANY) || adapter.regions.includes(location.toUpperCase());
+  }
+
+  /**
+   * Resolve the adapters to run for a request. Unconfigured or unsupported
+   * adapters are skipped rather than failing the search.
+   * @returns {{ adapters: object[], skipped: Array<{name: string, reason: string}> }}
+   */
+  resolve({ sources, excludeSources = [], location } = {}) {
+    const requested = (Array.isArray(sources) && sources.length > 0 ? sources : this.names())
+      .filter(name => !excludeSources.includes(name));
+    const adapters = [];
+    const skipped = [];
+
+    for (const name of requested) {
+      const adapter = this.adapters.get(name);
+      if (!adapter) {
+        skipped.push({ name, reason: 'unknown' });
+      } else if (!this.isConfigured(adapter)) {
+        const missing = this.getMissingEnv(adapter);
+        skipped.push({ name, reason: missing.length > 0 ? `missing env: ${missing.join(', ')}` : 'unavailable' });
+      } else if (!this.supports(adapter, { location })) {
+        skipped.push({ name, reason: `unsupported in ${location}` });
+      } else {
+        adapters.push(adapter);
+      }
+    }
+
+    return { adapters, skipped };
+  }
+
+  getWeight(name) {
+    return this.adapters.get(name)?.weight ?? 1;
+  }
+}
+
+export const marketplaceRegistry = new MarketplaceRegistry();
+
+// Prefer the Browse API; the scraper is kept as a fallback for the region's eBay site
+async function searchEbay(term, { location, region, currency, filters = {}, signal } = {}) {
+  const { marketplaceId, domain } = region.marketplaces.ebay;
+  const canScrape = fetchService.isConfigured() && Boolean(domain);
+
+  if (ebayApiService.isConfigured() && marketplaceId) {
+    try {
+      const options = ebayApiService.buildSearchOptions(marketplaceId, { ...filters, currency });
+      return await ebayApiService.searchItems(term, { ...options, acceptLanguage: region.acceptLanguage, signal });
+    } catch (error) {
+      if (!canScrape || signal?.aborted) throw error;
+      logger.warn(`⚠️ eBay API unavailable, falling back to scraper: ${error.message}`);
+    }
+  }
+
+  if (!canScrape) {
+    throw new Error(`No eBay search available for ${location}`);
+  }
+  return scrapingService.searchEbay(term, { ...filters, currency }, { signal, region });
+}
+
+marketplaceRegistry.register({
+  name: 'ebay',
+  weight: 1.1,
+  regions: regionsWith('ebay'),
+  currencies: ['GBP', 'USD', 'EUR'],
+  isAvailable: () => ebayApiService.isConfigured() || fetchService.isConfigured(),
+  cacheTtlSeconds: 300,
+  cacheKeyParams: ['currency', 'minPrice', 'maxPrice', 'condition', 'listingType', 'itemLocation', 'sort'],
+  search: searchEbay,
+});
+
+marketplaceRegistry.register({
+  name: 'discogs',
+  weight: 1,
+  isAvailable: () => fetchService.isConfigured(),
+  cacheTtlSeconds: 3600,
+  cacheKeyParams: ['currency'],
+  search: (term, { signal, region, currency }) => scrapingService.searchDiscogs(term, { signal, region, currency }),
+});
+
+marketplaceRegistry.register({
+  name: 'vinted',
+  weight: 1,
+  regions: regionsWith('vinted'),
+  currencies: ['GBP', 'USD', 'EUR'],
+  isAvailable: () => fetchService.isConfigured(),
+  cacheTtlSeconds: 900,
+  search: (term, { signal, region }) => scrapingService.searchVinted(term, { signal, region }),
+});
+
+marketplaceRegistry.register({
+  name: 'depop',
+  weight: 1,
+  regions: regionsWith('depop'),
+  currencies: ['GBP', 'USD'],
+  isAvailable: () => fetchService.isConfigured(),
+  cacheTtlSeconds: 900,
+  search: (term, { signal, region }) => scrapingService.searchDepop(term, { signal, region }),
+});
+
+marketplaceRegistry.register({
+  name: 'gumtree',
+  weight: 1,
+  regions: regionsWith('gumtree'),
+  currencies: ['GBP'],
+  isAvailable: () => fetchService.isConfigured(),
+  cacheTtlSeconds: 900,
+  cacheKeyParams: ['postcode', 'radiusKm'],
+  search: (term, { signal, region, filters = {} }) => scrapingService.searchGumtree(term, {
+    signal,
+    region,
+    postcode: filters.postcode,
+    radiusKm: filters.radiusKm,
+  }),
+});
+
+marketplaceRegistry.register({
+  name: 'google_shopping',
+  weight: 1,
+  requiredEnv: ['RAPIDAPI_GOOGLE_SHOPPING_KEY'],
+  cacheTtlSeconds: 1800,
+  search: (term, { signal, region }) => googleShoppingService.search(term, { signal, region }),
+});
@@ -1,74 +1,146 @@
-import axios from 'axios';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
+import { fetchService } from './fetchService.js';
+import { parsePrice } from '../utils/price.js';
+import { DEFAULT_REGION, resolveRegion } from '../utils/regions.js';
+import {
+  extractJsonLd,
+  extractOpenGraph,
+  extractMicrodata,
+  mergeExtracted,
+  normalizeAvailability,
+  normalizeItemCondition,
+} from '../utils/structuredData.js';
+import { extractWithSelectors } from '../utils/selectorExtractor.js';
 
-const SCRAPINGBEE_API_KEY = process.env.SCRAPINGBEE_API_KEY;
-const SCRAPINGBEE_BASE_URL = 'https://app.scrapingbee.com/api/v1/';
+const DEFAULT_DOMAINS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/nicheMarketplaces.json');
 
-// List of allowed niche marketplace domains
-const NICHE_MARKETPLACE_DOMAINS = [
-  'cashconverters.co.uk',
-  'example-niche-site.com',
-  // add more niche domains here
-];
+// Allowed niche marketplace domains, the regions they sell in and their fallback extraction rules;
+// add more domains in the config file
+const DOMAIN_RULES = JSON.parse(readFileSync(process.env.NICHE_MARKETPLACES_FILE || DEFAULT_DOMAINS_FILE, 'utf8'));
+const NICHE_MARKETPLACE_DOMAINS = Object.keys(DOMAIN_RULES);
 
-async function fetchPage(url) {
-  if (!SCRAPINGBEE_API_KEY) {
-    throw new Error('ScrapingBee API key missing');
-  }
-  const params = {
-    api_key: SCRAPINGBEE_API_KEY,
-    url,
-    render_js: true,   // enable JS rendering for dynamic sites
-    premium_proxy: true,
-  };
-  const response = await axios.get(SCRAPINGBEE_BASE_URL, { params, timeout: 30000 });
-  logger.info(`Fetched page length: ${response.data.length} for URL: ${url}`);
-  return response.data;
+// Shop pages are often client-rendered, so ask for JS rendering
+function fetchPage(url, region) {
+  return fetchService.fetchPage(url, {
+    renderJs: true,
+    premiumProxy: true,
+    countryCode: region.countryCode,
+    headers: { 'Accept-Language': region.acceptLanguage },
+  });
+}
+
+export function nicheDomainsFor(region) {
+  return NICHE_MARKETPLACE_DOMAINS.filter(domain => DOMAIN_RULES[domain].regions?.includes(region.code));
 }
 
-function extractGoogleResultLinks(html) {
+function extractGoogleResultLinks(html, domains) {
   const urls = [];
   const regex = /<a href="\/url\?q=([^"&]+)&amp;/g;
   let match;
   while ((match = regex.exec(html)) !== null) {
     const url = decodeURIComponent(match[1]);
-    if (NICHE_MARKETPLACE_DOMAINS.some(domain => url.includes(domain))) {
+    if (domains.some(domain => url.includes(domain))) {
       urls.push(url);
     }
   }
   return [...new Set(urls)]; // deduplicate
 }
 
-async function scrapeListingPage(url) {
-  const html = await fetchPage(url);
+function rulesFor(url) {
+  const host = new URL(url).hostname.replace(/^www\./, '');
+  const domain = NICHE_MARKETPLACE_DOMAINS.find(d => host === d || host.endsWith(`.${d}`));
+  return domain ? DOMAIN_RULES[domain] : null;
+}
 
-  // Basic parsing example — adjust for your niche sites
-  const titleMatch = html.match(/<title>([^<]+)<\/title>/i);
-  const title = titleMatch ? titleMatch[1].trim() : 'No title found';
+export function isNicheMarketplaceUrl(url) {
+  return rulesFor(url) !== null;
+}
 
-  const priceMatch = html.match(/£[\d,.]+/);
-  const price = priceMatch ? priceMatch[0] : 'Price not found';
+/**
+ * Read a domain's `fields` (selector specs, as in config/selectors) off the whole page.
+ * `soldOut` is a selector whose presence marks the listing out of stock.
+ */
+function extractWithRules(html, rules) {
+  if (!rules?.fields) return null;
+  const { items: [raw] } = extractWithSelectors(html, {
+    marketplace: 'niche',
+    layouts: [{ version: 'rules', detect: 'body', item: 'body', fields: rules.fields }],
+  });
+  if (!raw) return null;
+  return {
+    title: raw.title,
+    price: raw.price,
+    currency: rules.currency || raw.currency,
+    image: raw.image,
+    availability: normalizeAvailability(raw.availability) || (raw.soldOut ? 'out_of_stock' : null),
+    condition: normalizeItemCondition(raw.condition),
+  };
+}
 
-  // Try to find product image by common attributes
-  const imgMatch = html.match(/<img[^>]+src="([^"]+)"[^>]*(?:class="[^"]*product-image[^"]*"|alt="[^"]*product[^"]*")/i);
-  const image = imgMatch ? imgMatch[1] : null;
+/**
+ * Pull a listing out of a product page. Structured data (JSON-LD, then OpenGraph,
+ * then microdata) wins over the domain's selector rules; the <title> tag is a last resort
+ * for the title only. Prices are never guessed from arbitrary text on the page.
+ */
+export function extractListing(html, url) {
+  const rules = rulesFor(url);
+  const extracted = mergeExtracted(
+    { name: 'json-ld', data: extractJsonLd(html) },
+    { name: 'opengraph', data: extractOpenGraph(html) },
+    { name: 'microdata', data: extractMicrodata(html) },
+    { name: 'rules', data: extractWithRules(html, rules) },
+  );
 
-  return { url, title, price, image, source: url };
+  const pageTitle = html.match(/<title>([^<]+)<\/title>/i)?.[1].trim() || null;
+  const currency = extracted.currency?.toUpperCase() || rules?.currency || null;
+
+  return {
+    url,
+    title: extracted.title || pageTitle || 'No title found',
+    price: parsePrice(extracted.price, currency),
+    image: extracted.image ? new URL(extracted.image, url).href : null,
+    availability: extracted.availability,
+    condition: extracted.condition,
+    source: url,
+    extractedFrom: extracted.extractedFrom,
+  };
+}
+
+export async function scrapeListingPage(url, region = resolveRegion(DEFAULT_REGION)) {
+  const listing = extractListing(await fetchPage(url, region), url);
+  if (!listing.price) {
+    logger.warn(`⚠️ No price found on ${url}`);
+  }
+  return listing;
 }
 
-export async function searchNicheMarketplaces(searchTerm) {
-  logger.info(`Starting niche search for "${searchTerm}" on Google...`);
-  const googleSearchUrl = `https://www.google.com/search?q=${encodeURIComponent(searchTerm)}`;
+/**
+ * Find listings on the niche marketplaces that sell in the region through a Google search in
+ * the region's own Google domain and language. Regions without any are not searched at all.
+ */
+export async function searchNicheMarketplaces(searchTerm, { region = resolveRegion(DEFAULT_REGION) } = {}) {
+  const domains = nicheDomainsFor(region);
+  if (domains.length === 0) {
+    logger.info(`No niche marketplaces configured for ${region.code}, skipping niche search`);
+    return [];
+  }
+
+  const { domain, gl, hl } = region.google;
+  logger.info(`Starting niche search for "${searchTerm}" on ${domain}...`);
+  const googleSearchUrl = `https://${domain}/search?${new URLSearchParams({ q: searchTerm, gl, hl })}`;
 
-  const googleHtml = await fetchPage(googleSearchUrl);
-  const listingUrls = extractGoogleResultLinks(googleHtml);
+  const googleHtml = await fetchPage(googleSearchUrl, region);
+  const listingUrls = extractGoogleResultLinks(googleHtml, domains);
 
   logger.info(`Found ${listingUrls.length} niche marketplace links from Google`);
 
   const results = [];
   for (const url of listingUrls) {
     try {
-      const listing = await scrapeListingPage(url);
+      const listing = await scrapeListingPage(url, region);
       results.push(listing);
     } catch (err) {
       logger.warn(`Failed to scrape ${url}: ${err.message}`);
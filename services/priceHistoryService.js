@@ -0,0 +1,233 @@
+import { currencyService } from './currencyService.js';
+import { FilePriceHistoryStore } from '../utils/priceHistoryStore.js';
+import { canonicalizeLink, titleSimilarity } from '../utils/listingClusters.js';
+import { tokenize } from '../utils/text.js';
+import { logger } from '../utils/logger.js';
+
+const HISTORY_DAYS = Number(process.env.PRICE_HISTORY_DAYS) || 90;
+// Fewer comparable prices than this and we don't call anything a deal
+const MIN_COMPARABLES = 5;
+const SIMILAR_TITLE_THRESHOLD = 0.6;
+// Prices are stored in one currency so listings from any marketplace compare
+const BASE_CURRENCY = 'GBP';
+
+// Seller filler that says nothing about which item it is
+const NOISE_WORDS = new Set([
+  'new', 'used', 'rare', 'vintage', 'genuine', 'original', 'boxed', 'bnib', 'bnwt', 'mint', 'excellent',
+  'condition', 'free', 'postage', 'p', 'uk', 'fast', 'delivery', 'look', 'wow', 'l', 'k',
+]);
+
+const LABELS = [
+  { maxPercentile: 10, label: 'great' },
+  { maxPercentile: 30, label: 'good' },
+  { maxPercentile: 70, label: 'fair' },
+  { maxPercentile: 100, label: 'high' },
+];
+
+export function normalizeQueryKey(query) {
+  return tokenize(query).join(' ');
+}
+
+export function normalizeItemKey(title) {
+  return [...new Set(tokenize(title).filter(t => !NOISE_WORDS.has(t)))].sort().join(' ');
+}
+
+function dateOf(timestamp) {
+  return timestamp.split('T')[0];
+}
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 86400000).toISOString().split('T')[0];
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+class PriceHistoryService {
+  constructor(store = new FilePriceHistoryStore()) {
+    this.store = store;
+    this.enabled = process.env.PRICE_HISTORY_DISABLED !== 'true';
+    this.byQuery = new Map();
+    // queryKey -> itemKey token -> observations, so similar titles are found without
+    // comparing a listing against every observation of its query
+    this.byToken = new Map();
+    this.seenToday = new Set();
+    this.loadedDay = null;
+    this.loading = null;
+  }
+
+  // Loads the last HISTORY_DAYS days once, and drops older days when the date changes
+  async ensureLoaded() {
+    const today = daysAgo(0);
+    if (this.loadedDay === today) return;
+    if (!this.loading) {
+      this.loading = (async () => {
+        const cutoff = daysAgo(HISTORY_DAYS);
+        const pruned = await this.store.prune(cutoff);
+        if (pruned) logger.info(`🧹 Pruned ${pruned} days of price history`);
+
+        const observations = await this.store.load(cutoff);
+        this.byQuery = new Map();
+        this.byToken = new Map();
+        this.seenToday = new Set();
+        observations.forEach(o => this.index(o, today));
+        this.loadedDay = today;
+        logger.info(`📈 Loaded ${observations.length} price observations`);
+      })().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  index(observation, today) {
+    if (!this.byQuery.has(observation.queryKey)) this.byQuery.set(observation.queryKey, []);
+    this.byQuery.get(observation.queryKey).push(observation);
+
+    if (!this.byToken.has(observation.queryKey)) this.byToken.set(observation.queryKey, new Map());
+    const tokens = this.byToken.get(observation.queryKey);
+    for (const token of observation.itemKey.split(' ').filter(Boolean)) {
+      if (!tokens.has(token)) tokens.set(token, []);
+      tokens.get(token).push(observation);
+    }
+    if (dateOf(observation.seenAt) === today) {
+      this.seenToday.add(`${observation.queryKey}|${observation.link}`);
+    }
+  }
+
+  async toBaseAmount(price) {
+    return (await currencyService.convert(price, BASE_CURRENCY))?.amount ?? null;
+  }
+
+  /**
+   * Store every listing a search saw. A listing is recorded at most once per query per day.
+   */
+  async record(searchTerm, listings) {
+    if (!this.enabled) return;
+    await this.ensureLoaded();
+
+    const queryKey = normalizeQueryKey(searchTerm);
+    const seenAt = new Date().toISOString();
+    const today = dateOf(seenAt);
+    const observations = [];
+
+    for (const listing of listings) {
+      const link = canonicalizeLink(listing.link);
+      if (this.seenToday.has(`${queryKey}|${link}`)) continue;
+      const baseAmount = await this.toBaseAmount(listing.price);
+      if (baseAmount == null) continue;
+
+      const observation = {
+        queryKey,
+        itemKey: normalizeItemKey(listing.title),
+        title: listing.title,
+        amount: listing.price.amount,
+        currency: listing.price.currency,
+        baseAmount,
+        source: listing.marketplace || listing.source,
+        link,
+        seenAt,
+      };
+      observations.push(observation);
+      this.index(observation, today);
+    }
+
+    await this.store.append(observations);
+    if (observations.length) logger.info(`📈 Recorded ${observations.length} prices for "${queryKey}"`);
+  }
+
+  /**
+   * Attach `deal` to each listing: where its price sits among comparable listings seen
+   * for the same query in the last HISTORY_DAYS days (percentile 0 = cheapest), or null
+   * when there is too little history. Comparables are narrowed to similar titles when
+   * there are enough of them. Expects listings with a convertedPrice.
+   */
+  async annotateDeals(searchTerm, listings) {
+    if (!this.enabled) return listings;
+    await this.ensureLoaded();
+
+    const queryKey = normalizeQueryKey(searchTerm);
+    const history = this.byQuery.get(queryKey) || [];
+    const tokens = this.byToken.get(queryKey) || new Map();
+    const cutoff = daysAgo(HISTORY_DAYS);
+    const recent = history.filter(o => dateOf(o.seenAt) >= cutoff);
+
+    return Promise.all(listings.map(async listing => {
+      const baseAmount = await this.toBaseAmount(listing.price);
+      const link = canonicalizeLink(listing.link);
+      const others = recent.filter(o => o.link !== link);
+      if (baseAmount == null || others.length < MIN_COMPARABLES) return { ...listing, deal: null };
+
+      // Only observations sharing a meaningful word can be similar; the same item key always is
+      const itemKey = normalizeItemKey(listing.title);
+      const candidates = new Set(itemKey.split(' ').flatMap(token => tokens.get(token) || []));
+      const similar = [...candidates].filter(o => o.link !== link && dateOf(o.seenAt) >= cutoff
+        && (o.itemKey === itemKey || titleSimilarity(o.title, listing.title) >= SIMILAR_TITLE_THRESHOLD));
+      const comparables = similar.length >= MIN_COMPARABLES ? similar : others;
+      const prices = comparables.map(o => o.baseAmount).sort((a, b) => a - b);
+      const percentile = Math.round((prices.filter(p => p < baseAmount).length / prices.length) * 100);
+      const typical = await currencyService.convert(
+        { amount: median(prices), currency: BASE_CURRENCY },
+        listing.convertedPrice.currency
+      );
+
+      return {
+        ...listing,
+        deal: {
+          percentile,
+          label: LABELS.find(l => percentile <= l.maxPercentile).label,
+          medianPrice: typical?.amount ?? null,
+          currency: listing.convertedPrice.currency,
+          sampleSize: prices.length,
+          matchedOn: comparables === similar ? 'similar_titles' : 'query',
+        },
+      };
+    }));
+  }
+
+  /**
+   * Daily min/median/max for a query over the last `days` days, in `currency`.
+   * @returns {Promise<{ query: string, currency: string, days: object[], overall: object|null }|null>}
+   *   null when there is no exchange rate for `currency`
+   */
+  async getHistory(query, { days = HISTORY_DAYS, currency = BASE_CURRENCY } = {}) {
+    await this.ensureLoaded();
+    const cutoff = daysAgo(Math.min(days, HISTORY_DAYS));
+    const observations = (this.byQuery.get(normalizeQueryKey(query)) || [])
+      .filter(o => dateOf(o.seenAt) >= cutoff);
+
+    const conversion = await currencyService.convert({ amount: 1, currency: BASE_CURRENCY }, currency);
+    if (!conversion) return null;
+    const { rate } = conversion;
+
+    const summarize = list => {
+      const prices = list.map(o => o.baseAmount * rate).sort((a, b) => a - b);
+      return {
+        count: prices.length,
+        min: round(prices[0]),
+        median: round(median(prices)),
+        max: round(prices[prices.length - 1]),
+      };
+    };
+
+    const byDay = new Map();
+    observations.forEach(o => {
+      const day = dateOf(o.seenAt);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(o);
+    });
+
+    return {
+      query: normalizeQueryKey(query),
+      currency: currency.toUpperCase(),
+      days: [...byDay.keys()].sort().map(date => ({ date, ...summarize(byDay.get(date)) })),
+      overall: observations.length ? summarize(observations) : null,
+    };
+  }
+}
+
+export const priceHistoryService = new PriceHistoryService();
@@ -0,0 +1,144 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { marketplaceRegistry } from './marketplaceRegistry.js';
+import { logger } from '../utils/logger.js';
+import { tokenize } from '../utils/text.js';
+
+const DEFAULT_RANKING_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/ranking.json');
+
+function loadRankingConfig(filePath = process.env.RANKING_CONFIG_FILE || DEFAULT_RANKING_FILE) {
+  const config = JSON.parse(readFileSync(filePath, 'utf8'));
+  logger.info(`📐 Loaded ranking config with ${config.negativeSignals.length} negative signals`);
+  return config;
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// Suggested price bands are rough, so only listings well outside one count
+function isOutsidePriceBand(result, band, tolerance) {
+  const amount = result.convertedPrice?.amount;
+  if (!band || amount == null) return false;
+  return amount < band.min * (1 - tolerance) || amount > band.max * (1 + tolerance);
+}
+
+/**
+ * BM25 over one field of the current result set. Scores are normalized to 0..1 by
+ * dividing by the sum of the query terms' IDFs, i.e. what a document of average
+ * length containing every query term once would score.
+ */
+class Bm25Field {
+  constructor(docs, { k1, b }) {
+    this.docs = docs.map(tokens => {
+      const tf = new Map();
+      tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+      return { tf, length: tokens.length };
+    });
+    this.k1 = k1;
+    this.b = b;
+    this.avgLength = this.docs.reduce((sum, d) => sum + d.length, 0) / (this.docs.length || 1) || 1;
+    this.df = new Map();
+    this.docs.forEach(d => d.tf.forEach((_, t) => this.df.set(t, (this.df.get(t) || 0) + 1)));
+  }
+
+  idf(term) {
+    const n = this.docs.length;
+    const df = this.df.get(term) || 0;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  score(docIndex, terms) {
+    if (terms.length === 0) return 0;
+    const doc = this.docs[docIndex];
+    let score = 0;
+    let maxScore = 0;
+    for (const term of terms) {
+      const idf = this.idf(term);
+      maxScore += idf;
+      const tf = doc.tf.get(term) || 0;
+      if (tf === 0) continue;
+      const norm = this.k1 * (1 - this.b + this.b * (doc.length / this.avgLength));
+      score += idf * (tf * (this.k1 + 1)) / (tf + norm);
+    }
+    return maxScore > 0 ? Math.min(1, score / maxScore) : 0;
+  }
+}
+
+class RankingService {
+  constructor(config = loadRankingConfig()) {
+    this.config = config;
+  }
+
+  get defaultMinScore() {
+    return this.config.defaultMinScore;
+  }
+
+  getSourceWeight(name) {
+    return this.config.sourceWeights?.[name] ?? marketplaceRegistry.getWeight(name);
+  }
+
+  /**
+   * Score results against the query.
+   * @param {object[]} results
+   * @param {object} query { text, enhancedTerms: string[], attributes: string[], priceBand: { min, max }|null,
+   *   suggestedExclusions: string[], explain: boolean }
+   *   priceBand is in the currency of each result's convertedPrice; suggestedExclusions are words
+   *   query understanding thinks mean a different item, penalized like negative signals
+   *   (weights.suggestedExclusion each) rather than filtered out
+   * @returns {object[]} results with `score` (0..1) and, when explain is set, `scoreBreakdown`
+   */
+  rank(results, { text, enhancedTerms = [], attributes = [], priceBand = null, suggestedExclusions = [], explain = false }) {
+    const { bm25, weights, negativeSignals } = this.config;
+    const queryTokens = [...new Set(tokenize(text))];
+    const enhancedTokens = [...new Set(enhancedTerms.flatMap(tokenize))].filter(t => !queryTokens.includes(t));
+    const attributeTokens = [...new Set(attributes.flatMap(tokenize))].filter(t => !queryTokens.includes(t));
+    const phrase = queryTokens.join(' ');
+
+    const configured = new Set(negativeSignals.map(signal => tokenize(signal.phrase).join(' ')));
+    const suggested = [...new Set(suggestedExclusions.map(k => tokenize(k).join(' ')))]
+      .filter(phrase => phrase && !configured.has(phrase))
+      .map(phrase => ({ phrase, penalty: weights.suggestedExclusion }));
+
+    // Signals the user asked for explicitly ("strat case") are not penalized
+    const activeSignals = [...negativeSignals, ...suggested].filter(signal =>
+      !tokenize(signal.phrase).some(t => queryTokens.includes(t))
+    );
+
+    const titles = new Bm25Field(results.map(r => tokenize(r.title)), bm25);
+    const descriptions = new Bm25Field(results.map(r => tokenize(r.description)), bm25);
+    // Most marketplaces only give us a title; those are scored on the title alone
+    const fieldScore = (i, terms) => {
+      if (descriptions.docs[i].length === 0) return titles.score(i, terms);
+      return (1 - weights.descriptionShare) * titles.score(i, terms) + weights.descriptionShare * descriptions.score(i, terms);
+    };
+
+    return results.map((result, i) => {
+      const titleText = tokenize(result.title).join(' ');
+      const fullText = `${titleText} ${tokenize(result.description).join(' ')}`;
+
+      const breakdown = {
+        query: round(weights.query * fieldScore(i, queryTokens)),
+        enhanced: round(weights.enhanced * fieldScore(i, enhancedTokens)),
+        attributes: round(weights.attributes * fieldScore(i, attributeTokens)),
+        phrase: phrase && ` ${titleText} `.includes(` ${phrase} `) ? weights.phrase : 0,
+        image: result.image ? weights.image : 0,
+        penalties: activeSignals
+          .filter(signal => ` ${fullText} `.includes(` ${tokenize(signal.phrase).join(' ')} `))
+          .map(signal => ({ signal: signal.phrase, penalty: signal.penalty })),
+        priceBand: isOutsidePriceBand(result, priceBand, weights.priceBandTolerance) ? -weights.outsidePriceBand : 0,
+        sourceWeight: this.getSourceWeight(result.marketplace || result.source),
+      };
+
+      const penalty = breakdown.penalties.reduce((sum, p) => sum + p.penalty, 0);
+      const base = breakdown.query + breakdown.enhanced + breakdown.attributes + breakdown.phrase
+        + breakdown.image + breakdown.priceBand - penalty;
+      const score = Math.round(Math.min(1, Math.max(0, base * breakdown.sourceWeight)) * 100) / 100;
+
+      return explain ? { ...result, score, scoreBreakdown: breakdown } : { ...result, score };
+    });
+  }
+}
+
+export const rankingService = new RankingService();
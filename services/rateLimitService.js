@@ -1,38 +1,79 @@
-import NodeCache from 'node-cache';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRateLimitStore } from '../utils/rateLimitStores.js';
 import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+
+const DEFAULT_TIERS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/rateLimits.json');
+
+function loadTiers(filePath = process.env.RATE_LIMIT_CONFIG_FILE || DEFAULT_TIERS_FILE) {
+  const tiers = JSON.parse(readFileSync(filePath, 'utf8'));
+  logger.info(`🚦 Loaded rate limit tiers: ${Object.keys(tiers).join(', ')}`);
+  return tiers;
+}
 
 class RateLimitService {
-  constructor() {
-    this.dailyCache = new NodeCache({ stdTTL: 86400 });
-    this.freeSearchLimit = 1; // set your free daily limit here
+  constructor(store = createRateLimitStore(), tiers = loadTiers()) {
+    this.store = store;
+    this.tiers = tiers;
   }
 
-  async checkDailyLimit(userIdentifier, isSubscribed = false) {
-    if (isSubscribed) {
-      return { allowed: true, remaining: 'unlimited', resetTime: null };
+  /**
+   * Limits for a tier and bucket: { session, ip }, or null when unlimited.
+   */
+  getLimits(tier, bucket) {
+    const tierConfig = this.tiers[tier] || this.tiers.anonymous;
+    return tierConfig[bucket] ?? null;
+  }
+
+  /**
+   * Count one request against the daily `bucket` quota ("search", "niche", ...).
+   * A request must be under both the per-session (or per-user) limit and the
+   * per-IP limit; rejected requests are not counted.
+   * @param {string} bucket
+   * @param {object} who { identity, ip, tier }
+   * @returns {Promise<{ allowed: boolean, tier: string, limit: number|null, remaining: number|string,
+   *   resetTime: string|null, resetSeconds: number|null }>}
+   */
+  async consume(bucket, { identity, ip, tier = 'anonymous' }) {
+    const limits = this.getLimits(tier, bucket);
+    if (!limits) {
+      return { allowed: true, tier, limit: null, remaining: 'unlimited', resetTime: null, resetSeconds: null };
     }
 
     const today = new Date().toISOString().split('T')[0];
-    const cacheKey = `daily_${userIdentifier}_${today}`;
-    let count = this.dailyCache.get(cacheKey) || 0;
+    const reset = this.getResetDate();
+    const resetTime = reset.toISOString();
+    const resetSeconds = Math.max(0, Math.ceil((reset.getTime() - Date.now()) / 1000));
+
+    const counters = [{ key: `${bucket}:id:${identity}:${today}`, limit: limits.session }];
+    if (ip && limits.ip != null) {
+      counters.push({ key: `${bucket}:ip:${ip}:${today}`, limit: limits.ip });
+    }
 
-    if (count >= this.freeSearchLimit) {
-      return { allowed: false, remaining: 0, resetTime: this.getResetTime() };
+    const { allowed, counts } = await this.store.consume(counters, reset.getTime());
+    if (!allowed) {
+      metrics.rateLimitRejections.inc({ bucket, tier });
+      return { allowed: false, tier, limit: limits.session, remaining: 0, resetTime, resetSeconds };
     }
 
-    this.dailyCache.set(cacheKey, count + 1);
     return {
       allowed: true,
-      remaining: this.freeSearchLimit - (count + 1),
-      resetTime: this.getResetTime(),
+      tier,
+      limit: limits.session,
+      remaining: Math.min(...counters.map(({ limit }, i) => limit - counts[i])),
+      resetTime,
+      resetSeconds,
     };
   }
 
-  getResetTime() {
+  // Quotas reset at midnight UTC, matching the date in the counter keys
+  getResetDate() {
     const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow.toISOString();
+    tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+    tomorrow.setUTCHours(0, 0, 0, 0);
+    return tomorrow;
   }
 }
 
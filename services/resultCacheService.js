@@ -0,0 +1,109 @@
+import { createCacheBackend } from '../utils/cacheBackends.js';
+import { logger } from '../utils/logger.js';
+import { classifyError } from '../utils/errors.js';
+
+const DEFAULT_TTL_SECONDS = Number(process.env.CACHE_DEFAULT_TTL_SECONDS) || 900;
+// How long past its TTL an entry may still be served while it is refreshed
+const STALE_SECONDS = Number(process.env.CACHE_STALE_SECONDS) || 3600;
+
+class ResultCacheService {
+  constructor(backend = createCacheBackend()) {
+    this.backend = backend;
+    this.refreshing = new Map();
+    // Misses being fetched, so identical searches arriving together share one fetch
+    this.pending = new Map();
+    this.enabled = process.env.CACHE_DISABLED !== 'true';
+  }
+
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * Stale-while-revalidate lookup. Fresh entries are returned as a hit; entries past
+   * their TTL are returned as stale and refreshed in the background; misses call fetcher.
+   * A miss for a key that is already being fetched waits for that fetch and is returned
+   * as a hit; if that fetch was cancelled by its own caller, this one fetches for itself.
+   * Errors from fetcher are not cached. fetcher receives { background } so it can drop
+   * request-scoped state (like an abort signal) when refreshing on its own.
+   * @returns {Promise<{ value: any, state: 'hit'|'stale'|'miss', ageSeconds: number }>}
+   */
+  async wrap(key, fetcher, { ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    if (!this.enabled) {
+      return { value: await fetcher({ background: false }), state: 'miss', ageSeconds: 0 };
+    }
+
+    let entry = null;
+    try {
+      entry = await this.backend.get(key);
+    } catch (error) {
+      logger.warn(`⚠️ Cache read failed for ${key}: ${error.message}`);
+    }
+
+    if (entry) {
+      const ageSeconds = Math.round((Date.now() - entry.storedAt) / 1000);
+      if (ageSeconds < ttlSeconds) {
+        return { value: entry.value, state: 'hit', ageSeconds };
+      }
+      this.refreshInBackground(key, fetcher, ttlSeconds);
+      return { value: entry.value, state: 'stale', ageSeconds };
+    }
+
+    const pending = this.pending.get(key);
+    if (pending) {
+      try {
+        return { value: await pending, state: 'hit', ageSeconds: 0 };
+      } catch (error) {
+        if (classifyError(error) !== 'cancelled') throw error;
+      }
+    }
+
+    const fetching = fetcher({ background: false });
+    this.pending.set(key, fetching);
+    try {
+      const value = await fetching;
+      await this.store(key, value, ttlSeconds);
+      return { value, state: 'miss', ageSeconds: 0 };
+    } finally {
+      if (this.pending.get(key) === fetching) this.pending.delete(key);
+    }
+  }
+
+  async store(key, value, ttlSeconds) {
+    try {
+      await this.backend.set(key, { storedAt: Date.now(), value }, ttlSeconds + STALE_SECONDS);
+    } catch (error) {
+      logger.warn(`⚠️ Cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  // One refresh per key at a time, detached from the request that noticed the stale entry
+  refreshInBackground(key, fetcher, ttlSeconds) {
+    if (this.refreshing.has(key)) return;
+
+    const refresh = (async () => {
+      try {
+        await this.store(key, await fetcher({ background: true }), ttlSeconds);
+        logger.info(`♻️ Refreshed stale cache entry ${key}`);
+      } catch (error) {
+        logger.warn(`⚠️ Background refresh failed for ${key}: ${error.message}`);
+      } finally {
+        this.refreshing.delete(key);
+      }
+    })();
+    this.refreshing.set(key, refresh);
+  }
+}
+
+/**
+ * Build a cache key from a normalized search term, the location and the parameters the
+ * source actually uses (its adapter's `cacheKeyParams`: 'currency' or filter names), so
+ * filters a source ignores don't split its cache.
+ */
+export function buildSearchCacheKey({ source, term, location, currency, filters = {}, params = [] }) {
+  const normalizedTerm = term.toLowerCase().trim().replace(/\s+/g, ' ');
+  const paramKey = JSON.stringify(params.map(name => (name === 'currency' ? currency.toUpperCase() : filters[name] ?? null)));
+  return `search:v2:${source}:${location.toUpperCase()}:${normalizedTerm}:${paramKey}`;
+}
+
+export const resultCacheService = new ResultCacheService();
@@ -0,0 +1,248 @@
+import crypto from 'crypto';
+import { searchService } from './searchService.js';
+import { webhookService } from './webhookService.js';
+import { rateLimitService } from './rateLimitService.js';
+import { userService } from './userService.js';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { logger } from '../utils/logger.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { canonicalizeLink } from '../utils/listingClusters.js';
+import { DEFAULT_REGION, resolveRegion, regionCodes } from '../utils/regions.js';
+
+const SCHEDULER_TICK_MS = Number(process.env.SAVED_SEARCH_TICK_MS) || 60 * 1000;
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+const MIN_INTERVAL_MINUTES = 60;
+const MAX_SEEN_LINKS = 1000;
+const MAX_SAVED_SEARCHES_PER_OWNER = 20;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Saved searches are owned by accounts: identityOf(req) is `user:<id>` behind requireUser
+async function findOwner(ownerId) {
+  const [kind, id] = String(ownerId).split(':');
+  return kind === 'user' && id ? userService.getById(id) : null;
+}
+
+// Every seller's link in a result: the representative can change between runs as
+// scores move, but a listing already seen under any of its offers isn't new
+function memberLinks(result) {
+  return (result.offers || [result]).map(offer => canonicalizeLink(offer.link));
+}
+
+// Strip scheduler bookkeeping before handing a saved search to API callers
+function toPublic(savedSearch) {
+  const { ownerId, seenLinks, ...rest } = savedSearch;
+  return { ...rest, seenCount: seenLinks.length };
+}
+
+class SavedSearchService {
+  constructor(store = new JsonFileStore('saved-searches.json', { searches: [] })) {
+    this.store = store;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Validate the non-filter fields of a saved search payload.
+   * @returns {string|null} error message
+   */
+  validate({ search_term, location, webhook_url, interval_minutes }, { partial = false } = {}) {
+    if (!partial || search_term !== undefined) {
+      if (!search_term || typeof search_term !== 'string') return 'Invalid search term';
+    }
+    if (location !== undefined && (typeof location !== 'string' || !resolveRegion(location))) {
+      return `Unknown location: ${location} (available: ${regionCodes().join(', ')})`;
+    }
+    if (webhook_url !== undefined && webhook_url !== null && !isHttpUrl(webhook_url)) {
+      return 'webhook_url must be an http(s) URL';
+    }
+    if (interval_minutes !== undefined) {
+      const n = Number(interval_minutes);
+      if (!Number.isInteger(n) || n < MIN_INTERVAL_MINUTES) {
+        return `interval_minutes must be an integer of at least ${MIN_INTERVAL_MINUTES}`;
+      }
+    }
+    return null;
+  }
+
+  async list(ownerId) {
+    const { searches } = await this.store.load();
+    return searches.filter(s => s.ownerId === ownerId).map(toPublic);
+  }
+
+  async get(ownerId, id) {
+    const { searches } = await this.store.load();
+    const found = searches.find(s => s.id === id && s.ownerId === ownerId);
+    return found ? toPublic(found) : null;
+  }
+
+  get maxPerOwner() {
+    return MAX_SAVED_SEARCHES_PER_OWNER;
+  }
+
+  // Resolves to null when the owner already has the maximum number of saved searches
+  async create(ownerId, { search_term, location = DEFAULT_REGION, currency, webhook_url, interval_minutes }, filters = {}) {
+    const region = resolveRegion(location);
+    return this.store.update(data => {
+      if (data.searches.filter(s => s.ownerId === ownerId).length >= MAX_SAVED_SEARCHES_PER_OWNER) {
+        return null;
+      }
+      const savedSearch = {
+        id: crypto.randomUUID(),
+        ownerId,
+        searchTerm: search_term.trim(),
+        location: region.code,
+        currency: currency || region.currency,
+        filters,
+        webhookUrl: webhook_url || null,
+        intervalMinutes: Number(interval_minutes) || DEFAULT_INTERVAL_MINUTES,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastNewCount: 0,
+        seenLinks: [],
+      };
+      data.searches.push(savedSearch);
+      return toPublic(savedSearch);
+    });
+  }
+
+  async update(ownerId, id, changes, filters) {
+    return this.store.update(data => {
+      const savedSearch = data.searches.find(s => s.id === id && s.ownerId === ownerId);
+      if (!savedSearch) return null;
+
+      if (changes.search_term !== undefined) savedSearch.searchTerm = changes.search_term.trim();
+      if (changes.location !== undefined) savedSearch.location = resolveRegion(changes.location).code;
+      if (changes.currency !== undefined) savedSearch.currency = changes.currency || resolveRegion(savedSearch.location).currency;
+      if (changes.webhook_url !== undefined) savedSearch.webhookUrl = changes.webhook_url || null;
+      if (changes.interval_minutes !== undefined) savedSearch.intervalMinutes = Number(changes.interval_minutes);
+      if (filters) savedSearch.filters = filters;
+      return toPublic(savedSearch);
+    });
+  }
+
+  async remove(ownerId, id) {
+    return this.store.update(data => {
+      const before = data.searches.length;
+      data.searches = data.searches.filter(s => !(s.id === id && s.ownerId === ownerId));
+      return data.searches.length < before;
+    });
+  }
+
+  /**
+   * Re-run one saved search and notify about listings not seen before.
+   * The first run only records what is already listed.
+   * @returns {Promise<object[]>} the new listings
+   */
+  async run(savedSearch) {
+    const { searchTerm, location, currency, filters } = savedSearch;
+    const { listings: results } = await searchService.performSearch(searchTerm, location, currency, filters);
+
+    const seen = new Set(savedSearch.seenLinks);
+    const isFirstRun = savedSearch.lastRunAt === null;
+    const newListings = results.filter(r => !memberLinks(r).some(link => seen.has(link)));
+    const newLinks = results.flatMap(memberLinks).filter(link => !seen.has(link));
+
+    const markSeen = () => this.store.update(() => {
+      savedSearch.seenLinks = [...new Set(newLinks), ...savedSearch.seenLinks].slice(0, MAX_SEEN_LINKS);
+      savedSearch.lastRunAt = new Date().toISOString();
+      savedSearch.lastNewCount = isFirstRun ? 0 : newListings.length;
+    });
+
+    if (isFirstRun || newListings.length === 0) {
+      await markSeen();
+      logger.info(`🔁 Saved search ${savedSearch.id} ran: ${isFirstRun ? 'seeded' : 'no new'} listings`);
+      return [];
+    }
+
+    logger.info(`🔔 Saved search ${savedSearch.id} found ${newListings.length} new listings`);
+    const webhookUrl = savedSearch.webhookUrl || process.env.SAVED_SEARCH_WEBHOOK_URL;
+    const delivered = webhookUrl
+      ? await webhookService.send(webhookUrl, {
+        event: 'saved_search.new_listings',
+        savedSearch: toPublic(savedSearch),
+        listings: newListings,
+      })
+      : true;
+
+    // Undelivered listings stay unseen, so the next run sends them again
+    if (!delivered) {
+      await this.store.update(() => { savedSearch.lastRunAt = new Date().toISOString(); });
+      logger.warn(`⚠️ Saved search ${savedSearch.id}: webhook not delivered, will retry ${newListings.length} listings next run`);
+      return newListings;
+    }
+    await markSeen();
+    return newListings;
+  }
+
+  async runDue(now = Date.now()) {
+    if (this.running) return;
+    this.running = true;
+    try {
+      const { searches } = await this.store.load();
+      const due = searches.filter(s =>
+        !s.lastRunAt || now - Date.parse(s.lastRunAt) >= s.intervalMinutes * 60 * 1000
+      );
+
+      // One at a time: each run already fans out across every marketplace
+      const orphaned = [];
+      for (const savedSearch of due) {
+        const owner = await findOwner(savedSearch.ownerId);
+        if (!owner) {
+          orphaned.push(savedSearch.id);
+          continue;
+        }
+
+        // Scheduled runs have no HTTP request, so their logs are tagged with the saved search
+        await runWithContext({ savedSearchId: savedSearch.id }, async () => {
+          try {
+            // Each run counts against the owner's daily search quota; over it, the run waits for the next tick
+            const allowance = await rateLimitService.consume('search', {
+              identity: savedSearch.ownerId,
+              tier: userService.getTier(owner),
+            });
+            if (!allowance.allowed) {
+              logger.info(`⏸️ Saved search ${savedSearch.id} skipped until ${allowance.resetTime} (${allowance.tier} search limit reached)`);
+              return;
+            }
+            await this.run(savedSearch);
+          } catch (error) {
+            logger.error(`❌ Saved search ${savedSearch.id} failed:`, error.message);
+          }
+        });
+      }
+
+      if (orphaned.length > 0) await this.prune(orphaned);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Drop saved searches whose owning account no longer exists
+  async prune(ids) {
+    await this.store.update(data => {
+      data.searches = data.searches.filter(s => !ids.includes(s.id));
+    });
+    logger.info(`🧹 Removed ${ids.length} saved searches without an owner`);
+  }
+
+  startScheduler() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runDue(), SCHEDULER_TICK_MS);
+    this.timer.unref();
+    logger.info(`⏰ Saved search scheduler started (tick ${SCHEDULER_TICK_MS / 1000}s)`);
+  }
+
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export const savedSearchService = new SavedSearchService();
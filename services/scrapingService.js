@@ -1,87 +1,73 @@
-import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { parsePrice, toPrice } from '../utils/price.js';
+import { loadSelectorSet, extractWithSelectors, parseWarning } from '../utils/selectorExtractor.js';
+import { fetchService } from './fetchService.js';
+import { DEFAULT_REGION, resolveRegion } from '../utils/regions.js';
 
-const BASE_URL = 'https://app.scrapingbee.com/api/v1/';
+if (!fetchService.isConfigured()) {
+  logger.warn(`⚠️ Fetch transport "${fetchService.transport.name}" is not configured. Scraping will fail.`);
+}
+
+// Markers that show up in challenge/interstitial pages instead of real results
+const BOT_BLOCK_MARKERS = {
+  ebay: ['radware_stormcaster', 'just a moment', 'captcha'],
+  discogs: ['cf-challenge', 'cf_chl_opt', 'just a moment', 'attention required'],
+  vinted: ['datadome', 'captcha-delivery.com', 'access denied'],
+  depop: ['px-captcha', 'perimeterx', 'access to this page has been denied'],
+  gumtree: ['_incapsula_resource', 'request unsuccessful. incapsula'],
+};
+
+const EBAY_SELECTORS = loadSelectorSet('ebay');
+const EBAY_ITEM_SELECTORS = loadSelectorSet('ebayItem');
+
+// Currencies Discogs can list prices in; anything else falls back to the region's currency
+const DISCOGS_CURRENCIES = ['GBP', 'USD', 'EUR', 'CAD', 'AUD', 'JPY', 'CHF', 'SEK', 'NZD', 'MXN', 'BRL', 'ZAR'];
 
-if (!process.env.SCRAPINGBEE_API_KEY) {
-  logger.warn('⚠️ SCRAPINGBEE_API_KEY not set. Scraping will fail.');
+const KM_PER_MILE = 1.609344;
+
+// Vinted overlay titles end with ", brand: Nike, condition: Good, size: M, £18.00" (labels are
+// localised, e.g. "Marke:") or just ", £18.00". Both are cut; commas inside the title itself are kept
+const VINTED_TITLE_DETAILS = /,\s*[\p{L} ]+:\s.*$/u;
+const VINTED_TITLE_PRICE = /,\s*(?:\p{Sc}\s?\d[\d.,\s]*|\d[\d.,\s]*\s?(?:\p{Sc}|zł|kr|Kč))$/u;
+
+// "Free postage" is 0; "+£3.49 postage" is 3.49; "Postage not specified" is unknown.
+// Non-UK eBay sites say "Kostenloser Versand", "Livraison gratuite" and so on.
+function parseShippingCost(text, currency) {
+  if (!text) return null;
+  if (/\b(?:free|kostenlos\w*|gratuit\w*|gratis)\b/i.test(text)) return { amount: 0, currency, original: text };
+  return parseCharge(text, currency);
 }
 
-async function fetchPage(url, options = {}) {
-  const { maxRetries = 5, cookies } = options;
-  const SCRAPINGBEE_API_KEY = process.env.SCRAPINGBEE_API_KEY;
+// The first amount in a sentence such as "+£3.49 postage" or "12,00 EUR Einfuhrabgaben"
+function parseCharge(text, currency) {
+  return parsePrice(text?.match(/[£$€][\d,.]+|[\d,.]+\s*(?:€|GBP|EUR|USD)/)?.[0], currency);
+}
 
-  if (!SCRAPINGBEE_API_KEY) {
-    throw new Error('ScrapingBee API key is not configured');
-  }
+function parseBidCount(text) {
+  const match = text?.match(/(\d+)\s+(?:bids?|gebote?|enchères?)/i);
+  return match ? Number(match[1]) : null;
+}
 
-  // Build query params for ScrapingBee API call
-  const params = {
-    api_key: SCRAPINGBEE_API_KEY,
-    url,
-    render_js: true,
-    premium_proxy: true,
-    block_resources: false,  // keep this to bypass bot detection
-    // Removed 'country' param as it causes errors
-  };
-
-  if (cookies) {
-    params.cookies = JSON.stringify(cookies);
-  }
+// "99.6% positive feedback" -> 99.6; "seller (1,234)" -> 1234
+function parseFeedbackPercent(text) {
+  const match = text?.match(/(\d{1,3}(?:[.,]\d+)?)\s*%/);
+  return match ? Number(match[1].replace(',', '.')) : null;
+}
 
-  // Custom headers for the target site (eBay)
-  const customHeaders = {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) ' +
-      'AppleWebKit/537.36 (KHTML, like Gecko) ' +
-      'Chrome/115.0.0.0 Safari/537.36',
-    'Accept-Language': 'en-GB,en;q=0.9',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-    'Referer': 'https://www.ebay.co.uk/',
-  };
-
-  let attempt = 0;
-  const delayMs = 1000;
-  const rateLimitDelayMs = 10000;
-
-  while (attempt <= maxRetries) {
-    attempt++;
-    try {
-      const response = await axios.get(BASE_URL, {
-        params,
-        headers: customHeaders,  // Pass headers here, NOT inside params
-        timeout: 30000,
-      });
-      logger.info(`✅ fetchPage success for URL: ${url}, length: ${response.data.length}`);
-      return response.data;
-    } catch (error) {
-      const status = error.response?.status;
-      const snippet = error.response?.data
-        ? JSON.stringify(error.response.data).slice(0, 300)
-        : '';
-
-      if (status === 429) {
-        const waitTime = rateLimitDelayMs * Math.pow(2, attempt - 1);
-        const jitter = Math.floor(Math.random() * 1000);
-        const totalWait = waitTime + jitter;
-        logger.warn(`⚠️ fetchPage attempt ${attempt} rate limited for URL: ${url} - waiting ${totalWait / 1000}s`);
-        if (attempt > maxRetries) {
-          logger.error(`❌ fetchPage max retries reached due to rate limiting for URL: ${url}`);
-          throw error;
-        }
-        await new Promise(r => setTimeout(r, totalWait));
-      } else {
-        logger.warn(`⚠️ fetchPage attempt ${attempt} failed for URL: ${url} - Status: ${status} - Message: ${error.message}`);
-        if (snippet) logger.warn(`Response snippet: ${snippet}`);
-        if (attempt > maxRetries) {
-          logger.error(`❌ fetchPage max retries reached for URL: ${url}`);
-          throw error;
-        }
-        await new Promise(r => setTimeout(r, delayMs * attempt));
-      }
-    }
-  }
+function parseFeedbackScore(text) {
+  const match = text?.match(/\(([\d,.]+)\)/);
+  return match ? Number(match[1].replace(/[,.]/g, '')) : null;
+}
 
-  throw new Error('fetchPage failed after max retries');
+// "2d 4h left", "5h 12m left", "30s left" -> ISO end time relative to now
+function parseTimeLeft(text) {
+  if (!text) return null;
+  const units = { d: 86400, h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  for (const [, value, unit] of text.matchAll(/(\d+)\s*([dhms])\b/gi)) {
+    seconds += Number(value) * units[unit.toLowerCase()];
+  }
+  return seconds > 0 ? new Date(Date.now() + seconds * 1000).toISOString() : null;
 }
 
 function safeMatch(regex, str, group = 1) {
@@ -89,6 +75,48 @@ function safeMatch(regex, str, group = 1) {
   return match && match[group] ? match[group].trim() : null;
 }
 
+function isBotBlocked(html, marketplace) {
+  const lower = html.toLowerCase();
+  return BOT_BLOCK_MARKERS[marketplace].some(marker => lower.includes(marker));
+}
+
+// The fetch layer throws BotBlockedError for challenge pages and counts them towards the host's breaker.
+// Pages are requested in the region's language, from the region's country where the transport
+// can choose, so prices and text come back localised consistently.
+function fetchPage(url, marketplace, { region, headers, ...options } = {}) {
+  return fetchService.fetchPage(url, {
+    ...options,
+    countryCode: region?.countryCode,
+    headers: { ...(region ? { 'Accept-Language': region.acceptLanguage } : {}), ...headers },
+    marketplace,
+    isBlocked: body => isBotBlocked(body, marketplace),
+  });
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function cleanText(str) {
+  if (!str) return null;
+  const text = str
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || null;
+}
+
+function absoluteUrl(href, origin) {
+  if (!href) return null;
+  return href.startsWith('http') ? href : `${origin}${href.startsWith('/') ? '' : '/'}${href}`;
+}
+
 function buildMarketplaceUrl(base, queryParams) {
   const params = new URLSearchParams();
   for (const key in queryParams) {
@@ -97,15 +125,33 @@ function buildMarketplaceUrl(base, queryParams) {
   return `${base}?${params.toString()}`;
 }
 
+// eBay search-page parameters for our sort and condition filters
+const EBAY_SORT_CODES = { relevance: '12', price_asc: '15', price_desc: '16', newest: '10' };
+const EBAY_CONDITION_CODES = { new: '1000', used: '3000' };
+const EBAY_LISTING_TYPE_PARAMS = { auction: 'LH_Auction', buy_it_now: 'LH_BIN' };
+
+// Scrapers take the region profile from utils/regions.js; it defaults to the UK sites
 class ScrapingService {
-  async searchEbay(term) {
-    const url = buildMarketplaceUrl('https://www.ebay.co.uk/sch/i.html', {
+  async searchEbay(term, filters = {}, { signal, region = resolveRegion(DEFAULT_REGION) } = {}) {
+    const { domain } = region.marketplaces.ebay;
+    const query = {
       _nkw: term,
-      _sop: '12',
-    });
+      _sop: EBAY_SORT_CODES[filters.sort] || EBAY_SORT_CODES.relevance,
+    };
+    // Each eBay site prices in its region's currency, so only push price bounds down in that currency
+    if (filters.currency === region.currency) {
+      if (filters.minPrice !== undefined) query._udlo = filters.minPrice;
+      if (filters.maxPrice !== undefined) query._udhi = filters.maxPrice;
+    }
+    if (filters.condition) query.LH_ItemCondition = EBAY_CONDITION_CODES[filters.condition];
+    if (filters.listingType) query[EBAY_LISTING_TYPE_PARAMS[filters.listingType]] = '1';
+    // The search page can only narrow to sellers in the site's own country
+    if (filters.itemLocation === region.countryCode) query.LH_PrefLoc = '1';
 
-    logger.info(`🛒 Searching eBay for: "${term}"`);
-    const html = await fetchPage(url);
+    const url = buildMarketplaceUrl(`https://${domain}/sch/i.html`, query);
+
+    logger.info(`🛒 Searching eBay (${domain}) for: "${term}"`);
+    const html = await fetchPage(url, 'ebay', { region, headers: { Referer: `https://${domain}/` }, signal });
 
     if (!html) {
       logger.warn('⚠️ fetchPage returned empty HTML');
@@ -113,39 +159,272 @@ class ScrapingService {
     }
 
     logger.info(`📝 Fetched eBay HTML length: ${html.length}`);
-    logger.info(`📝 eBay HTML snippet (first 5KB):\n${html.slice(0, 5000).replace(/\n/g, ' ')}`);
 
-    // Detect bot blocking
-    if (html.includes('radware_stormcaster') || html.includes('just a moment') || html.includes('captcha')) {
-      logger.warn('⚠️ Detected possible bot-blocking content in eBay HTML');
+    const { layout, items: rawItems, warnings } = extractWithSelectors(html, EBAY_SELECTORS, ['title', 'link', 'price']);
+    if (layout) logger.info(`📝 eBay served layout ${layout}`);
+    warnings.forEach(warning => logger.warn('⚠️ eBay parse warning', warning));
+
+    const items = [];
+    for (const raw of rawItems) {
+      const price = parsePrice(raw.price, region.currency);
+      if (!price) {
+        logger.warn('⚠️ eBay parse warning', parseWarning('unparseable_price', { layout, value: raw.price }));
+        continue;
+      }
+      const bidCount = parseBidCount(raw.bids);
+      items.push({
+        title: raw.title,
+        price,
+        link: raw.link,
+        image: raw.image,
+        source: 'ebay',
+        shippingCost: parseShippingCost(raw.shipping, region.currency),
+        condition: raw.condition,
+        bidCount,
+        endTime: parseTimeLeft(raw.timeLeft),
+        sellerLocation: raw.location?.replace(/^(?:from|located in|aus|depuis)\s+/i, '') || null,
+        listingType: bidCount != null ? 'auction' : 'buy_it_now',
+      });
+    }
+
+    logger.info(`📦 Parsed ${items.length} eBay items for "${term}"`);
+    return items;
+  }
+
+  /**
+   * Scrape an eBay item page into the same shape as EbayApiService.getItem. The page only
+   * shows the default postage option, so shippingOptions has at most one entry.
+   * @returns {Promise<object|null>} null when the page can't be parsed
+   */
+  async getEbayItem(url, { signal, region = resolveRegion(DEFAULT_REGION) } = {}) {
+    logger.info(`🛒 Fetching eBay item page: ${url}`);
+    const html = await fetchPage(url, 'ebay', { region, signal });
+
+    const { layout, items: [raw], warnings } = extractWithSelectors(html || '', EBAY_ITEM_SELECTORS, ['title', 'price']);
+    if (layout) logger.info(`📝 eBay item page served layout ${layout}`);
+    warnings.forEach(warning => logger.warn('⚠️ eBay item parse warning', warning));
+    if (!raw) return null;
+
+    const price = parsePrice(raw.price, region.currency);
+    if (!price) {
+      logger.warn('⚠️ eBay item parse warning', parseWarning('unparseable_price', { layout, value: raw.price }));
+      return null;
+    }
+
+    const bidCount = parseBidCount(raw.bids);
+    const shippingCost = parseShippingCost(raw.shipping, region.currency);
+    // "£3.49 Royal Mail 2nd Class. See details Located in: London" -> "Royal Mail 2nd Class"
+    const shippingLabel = raw.shipping?.split(/see details|located in/i)[0]
+      .replace(/^\+?\s*(?:[£$€][\d,.]+|[\d,.]+\s*(?:€|GBP|EUR|USD))\s*/, '')
+      .replace(/\.\s*$/, '')
+      .trim() || null;
+    return {
+      itemId: url.match(/\/itm\/(?:[^/]+\/)?(\d{9,})/)?.[1] || null,
+      title: raw.title,
+      price,
+      link: url,
+      condition: raw.condition,
+      seller: raw.sellerName ? {
+        name: raw.sellerName,
+        feedbackScore: parseFeedbackScore(raw.sellerFeedbackScore),
+        feedbackPercent: parseFeedbackPercent(raw.sellerFeedbackPercent),
+      } : null,
+      shippingOptions: shippingCost || shippingLabel ? [{
+        service: shippingLabel,
+        cost: shippingCost,
+        importCharges: parseCharge(raw.importCharges, region.currency),
+        estimatedDelivery: null,
+      }] : [],
+      itemLocation: raw.location?.replace(/^(?:located in|from|aus|depuis)\s*:?\s*/i, '') || null,
+      listingType: bidCount != null ? 'auction' : 'buy_it_now',
+      bidCount,
+      endTime: parseTimeLeft(raw.timeLeft),
+      images: raw.images || [],
+      source: 'ebay',
+    };
+  }
+
+  /**
+   * Fetch any other marketplace's listing page, with that marketplace's bot-block checks.
+   */
+  fetchListingPage(url, marketplace, { signal, region = resolveRegion(DEFAULT_REGION) } = {}) {
+    logger.info(`🔎 Fetching ${marketplace} listing page: ${url}`);
+    return fetchPage(url, marketplace, { region, signal });
+  }
+
+  async searchDiscogs(term, { signal, currency, region = resolveRegion(DEFAULT_REGION) } = {}) {
+    const listCurrency = DISCOGS_CURRENCIES.includes(currency) ? currency : region.currency;
+    const url = buildMarketplaceUrl('https://www.discogs.com/sell/list', {
+      q: term,
+      currency: listCurrency,
+      sort: 'listed,desc',
+    });
+
+    logger.info(`💿 Searching Discogs for: "${term}"`);
+    const html = await fetchPage(url, 'discogs', { region, signal });
+
+    if (!html) {
+      logger.warn('⚠️ fetchPage returned empty Discogs HTML');
       return [];
     }
 
-    // Find eBay listing blocks with class "s-item"
-    const itemBlocks = [...html.matchAll(/<li[^>]+class="[^"]*s-item[^"]*"[^>]*>.*?<\/li>/gs)];
-    logger.info(`📝 Found ${itemBlocks.length} <li class="s-item"> blocks`);
+    // Marketplace listings are table rows with class "shortcut_navigable"
+    const rows = [...html.matchAll(/<tr[^>]+class="[^"]*shortcut_navigable[^"]*"[^>]*>.*?<\/tr>/gs)];
+    logger.info(`📝 Found ${rows.length} Discogs listing rows`);
+
+    const items = rows.map(row => {
+      const rowStr = row[0];
+      const anchor = /<a[^>]+href="(\/sell\/item\/\d+[^"]*)"[^>]*class="[^"]*item_description_title[^"]*"[^>]*>(.*?)<\/a>/s.exec(rowStr);
+      const title = cleanText(anchor?.[2]);
+      const link = absoluteUrl(anchor?.[1], 'https://www.discogs.com');
+      const price = parsePrice(cleanText(safeMatch(/<span[^>]+class="[^"]*\bprice\b[^"]*"[^>]*>(.*?)<\/span>/s, rowStr)), listCurrency);
+      const image = safeMatch(/<img[^>]+data-src="([^"]+)"/, rowStr) || safeMatch(/<img[^>]+src="([^"]+)"/, rowStr);
+
+      if (title && link && price) {
+        return { title, price, link, image, source: 'discogs' };
+      }
+      logger.warn(`⚠️ Skipping incomplete Discogs item. Title: ${title}, Link: ${link}, Price: ${price?.original}`);
+      return null;
+    }).filter(Boolean);
+
+    logger.info(`📦 Parsed ${items.length} Discogs items for "${term}"`);
+    return items;
+  }
+
+  async searchVinted(term, { signal, region = resolveRegion(DEFAULT_REGION) } = {}) {
+    const { domain } = region.marketplaces.vinted;
+    const url = buildMarketplaceUrl(`https://${domain}/catalog`, {
+      search_text: term,
+      order: 'newest_first',
+    });
+    const itemLink = new RegExp(`<a[^>]+href="(https://${escapeRegex(domain)}/items/\\d+[^"]*)"`);
+
+    logger.info(`👕 Searching Vinted (${domain}) for: "${term}"`);
+    const html = await fetchPage(url, 'vinted', { region, signal });
 
-    if (itemBlocks.length === 0) {
-      logger.warn('⚠️ No eBay listing blocks found with current regex');
+    if (!html) {
+      logger.warn('⚠️ fetchPage returned empty Vinted HTML');
       return [];
     }
 
-    // Parse listing details
-    const items = itemBlocks.map(block => {
-      const blockStr = block[0];
-      const title = safeMatch(/<h3[^>]*>(.*?)<\/h3>/, blockStr);
-      const link = safeMatch(/href="(https:\/\/www\.ebay\.co\.uk\/itm\/[^"]+)"/, blockStr);
-      const price = safeMatch(/£[\d,.]+/, blockStr);
-      const image = safeMatch(/<img[^>]+src="([^"]+)"/, blockStr);
+    // Each catalogue tile is wrapped in a data-testid="grid-item" container
+    const tiles = html.split(/<div[^>]+data-testid="grid-item"[^>]*>/).slice(1);
+    logger.info(`📝 Found ${tiles.length} Vinted grid items`);
+
+    const items = tiles.map(tile => {
+      const link = safeMatch(itemLink, tile);
+      // The overlay anchor title reads "<title>, brand: ..., £12.00"; the title may hold commas itself
+      const overlayTitle = cleanText(safeMatch(/<a[^>]+title="([^"]+)"/, tile));
+      const title = overlayTitle
+        ? overlayTitle.replace(VINTED_TITLE_DETAILS, '').replace(VINTED_TITLE_PRICE, '').trim() || null
+        : null;
+      const price = parsePrice(cleanText(safeMatch(/data-testid="[^"]*--price-text"[^>]*>(.*?)<\//s, tile)), region.currency);
+      const image = safeMatch(/<img[^>]+src="([^"]+)"/, tile);
 
       if (title && link && price) {
-        return { title, price, link, image, source: 'ebay' };
+        return { title, price, link, image, source: 'vinted' };
       }
-      logger.warn(`⚠️ Skipping incomplete eBay item. Title: ${title}, Link: ${link}, Price: ${price}`);
+      logger.warn(`⚠️ Skipping incomplete Vinted item. Title: ${title}, Link: ${link}, Price: ${price?.original}`);
       return null;
     }).filter(Boolean);
 
-    logger.info(`📦 Parsed ${items.length} eBay items for "${term}"`);
+    logger.info(`📦 Parsed ${items.length} Vinted items for "${term}"`);
+    return items;
+  }
+
+  async searchDepop(term, { signal, region = resolveRegion(DEFAULT_REGION) } = {}) {
+    // Depop's web app is backed by a public JSON search API, so skip JS rendering
+    const url = buildMarketplaceUrl('https://webapi.depop.com/api/v2/search/products/', {
+      what: term,
+      country: region.marketplaces.depop.country,
+      currency: region.currency,
+      items_per_page: '24',
+    });
+
+    logger.info(`🛍️ Searching Depop for: "${term}"`);
+    const body = await fetchPage(url, 'depop', { region, renderJs: false, signal });
+
+    if (!body) {
+      logger.warn('⚠️ fetchPage returned empty Depop response');
+      return [];
+    }
+
+    let data = body;
+    if (typeof body === 'string') {
+      try {
+        data = JSON.parse(body);
+      } catch (parseError) {
+        logger.warn('⚠️ Depop response was not valid JSON');
+        return [];
+      }
+    }
+
+    const products = Array.isArray(data.products) ? data.products : [];
+    logger.info(`📝 Found ${products.length} Depop products`);
+
+    const items = products.map(product => {
+      const title = cleanText(product.description?.split('\n')[0]) || cleanText(product.slug?.replace(/-/g, ' '));
+      const link = product.slug ? `https://www.depop.com/products/${product.slug}/` : null;
+      const amount = product.price?.discountedPriceAmount || product.price?.priceAmount;
+      const price = amount ? toPrice(amount, product.price.currencyName || region.currency) : null;
+      const image = product.preview?.['640'] || product.preview?.['320'] || product.pictures?.[0]?.['640'] || null;
+
+      if (title && link && price) {
+        return { title, price, link, image, source: 'depop' };
+      }
+      logger.warn(`⚠️ Skipping incomplete Depop item. Title: ${title}, Link: ${link}, Price: ${price?.original}`);
+      return null;
+    }).filter(Boolean);
+
+    logger.info(`📦 Parsed ${items.length} Depop items for "${term}"`);
+    return items;
+  }
+
+  /**
+   * Gumtree is local pickup, so a postcode narrows results to sellers within radiusKm of it
+   * (Gumtree's own distance is in miles).
+   */
+  async searchGumtree(term, { signal, region = resolveRegion(DEFAULT_REGION), postcode, radiusKm } = {}) {
+    const { domain } = region.marketplaces.gumtree;
+    const query = {
+      search_category: 'all',
+      q: term,
+      sort: 'date',
+    };
+    if (postcode) {
+      query.search_location = postcode;
+      if (radiusKm) query.distance = Math.max(1, Math.round(radiusKm / KM_PER_MILE));
+    }
+    const url = buildMarketplaceUrl(`https://${domain}/search`, query);
+
+    logger.info(`📰 Searching Gumtree for: "${term}"${postcode ? ` near ${postcode}` : ''}`);
+    const html = await fetchPage(url, 'gumtree', { region, signal });
+
+    if (!html) {
+      logger.warn('⚠️ fetchPage returned empty Gumtree HTML');
+      return [];
+    }
+
+    const articles = [...html.matchAll(/<article[^>]+data-q="search-result"[^>]*>.*?<\/article>/gs)];
+    logger.info(`📝 Found ${articles.length} Gumtree search results`);
+
+    const items = articles.map(article => {
+      const articleStr = article[0];
+      const href = safeMatch(/<a[^>]+data-q="search-result-anchor"[^>]+href="([^"]+)"/, articleStr)
+        || safeMatch(/<a[^>]+href="(\/p\/[^"]+)"/, articleStr);
+      const link = absoluteUrl(href, `https://${domain}`);
+      const title = cleanText(safeMatch(/data-q="tile-title"[^>]*>(.*?)<\/div>/s, articleStr));
+      const price = parsePrice(cleanText(safeMatch(/data-q="tile-price"[^>]*>(.*?)<\/div>/s, articleStr)), region.currency);
+      const image = safeMatch(/<img[^>]+src="([^"]+)"/, articleStr);
+
+      if (title && link && price) {
+        return { title, price, link, image, source: 'gumtree' };
+      }
+      logger.warn(`⚠️ Skipping incomplete Gumtree item. Title: ${title}, Link: ${link}, Price: ${price?.original}`);
+      return null;
+    }).filter(Boolean);
+
+    logger.info(`📦 Parsed ${items.length} Gumtree items for "${term}"`);
     return items;
   }
 }
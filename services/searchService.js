@@ -1,10 +1,35 @@
-import { openaiService } from './openaiService.js';
-import { scrapingService } from './scrapingService.js';
-import { googleShoppingService } from './googleShoppingService.js';
+import { llmService } from './llmService.js';
+import { marketplaceRegistry } from './marketplaceRegistry.js';
+import { currencyService } from './currencyService.js';
+import { resultCacheService, buildSearchCacheKey } from './resultCacheService.js';
+import { rankingService } from './rankingService.js';
+import { priceHistoryService } from './priceHistoryService.js';
+import { sourceHealthService } from './sourceHealthService.js';
 import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { runWithContext } from '../utils/requestContext.js';
+import { normalizeCondition } from '../utils/searchFilters.js';
+import { classifyError } from '../utils/errors.js';
+import { canonicalizeLink, clusterListings } from '../utils/listingClusters.js';
+import { emptyQueryUnderstanding } from '../utils/queryUnderstanding.js';
+import { containsWords } from '../utils/text.js';
+import { DEFAULT_REGION, resolveRegion, describeRegion } from '../utils/regions.js';
 
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const DEFAULT_TIMEOUT_MS = Number(process.env.SEARCH_TIMEOUT_MS) || 20000;
+// Term×source searches in flight at once for one request; fetchService still caps each host
+const SEARCH_CONCURRENCY = Number(process.env.SEARCH_CONCURRENCY) || 4;
+const EARLY_STOP_RESULTS = Number(process.env.SEARCH_EARLY_STOP_RESULTS) || 30;
+const EARLY_STOP_SCORE = Number(process.env.SEARCH_EARLY_STOP_SCORE) || 0.6;
+const MAX_RESULTS = 30;
+
+// Settle with onAbort() as soon as signal fires, leaving the promise to finish in the background
+function untilAborted(promise, signal, onAbort) {
+  if (signal.aborted) return Promise.resolve(onAbort());
+  return new Promise(resolve => {
+    const abort = () => resolve(onAbort());
+    signal.addEventListener('abort', abort, { once: true });
+    promise.then(resolve).finally(() => signal.removeEventListener('abort', abort));
+  });
 }
 
 class SearchService {
@@ -12,151 +37,452 @@ class SearchService {
     this.lastEnhancedQuery = null;
   }
 
-  async performSearch(searchTerm, location = 'UK', currency = 'GBP') {
-    try {
-      logger.info(`🔍 Starting search for: "${searchTerm}" in ${location} with ${currency}`);
+  /**
+   * @param {object} options Parsed filters from parseSearchFilters:
+   *   { minPrice, maxPrice, condition, listingType, itemLocation, sources, excludeSources, excludeKeywords, sort,
+   *     minScore, explain, timeoutMs, postcode, radiusKm }
+   *   timeoutMs is the deadline for the whole search (default SEARCH_TIMEOUT_MS); postcode and
+   *   radiusKm narrow local-pickup marketplaces such as Gumtree.
+   * @param {string} location Region code or alias (see utils/regions.js); picks marketplace domains,
+   *   eBay marketplace IDs, Accept-Language and which region-only sources are searched.
+   * @param {object} runtime Per-call hooks that are not part of the query:
+   *   { signal, onSourceResult(event) } where event is
+   *   { source, term, status: 'ok'|'blocked'|'circuit_open'|'error'|'timeout', listings, durationMs, cache, error? }
+   * @returns {Promise<{ listings: object[], cache: { hits: number, stale: number, misses: number, ageSeconds: number },
+   *   understanding: object, skipped: Array<{ name: string, reason: string }>, completion: object, region: object }>}
+   *   cache.ageSeconds is the age of the oldest cached source result that was used; understanding
+   *   is the structured query from LlmService.enhanceSearchQuery; skipped lists the sources that
+   *   were not searched (unconfigured, unsupported or benched by SourceHealthService); completion
+   *   says whether the deadline or early stop cut the search short, per source (see summarizeCompletion);
+   *   region is the profile that was applied (see describeRegion).
+   */
+  async performSearch(searchTerm, location = DEFAULT_REGION, currency = 'GBP', options = {}, runtime = {}) {
+    const { signal, onSourceResult } = runtime;
+    const startedAt = Date.now();
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    // Fires at the deadline; the search then returns whatever has come back
+    const deadline = AbortSignal.timeout(timeoutMs);
+    const searchSignal = signal ? AbortSignal.any([signal, deadline]) : deadline;
 
-      let enhancedQuery = { search_terms: [] };
-      try {
-        logger.info('🤖 Enhancing search query with OpenAI...');
-        enhancedQuery = await openaiService.enhanceSearchQuery(searchTerm);
-        if (!enhancedQuery || !Array.isArray(enhancedQuery.search_terms)) {
-          logger.warn('⚠️ OpenAI response invalid format, using empty search terms');
-          enhancedQuery = { search_terms: [] };
-        }
-        this.lastEnhancedQuery = enhancedQuery;
-      } catch (error) {
-        logger.warn('⚠️ OpenAI enhancement failed, using fallback:', error.message);
-        enhancedQuery = openaiService.getFallbackEnhancement(searchTerm);
-        if (!enhancedQuery || !Array.isArray(enhancedQuery.search_terms)) {
-          enhancedQuery = { search_terms: [] };
-        }
-        this.lastEnhancedQuery = enhancedQuery;
+    try {
+      const region = resolveRegion(location);
+      if (!region) {
+        throw new Error(`Unknown location: ${location}`);
       }
+      const appliedRegion = describeRegion(region, options);
+
+      logger.info(`🔍 Starting search for: "${searchTerm}" in ${region.code} with ${currency} (deadline ${timeoutMs}ms)`);
+
+      const enhancedQuery = await this.enhanceQuery(searchTerm, { signal: searchSignal });
+      signal?.throwIfAborted();
 
       logger.info('🕷️ Scraping marketplaces...');
 
-      const allSearchTerms = [searchTerm, ...enhancedQuery.search_terms].slice(0, 5);
-
-      const sources = [
-        { name: 'ebay', fn: scrapingService.searchEbay },
-        { name: 'discogs', fn: scrapingService.searchDiscogs },
-        { name: 'vinted', fn: scrapingService.searchVinted },
-        { name: 'depop', fn: scrapingService.searchDepop },
-        { name: 'gumtree', fn: scrapingService.searchGumtree },
-        { name: 'google_shopping', fn: googleShoppingService.search.bind(googleShoppingService) },
-      ];
-
-      let allResults = [];
-
-      for (const term of allSearchTerms) {
-        logger.info(`🔍 Searching term: "${term}"`);
-
-        const resultsPerSource = await Promise.all(
-          sources.map(async (source) => {
-            try {
-              const results = await source.fn(term);
-              logger.info(`📦 ${source.name} returned ${results.length} results for "${term}"`);
-              return results;
-            } catch (err) {
-              logger.warn(`⚠️ ${source.name} search failed for "${term}": ${err.message}`);
-              return [];
-            }
-          })
-        );
-
-        allResults = allResults.concat(...resultsPerSource);
-
-        await delay(1500);
+      const allSearchTerms = [...new Set([searchTerm, ...enhancedQuery.search_terms])].slice(0, 5);
+
+      const { adapters, skipped } = marketplaceRegistry.resolve({
+        sources: options.sources,
+        excludeSources: options.excludeSources,
+        location: region.code,
+      });
+      const sources = adapters.filter(adapter => {
+        const { allowed, reason } = sourceHealthService.checkAvailability(adapter.name);
+        if (!allowed) skipped.push({ name: adapter.name, reason });
+        return allowed;
+      });
+      skipped.forEach(({ name, reason }) => logger.info(`⏭️ Skipping ${name}: ${reason}`));
+
+      const cache = { hits: 0, stale: 0, misses: 0, ageSeconds: 0 };
+
+      if (sources.length === 0) {
+        logger.warn('⚠️ No marketplace sources available for this search');
+        const completion = this.summarizeCompletion([], { timeoutMs, startedAt, deadline, stoppedEarly: false });
+        return { listings: [], cache, understanding: enhancedQuery, skipped, completion, region: appliedRegion };
       }
 
+      const plan = this.planSearches(allSearchTerms, sources, enhancedQuery.marketplace_queries);
+      const tasks = plan.flatMap(({ term, sources: termSources }) => termSources.map(source => ({ term, source })));
+
+      const { events, stoppedEarly } = await this.runTasks(tasks, {
+        context: { location: region.code, region, currency, filters: options, signal: searchSignal },
+        deadline,
+        skipped,
+        hasEnough: listings => this.hasEnoughResults(listings, searchTerm, enhancedQuery, currency),
+        onEvent: async (event) => {
+          if (event.cache) {
+            const { state, ageSeconds } = event.cache;
+            cache[state === 'hit' ? 'hits' : state === 'stale' ? 'stale' : 'misses']++;
+            cache.ageSeconds = Math.max(cache.ageSeconds, ageSeconds);
+          }
+          if (onSourceResult && !signal?.aborted) {
+            await onSourceResult({ ...event, listings: await this.convertCurrency(event.listings, currency) });
+          }
+        },
+      });
+
+      signal?.throwIfAborted();
+
+      const completion = this.summarizeCompletion(events, { timeoutMs, startedAt, deadline, stoppedEarly });
+      if (completion.timedOut) {
+        logger.warn(`⏱️ Search deadline of ${timeoutMs}ms reached, returning partial results`);
+      }
+
+      const allResults = events.flatMap(event => event.listings);
       if (allResults.length === 0) {
         logger.warn('⚠️ No results found on any marketplace');
-        return [];
+        return { listings: [], cache, understanding: enhancedQuery, skipped, completion, region: appliedRegion };
       }
 
       const uniqueResults = this.deduplicateResults(allResults);
       logger.info(`📊 Found ${uniqueResults.length} unique results`);
 
-      const scoredResults = this.scoreResults(uniqueResults, searchTerm, enhancedQuery);
-
-      const filtered = scoredResults
-        .sort((a, b) => b.score - a.score)
-        .filter(r => r.score >= 0.3)
-        .slice(0, 30);
+      const converted = await this.convertCurrency(uniqueResults, currency);
+      const priceBand = await this.convertPriceBand(enhancedQuery.price_band, currency);
+      const scoredResults = this.scoreResults(converted, searchTerm, { ...enhancedQuery, priceBand }, { explain: options.explain });
 
-      const converted = this.convertCurrency(filtered, currency);
-      logger.info(`✅ Returning ${converted.length} results`);
+      const minScore = options.minScore ?? rankingService.defaultMinScore;
+      const relevant = scoredResults.filter(r => r.score >= minScore);
+      const filtered = this.applyFilters(relevant, {
+        ...options,
+        excludeKeywords: options.excludeKeywords,
+      });
+      const withDeals = await this.annotateDeals(searchTerm, filtered);
+      this.recordPrices(searchTerm, uniqueResults);
+      const clustered = clusterListings(withDeals);
+      logger.info(`🧩 Grouped ${filtered.length} listings into ${clustered.length} items`);
+      const sorted = this.sortResults(clustered, options.sort).slice(0, MAX_RESULTS);
+      logger.info(`✅ Returning ${sorted.length} results (cache: ${cache.hits} hit, ${cache.stale} stale, ${cache.misses} miss)`);
 
-      return converted;
+      return { listings: sorted, cache, understanding: enhancedQuery, skipped, completion, region: appliedRegion };
 
     } catch (error) {
+      if (signal?.aborted) {
+        logger.info(`🛑 Search for "${searchTerm}" cancelled`);
+        throw error;
+      }
       logger.error('💥 SearchService error:', error);
       throw new Error(`Search failed: ${error.message}`);
     }
   }
 
+  /**
+   * Run term×source tasks through a pool of SEARCH_CONCURRENCY workers, in plan order so
+   * the original query goes first. Workers stop taking tasks at the deadline, or once
+   * hasEnough(listings) says the results so far are good enough; tasks already running
+   * are left to finish. At the deadline (or when the caller aborts) running tasks are
+   * reported as timed out (or cancelled) at once, so partial results return on time.
+   * @returns {Promise<{ events: object[], stoppedEarly: boolean }>} one event per task, in task
+   *   order; tasks that never ran have status 'not_started'
+   */
+  async runTasks(tasks, { context, deadline, skipped, hasEnough, onEvent }) {
+    const events = new Array(tasks.length);
+    const collected = [];
+    let nextIndex = 0;
+    let stoppedEarly = false;
+
+    const worker = async () => {
+      while (nextIndex < tasks.length && !context.signal.aborted && !stoppedEarly) {
+        const index = nextIndex++;
+        const { term, source } = tasks[index];
+
+        // A source benched by an earlier task's failures sits out the rest of this search
+        if (sourceHealthService.isBenched(source.name)) {
+          if (!skipped.some(s => s.name === source.name)) {
+            skipped.push({ name: source.name, reason: 'benched after repeated failures during this search' });
+          }
+          continue;
+        }
+
+        logger.info(`🔍 Searching ${source.name} for term: "${term}"`);
+        const startedAt = Date.now();
+        // A source that ignores the signal must not hold the search past its deadline
+        const event = await untilAborted(this.searchSource(source, term, context, { deadline }), context.signal, () => ({
+          source: source.name,
+          term,
+          status: deadline.aborted ? 'timeout' : 'cancelled',
+          listings: [],
+          durationMs: Date.now() - startedAt,
+          error: context.signal.reason?.message || 'Search aborted',
+        }));
+        events[index] = event;
+        await onEvent(event);
+
+        if (event.listings.length > 0) {
+          collected.push(...event.listings);
+          if (!stoppedEarly && nextIndex < tasks.length && await hasEnough(collected)) {
+            stoppedEarly = true;
+            logger.info(`🏁 Enough good results after ${index + 1} of ${tasks.length} searches, stopping early`);
+          }
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(SEARCH_CONCURRENCY, tasks.length) }, worker));
+
+    tasks.forEach(({ term, source }, index) => {
+      events[index] ??= { source: source.name, term, status: 'not_started', listings: [], durationMs: 0 };
+    });
+    return { events, stoppedEarly };
+  }
+
+  // Early stop: a full page of listings that already score well against the query
+  async hasEnoughResults(listings, searchTerm, enhancedQuery, currency) {
+    if (listings.length < EARLY_STOP_RESULTS) return false;
+    const converted = await this.convertCurrency(this.deduplicateResults(listings), currency);
+    const scored = this.scoreResults(converted, searchTerm, enhancedQuery);
+    return scored.filter(r => r.score >= EARLY_STOP_SCORE).length >= EARLY_STOP_RESULTS;
+  }
+
+  /**
+   * Per-source completion of a search. A source is `complete` when every term ran and
+   * succeeded, `partial` when some did, and otherwise `timed_out`, `failed` or
+   * `not_started` (never reached before the deadline or an early stop).
+   * @returns {{ timeoutMs: number, elapsedMs: number, timedOut: boolean, stoppedEarly: boolean,
+   *   sources: Object<string, { status: string, tasks: number, ok: number, failed: number,
+   *   timedOut: number, notStarted: number, results: number }> }}
+   */
+  summarizeCompletion(events, { timeoutMs, startedAt, deadline, stoppedEarly }) {
+    const sources = {};
+    for (const event of events) {
+      const summary = sources[event.source] ||= { status: null, tasks: 0, ok: 0, failed: 0, timedOut: 0, notStarted: 0, results: 0 };
+      summary.tasks++;
+      if (event.status === 'ok') {
+        summary.ok++;
+        summary.results += event.listings.length;
+      } else if (event.status === 'timeout') {
+        summary.timedOut++;
+      } else if (event.status === 'not_started') {
+        summary.notStarted++;
+      } else {
+        summary.failed++;
+      }
+    }
+
+    Object.values(sources).forEach(summary => {
+      if (summary.ok === summary.tasks) summary.status = 'complete';
+      else if (summary.ok > 0) summary.status = 'partial';
+      else if (summary.timedOut > 0) summary.status = 'timed_out';
+      else if (summary.failed > 0) summary.status = 'failed';
+      else summary.status = 'not_started';
+    });
+
+    return {
+      timeoutMs,
+      elapsedMs: Date.now() - startedAt,
+      timedOut: deadline.aborted,
+      stoppedEarly,
+      sources,
+    };
+  }
+
+  async enhanceQuery(searchTerm, { signal } = {}) {
+    let enhancedQuery = emptyQueryUnderstanding();
+    try {
+      logger.info('🤖 Enhancing search query...');
+      enhancedQuery = await llmService.enhanceSearchQuery(searchTerm, { signal });
+      if (!enhancedQuery || !Array.isArray(enhancedQuery.search_terms)) {
+        logger.warn('⚠️ Enhancement response invalid format, using empty search terms');
+        enhancedQuery = emptyQueryUnderstanding();
+      }
+    } catch (error) {
+      logger.warn('⚠️ Query enhancement failed, using fallback:', error.message);
+      enhancedQuery = llmService.getFallbackEnhancement(searchTerm);
+      if (!enhancedQuery || !Array.isArray(enhancedQuery.search_terms)) {
+        enhancedQuery = emptyQueryUnderstanding();
+      }
+    }
+    this.lastEnhancedQuery = enhancedQuery;
+    return enhancedQuery;
+  }
+
+  /**
+   * Every shared term runs on every source. A marketplace-specific variant from the
+   * query understanding (e.g. a Discogs catalogue number) runs on that source only.
+   * @returns {{ term: string, sources: object[] }[]}
+   */
+  planSearches(terms, sources, marketplaceQueries = {}) {
+    const plan = terms.map(term => ({ term, sources }));
+    sources.forEach(source => {
+      const variant = marketplaceQueries[source.name];
+      if (variant && !terms.some(t => t.toLowerCase() === variant.toLowerCase())) {
+        plan.push({ term: variant, sources: [source] });
+      }
+    });
+    return plan;
+  }
+
+  // Deal scoring is an extra; a broken history store must not fail the search
+  async annotateDeals(searchTerm, listings) {
+    try {
+      return await priceHistoryService.annotateDeals(searchTerm, listings);
+    } catch (error) {
+      logger.warn(`⚠️ Deal scoring failed: ${error.message}`);
+      return listings;
+    }
+  }
+
+  recordPrices(searchTerm, listings) {
+    priceHistoryService.record(searchTerm, listings)
+      .catch(error => logger.warn(`⚠️ Failed to record price history: ${error.message}`));
+  }
+
+  // Price band from the query understanding, in the requested currency
+  async convertPriceBand(band, currency) {
+    if (!band) return null;
+    try {
+      const [min, max] = await Promise.all([
+        currencyService.convert({ amount: band.min, currency: band.currency }, currency),
+        currencyService.convert({ amount: band.max, currency: band.currency }, currency),
+      ]);
+      return min && max ? { min: min.amount, max: max.amount } : null;
+    } catch (error) {
+      logger.warn(`⚠️ Could not convert price band to ${currency}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run one adapter for one term through the result cache. Never throws; failures
+   * are reported as a status. Every outcome is reported to the metrics, and to
+   * SourceHealthService unless the search itself was aborted; log lines from the adapter
+   * carry the source and term.
+   */
+  searchSource(source, term, context, { deadline } = {}) {
+    return runWithContext({ source: source.name, term }, () => this.runSourceSearch(source, term, context, deadline));
+  }
+
+  async runSourceSearch(source, term, context, deadline) {
+    const startedAt = Date.now();
+    try {
+      const key = buildSearchCacheKey({ source: source.name, term, params: source.cacheKeyParams, ...context });
+      const { value: results, state, ageSeconds } = await resultCacheService.wrap(
+        key,
+        ({ background }) => source.search(term, background ? { ...context, signal: undefined } : context),
+        { ttlSeconds: source.cacheTtlSeconds }
+      );
+      logger.info(`📦 ${source.name} returned ${results.length} results for "${term}" (cache ${state})`);
+      const durationMs = Date.now() - startedAt;
+      sourceHealthService.record(source.name, { status: 'ok', durationMs, count: results.length, cached: state !== 'miss' });
+      metrics.cacheLookups.inc({ source: source.name, state });
+      if (state === 'miss') metrics.sourceSearchDuration.observe({ source: source.name, status: 'ok' }, durationMs / 1000);
+      return {
+        source: source.name,
+        term,
+        status: 'ok',
+        listings: results.map(result => ({ ...result, marketplace: source.name })),
+        durationMs,
+        cache: { state, ageSeconds },
+      };
+    } catch (err) {
+      // Aborted by the search deadline rather than the client: the source was too slow
+      const classified = classifyError(err);
+      const status = classified === 'cancelled' && deadline?.aborted ? 'timeout' : classified;
+      if (status !== 'cancelled') {
+        logger.warn(`⚠️ ${source.name} search ${status} for "${term}": ${err.message}`);
+      }
+      const durationMs = Date.now() - startedAt;
+      // A search cut short by its deadline or by the caller says nothing about the source's
+      // health; only its own errors and its own request timeouts count
+      if (!context.signal?.aborted) {
+        sourceHealthService.record(source.name, { status, durationMs, error: err.message });
+      }
+      if (status !== 'cancelled') {
+        metrics.cacheLookups.inc({ source: source.name, state: 'miss' });
+        metrics.sourceSearchDuration.observe({ source: source.name, status }, durationMs / 1000);
+        metrics.sourceErrors.inc({ source: source.name, status });
+      }
+      return {
+        source: source.name,
+        term,
+        status,
+        listings: [],
+        durationMs,
+        error: err.message,
+      };
+    }
+  }
+
+  // The same listing can come back for several query variants; near-duplicates across
+  // marketplaces are grouped later by clusterListings
   deduplicateResults(results) {
     const seen = new Set();
     return results.filter(result => {
-      if (!result.title || !result.price || !result.link) return false;
-      const key = `${result.title.toLowerCase().trim().replace(/\s+/g, ' ')}-${result.price.toLowerCase().trim()}`;
+      if (!result.title || result.price?.amount == null || !result.link) return false;
+      const key = canonicalizeLink(result.link);
       if (seen.has(key)) return false;
       seen.add(key);
       return true;
     });
   }
 
-  scoreResults(results, originalQuery, enhancedQuery) {
-    const queryTerms = originalQuery.toLowerCase().split(/\s+/);
-    const enhancedTerms = enhancedQuery.search_terms.map(t => t.toLowerCase());
-
-    return results.map(result => {
-      const title = (result.title || '').toLowerCase();
-      const description = (result.description || '').toLowerCase();
-      let score = 0.05;
-
-      queryTerms.forEach(term => {
-        if (title.includes(term)) score += 0.3;
-        if (description.includes(term)) score += 0.1;
-      });
+  scoreResults(results, originalQuery, enhancedQuery, { explain = false } = {}) {
+    const { brand, model, attributes = [] } = enhancedQuery;
+    return rankingService.rank(results, {
+      text: originalQuery,
+      enhancedTerms: enhancedQuery.search_terms,
+      attributes: [brand, model, ...attributes].filter(Boolean),
+      priceBand: enhancedQuery.priceBand,
+      suggestedExclusions: enhancedQuery.exclude_keywords,
+      explain,
+    });
+  }
 
-      enhancedTerms.forEach(term => {
-        if (title.includes(term)) score += 0.2;
-        if (description.includes(term)) score += 0.05;
-      });
+  // Post-filters for anything the adapters could not push down to the marketplace.
+  // Listings with an unknown condition or listing type are kept when filtering on them.
+  applyFilters(results, { minPrice, maxPrice, condition, listingType, excludeKeywords } = {}) {
+    return results.filter(r => {
+      const amount = r.convertedPrice.amount;
+      if (minPrice !== undefined && amount < minPrice) return false;
+      if (maxPrice !== undefined && amount > maxPrice) return false;
 
-      if (title.includes(originalQuery.toLowerCase())) score += 0.4;
-      if (result.image) score += 0.05;
-      if (result.title.length < 20) score -= 0.2;
-      if (result.source === 'ebay') score += 0.1;
+      const resultCondition = normalizeCondition(r.condition);
+      if (condition && resultCondition && resultCondition !== condition) return false;
+      if (listingType && r.listingType && r.listingType !== listingType) return false;
 
-      score = Math.min(1, Math.max(0, score));
-      return { ...result, score: Math.round(score * 100) / 100 };
+      // Whole words only, so excluding "case" keeps a "briefcase"
+      if (excludeKeywords?.length) {
+        const text = `${r.title} ${r.description || ''}`;
+        if (excludeKeywords.some(k => containsWords(text, k))) return false;
+      }
+      return true;
     });
   }
 
-  convertCurrency(results, targetCurrency) {
-    const symbols = { GBP: '£', USD: '$', EUR: '€' };
-    const symbol = symbols[targetCurrency] || '';
-
-    return results
-      .filter(r => {
-        const p = r.price || '';
-        if (targetCurrency === 'GBP') return p.includes('£') || (!p.includes('$') && !p.includes('€') && /\d/.test(p));
-        return p.includes(symbol);
-      })
-      .map(r => ({ ...r, price: this.ensureCurrencyFormat(r.price, symbol) }));
+  sortResults(results, sort = 'relevance') {
+    const byScore = (a, b) => b.score - a.score;
+    // Grouped items sort by their cheapest offer (or dearest, for price_desc)
+    const minPrice = r => r.priceRange?.min ?? r.convertedPrice.amount;
+    const maxPrice = r => r.priceRange?.max ?? r.convertedPrice.amount;
+    const comparators = {
+      relevance: byScore,
+      price_asc: (a, b) => minPrice(a) - minPrice(b) || byScore(a, b),
+      price_desc: (a, b) => maxPrice(b) - maxPrice(a) || byScore(a, b),
+      // Listings without a date keep their relevance order after dated ones
+      newest: (a, b) => (Date.parse(b.listedAt) || 0) - (Date.parse(a.listedAt) || 0) || byScore(a, b),
+    };
+    return [...results].sort(comparators[sort] || byScore);
   }
 
-  ensureCurrencyFormat(price, symbol) {
-    if (!price) return price;
-    if (price.includes(symbol)) return price;
-    const numberMatch = price.match(/[\d,]+(?:\.\d{2})?/);
-    if (numberMatch && !/[£$€]/.test(price)) {
-      return `${symbol}${numberMatch[0]}`;
+  /**
+   * Attach a convertedPrice in the target currency, keeping the original price.
+   * Listings whose currency has no known rate are dropped.
+   */
+  async convertCurrency(results, targetCurrency) {
+    const converted = await Promise.all(results.map(async r => {
+      try {
+        const convertedPrice = await currencyService.convert(r.price, targetCurrency);
+        return convertedPrice ? { ...r, convertedPrice } : null;
+      } catch (error) {
+        logger.warn(`⚠️ Currency conversion failed for ${r.link}: ${error.message}`);
+        return null;
+      }
+    }));
+
+    const kept = converted.filter(Boolean);
+    if (kept.length < results.length) {
+      logger.info(`💱 Dropped ${results.length - kept.length} results without a convertible price`);
     }
-    return price;
+    return kept;
   }
 
   getLastEnhancedQuery() {
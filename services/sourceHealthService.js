@@ -0,0 +1,137 @@
+import { logger } from '../utils/logger.js';
+
+// Outcomes older than this, or beyond the last WINDOW_SIZE, drop out of the rolling stats
+const WINDOW_MS = (Number(process.env.SOURCE_HEALTH_WINDOW_MINUTES) || 30) * 60000;
+const WINDOW_SIZE = 100;
+const BENCH_AFTER_FAILURES = Number(process.env.SOURCE_BENCH_AFTER_FAILURES) || 5;
+const BENCH_BASE_MS = Number(process.env.SOURCE_BENCH_BASE_MS) || 5 * 60000;
+const BENCH_MAX_MS = 60 * 60000;
+// A probe whose search never reported back (e.g. the request was cancelled first) is given up on
+const PROBE_TIMEOUT_MS = 2 * 60000;
+// A source is reported as degraded while failing, or below this success rate with enough samples
+const DEGRADED_SUCCESS_RATE = 0.8;
+const MIN_SAMPLES = 5;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function newSourceState() {
+  return {
+    outcomes: [],
+    consecutiveFailures: 0,
+    benchedUntil: 0,
+    benchMs: BENCH_BASE_MS,
+    probingSince: 0,
+    lastError: null,
+    lastErrorAt: null,
+  };
+}
+
+class SourceHealthService {
+  constructor() {
+    this.sources = new Map();
+  }
+
+  getState(name) {
+    if (!this.sources.has(name)) this.sources.set(name, newSourceState());
+    return this.sources.get(name);
+  }
+
+  /**
+   * Whether a search may use this source now. Once a bench expires a single probe
+   * request is let through; its outcome decides whether the source comes back.
+   * @returns {{ allowed: boolean, reason?: string }}
+   */
+  checkAvailability(name) {
+    const state = this.getState(name);
+    if (state.benchedUntil > Date.now()) {
+      return { allowed: false, reason: `benched until ${new Date(state.benchedUntil).toISOString()}` };
+    }
+    if (state.benchedUntil > 0) {
+      if (Date.now() - state.probingSince < PROBE_TIMEOUT_MS) {
+        return { allowed: false, reason: 'benched, probe in progress' };
+      }
+      state.probingSince = Date.now();
+      logger.info(`🩺 Probing benched source ${name}`);
+    }
+    return { allowed: true };
+  }
+
+  isBenched(name) {
+    return this.getState(name).benchedUntil > Date.now();
+  }
+
+  /**
+   * Record the outcome of one live source search.
+   * @param {string} name
+   * @param {object} outcome { status, durationMs, count, cached, error }
+   *   Cached and cancelled searches say nothing about the marketplace, so they are not counted.
+   */
+  record(name, { status, durationMs, count = 0, cached = false, error = null }) {
+    const state = this.getState(name);
+    const wasProbing = state.probingSince > 0;
+    state.probingSince = 0;
+    if (cached || status === 'cancelled') return;
+
+    const now = Date.now();
+    state.outcomes.push({ at: now, status, durationMs, count });
+    if (state.outcomes.length > WINDOW_SIZE) state.outcomes.shift();
+
+    if (status === 'ok') {
+      if (state.benchedUntil > 0) logger.info(`✅ Source ${name} is back after a successful probe`);
+      state.consecutiveFailures = 0;
+      state.benchedUntil = 0;
+      state.benchMs = BENCH_BASE_MS;
+      return;
+    }
+
+    state.consecutiveFailures++;
+    state.lastError = error ? `${status}: ${error}` : status;
+    state.lastErrorAt = new Date(now).toISOString();
+
+    if (wasProbing || state.consecutiveFailures >= BENCH_AFTER_FAILURES) {
+      // A failed probe doubles the bench; the first bench uses the base duration
+      if (wasProbing) state.benchMs = Math.min(state.benchMs * 2, BENCH_MAX_MS);
+      state.benchedUntil = now + state.benchMs;
+      logger.warn(`🪑 Benching source ${name} for ${Math.round(state.benchMs / 1000)}s after ${state.consecutiveFailures} consecutive failures (${status})`);
+    }
+  }
+
+  /**
+   * Rolling stats for one source over the health window.
+   */
+  getStats(name) {
+    const state = this.getState(name);
+    const cutoff = Date.now() - WINDOW_MS;
+    const recent = state.outcomes.filter(o => o.at > cutoff);
+    const ok = recent.filter(o => o.status === 'ok');
+    const blocked = recent.filter(o => o.status === 'blocked' || o.status === 'circuit_open');
+    const latencies = recent.map(o => o.durationMs).sort((a, b) => a - b);
+    const now = Date.now();
+
+    let status = 'healthy';
+    if (state.benchedUntil > now) status = 'benched';
+    else if (state.benchedUntil > 0) status = 'probing';
+    else if (recent.length === 0) status = 'unknown';
+    else if (state.consecutiveFailures > 0 || (recent.length >= MIN_SAMPLES && ok.length / recent.length < DEGRADED_SUCCESS_RATE)) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      samples: recent.length,
+      successRate: recent.length ? Number((ok.length / recent.length).toFixed(2)) : null,
+      blockRate: recent.length ? Number((blocked.length / recent.length).toFixed(2)) : null,
+      latencyMs: { p50: percentile(latencies, 0.5), p95: percentile(latencies, 0.95) },
+      avgResults: ok.length ? Number((ok.reduce((sum, o) => sum + o.count, 0) / ok.length).toFixed(1)) : null,
+      consecutiveFailures: state.consecutiveFailures,
+      benchedUntil: state.benchedUntil > now ? new Date(state.benchedUntil).toISOString() : null,
+      lastError: state.lastError,
+      lastErrorAt: state.lastErrorAt,
+    };
+  }
+}
+
+export const sourceHealthService = new SourceHealthService();
@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { JsonFileStore } from '../utils/jsonFileStore.js';
+import { logger } from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const API_KEY_PREFIX = 'hk_';
+const MAX_HISTORY_ENTRIES = 100;
+const MAX_API_KEYS_PER_USER = 10;
+// lastUsedAt is only written when it moves by at least this much, so busy keys don't
+// rewrite users.json on every request
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const SUBSCRIPTION_STATUSES = ['free', 'pro'];
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hashHex] = stored.split('$');
+  if (scheme !== 'scrypt') return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// API keys are only shown once; we keep a SHA-256 digest to look them up
+function digestApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function toPublic(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+class UserService {
+  constructor(store = new JsonFileStore('users.json', { users: [], apiKeys: [], history: {} })) {
+    this.store = store;
+  }
+
+  /**
+   * @returns {string|null} error message
+   */
+  validateCredentials({ email, password }) {
+    if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) return 'A valid email is required';
+    if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+    return null;
+  }
+
+  // Resolves to null when the email is already registered
+  async register({ email, password }) {
+    const normalizedEmail = email.trim().toLowerCase();
+    const passwordHash = await hashPassword(password);
+
+    return this.store.update(data => {
+      if (data.users.some(u => u.email === normalizedEmail)) return null;
+      const user = {
+        id: crypto.randomUUID(),
+        email: normalizedEmail,
+        passwordHash,
+        subscriptionStatus: 'free',
+        createdAt: new Date().toISOString(),
+      };
+      data.users.push(user);
+      logger.info(`👤 Registered user ${user.id}`);
+      return toPublic(user);
+    });
+  }
+
+  // Resolves to the user, or null for an unknown email or wrong password
+  async authenticate({ email, password }) {
+    const { users } = await this.store.load();
+    const user = users.find(u => u.email === String(email).trim().toLowerCase());
+    if (!user || !(await verifyPassword(password, user.passwordHash))) return null;
+    return toPublic(user);
+  }
+
+  async getById(id) {
+    const { users } = await this.store.load();
+    const user = users.find(u => u.id === id);
+    return user ? toPublic(user) : null;
+  }
+
+  async setSubscriptionStatus(id, status, details = {}) {
+    if (!SUBSCRIPTION_STATUSES.includes(status)) {
+      throw new Error(`Unknown subscription status: ${status}`);
+    }
+    return this.store.update(data => {
+      const user = data.users.find(u => u.id === id);
+      if (!user) return null;
+      Object.assign(user, details, { subscriptionStatus: status });
+      return toPublic(user);
+    });
+  }
+
+  /**
+   * Rate limit tier for a user (or for an anonymous request when user is null).
+   */
+  getTier(user) {
+    if (!user) return 'anonymous';
+    return user.subscriptionStatus === 'pro' ? 'pro' : 'free';
+  }
+
+  // Resolves to { key, apiKey } where `key` is the only copy of the secret, or null at the limit
+  async createApiKey(userId, name = 'default') {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return this.store.update(data => {
+      if (data.apiKeys.filter(k => k.userId === userId).length >= MAX_API_KEYS_PER_USER) return null;
+      const apiKey = {
+        id: crypto.randomUUID(),
+        userId,
+        name: String(name).slice(0, 100),
+        digest: digestApiKey(key),
+        preview: `${key.slice(0, 7)}…`,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+      };
+      data.apiKeys.push(apiKey);
+      const { digest, ...publicKey } = apiKey;
+      return { key, apiKey: publicKey };
+    });
+  }
+
+  async listApiKeys(userId) {
+    const { apiKeys } = await this.store.load();
+    return apiKeys.filter(k => k.userId === userId).map(({ digest, ...rest }) => rest);
+  }
+
+  async revokeApiKey(userId, keyId) {
+    return this.store.update(data => {
+      const before = data.apiKeys.length;
+      data.apiKeys = data.apiKeys.filter(k => !(k.id === keyId && k.userId === userId));
+      return data.apiKeys.length < before;
+    });
+  }
+
+  // Resolves to the key's owner, or null for an unknown key
+  async authenticateApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+    const digest = digestApiKey(key);
+    const data = await this.store.load();
+    const apiKey = data.apiKeys.find(k => k.digest === digest);
+    if (!apiKey) return null;
+
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - Date.parse(apiKey.lastUsedAt) >= LAST_USED_RESOLUTION_MS) {
+      apiKey.lastUsedAt = new Date(now).toISOString();
+      this.store.save().catch(error => logger.warn(`⚠️ Failed to record API key use: ${error.message}`));
+    }
+    return this.getById(apiKey.userId);
+  }
+
+  async recordSearch(userId, entry) {
+    return this.store.update(data => {
+      const history = data.history[userId] || [];
+      data.history[userId] = [{ ...entry, searchedAt: new Date().toISOString() }, ...history].slice(0, MAX_HISTORY_ENTRIES);
+    });
+  }
+
+  async getHistory(userId) {
+    const { history } = await this.store.load();
+    return history[userId] || [];
+  }
+}
+
+export const userService = new UserService();
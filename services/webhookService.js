@@ -0,0 +1,112 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { logger } from '../utils/logger.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Webhook URLs come from users, so they must not reach loopback, link-local (cloud
+// metadata) or private addresses on the server's own network
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+class WebhookService {
+  constructor() {
+    // Local development can point webhooks at a receiver on localhost
+    this.allowPrivateNetworks = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+    // Connections re-check the address they actually connect to, so a host that
+    // re-resolves to a private address after checkUrl() is still refused
+    const lookup = (hostname, options, callback) => {
+      dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(a => a.address) : [address];
+        if (!this.allowPrivateNetworks && addresses.some(isBlockedAddress)) {
+          return callback(new Error(`Refusing to connect to private address for ${hostname}`));
+        }
+        callback(null, address, family);
+      });
+    };
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  /**
+   * Check that a webhook URL is http(s) and its host resolves only to public addresses.
+   * @returns {Promise<string|null>} error message
+   */
+  async checkUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return 'webhook_url must be an http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'webhook_url must be an http(s) URL';
+    if (this.allowPrivateNetworks) return null;
+
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(url.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+    } catch {
+      return `webhook_url host ${url.hostname} could not be resolved`;
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return 'webhook_url must not point to a loopback, link-local or private address';
+    }
+    return null;
+  }
+
+  /**
+   * POST a JSON payload to a webhook URL. When WEBHOOK_SECRET is set the body is
+   * signed with HMAC-SHA256 in the X-Hunta-Signature header.
+   */
+  async send(url, payload) {
+    const refused = await this.checkUrl(url);
+    if (refused) {
+      logger.warn(`⚠️ Webhook delivery refused: ${refused}`);
+      return false;
+    }
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+
+    const secret = process.env.WEBHOOK_SECRET;
+    if (secret) {
+      headers['X-Hunta-Signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+    }
+
+    try {
+      // No proxy and no redirects: either would send the request somewhere checkUrl() didn't approve
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: WEBHOOK_TIMEOUT_MS,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        proxy: false,
+        maxRedirects: 0,
+      });
+      logger.info(`📨 Webhook delivered to ${new URL(url).host} (${response.status})`);
+      return true;
+    } catch (error) {
+      logger.warn(`⚠️ Webhook delivery to ${new URL(url).host} failed: ${error.response?.status || error.message}`);
+      return false;
+    }
+  }
+}
+
+export const webhookService = new WebhookService();
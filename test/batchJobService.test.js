@@ -0,0 +1,154 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { batchJobService } from '../services/batchJobService.js';
+import { searchService } from '../services/searchService.js';
+import { rateLimitService } from '../services/rateLimitService.js';
+import { userService } from '../services/userService.js';
+
+const performSearch = searchService.performSearch;
+let searched;
+
+beforeEach(async () => {
+  searched = [];
+  searchService.performSearch = async (term, location, currency, filters) => {
+    searched.push({ term, filters });
+    return { listings: [{ title: `${term} listing`, link: 'https://www.ebay.co.uk/itm/296512345678', source: 'ebay', price: { amount: 10, currency: 'GBP' } }] };
+  };
+  await batchJobService.store.update(data => { data.jobs = []; });
+});
+
+afterEach(() => {
+  searchService.performSearch = performSearch;
+});
+
+function queue(ownerId, terms) {
+  return batchJobService.create(ownerId, {
+    items: terms.map(term => (typeof term === 'string' ? { term } : term)),
+    location: 'UK',
+    currency: 'GBP',
+    filters: { minPrice: 5 },
+  }, { ip: '203.0.113.7' });
+}
+
+async function storedJob(id) {
+  const { jobs } = await batchJobService.store.load();
+  return jobs.find(job => job.id === id);
+}
+
+test('items run in order with their own price bounds, and the job completes', async () => {
+  const job = await queue('session-order', ['TB-303', { term: 'Minimoog', maxPrice: 2000 }]);
+  assert.equal(job.ip, undefined);
+
+  assert.equal(await batchJobService.runNext(), true);
+  assert.equal(await batchJobService.runNext(), true);
+  assert.equal(await batchJobService.runNext(), false);
+
+  assert.deepEqual(searched, [
+    { term: 'TB-303', filters: { minPrice: 5 } },
+    { term: 'Minimoog', filters: { minPrice: 5, maxPrice: 2000 } },
+  ]);
+  const finished = await batchJobService.get('session-order', job.id);
+  assert.equal(finished.status, 'completed');
+  assert.deepEqual(finished.progress, { total: 2, completed: 2, failed: 0, pending: 0, percent: 100 });
+});
+
+test('each item is counted against the owner\'s current tier', async t => {
+  const user = await userService.register({ email: 'batch-tier@example.com', password: 'correct horse battery' });
+  const consume = t.mock.method(rateLimitService, 'consume', async (bucket, who) => ({ allowed: true, tier: who.tier }));
+  await queue(`user:${user.id}`, ['TB-303', 'Minimoog']);
+
+  await batchJobService.runNext();
+  await userService.setSubscriptionStatus(user.id, 'pro');
+  await batchJobService.runNext();
+
+  assert.deepEqual(consume.mock.calls.map(call => call.arguments), [
+    ['batch', { identity: `user:${user.id}`, ip: '203.0.113.7', tier: 'free' }],
+    ['batch', { identity: `user:${user.id}`, ip: '203.0.113.7', tier: 'pro' }],
+  ]);
+
+  await queue('session-anonymous', ['TR-808']);
+  await batchJobService.runNext();
+  assert.equal(consume.mock.calls.at(-1).arguments[1].tier, 'anonymous');
+});
+
+test('a job pauses at the batch limit and resumes once resumeAt has passed', async t => {
+  const resetTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const consume = t.mock.method(rateLimitService, 'consume', async () => ({ allowed: false, resetTime, tier: 'anonymous' }));
+  const job = await queue('session-paused', ['TB-303']);
+
+  assert.equal(await batchJobService.runNext(), true);
+  const paused = await batchJobService.get('session-paused', job.id);
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.resumeAt, resetTime);
+
+  // Nothing to do until the quota resets
+  assert.equal(await batchJobService.runNext(), false);
+  assert.equal(consume.mock.callCount(), 1);
+
+  const clock = t.mock.method(Date, 'now', () => Date.parse(resetTime) + 1000);
+  consume.mock.mockImplementation(async () => ({ allowed: true, tier: 'anonymous' }));
+  assert.equal(await batchJobService.runNext(), true);
+  clock.mock.restore();
+
+  assert.deepEqual(searched.map(s => s.term), ['TB-303']);
+  const resumed = await batchJobService.get('session-paused', job.id);
+  assert.equal(resumed.status, 'completed');
+  assert.equal(resumed.resumeAt, null);
+});
+
+test('recover re-queues items left running by a restart', async () => {
+  const job = await queue('session-recover', ['TB-303', 'Minimoog']);
+  await batchJobService.store.update(data => {
+    const stored = data.jobs.find(j => j.id === job.id);
+    stored.status = 'running';
+    stored.items[0].status = 'running';
+  });
+
+  await batchJobService.recover();
+
+  const recovered = await storedJob(job.id);
+  assert.deepEqual(recovered.items.map(item => item.status), ['pending', 'pending']);
+  await batchJobService.runNext();
+  assert.equal(searched[0].term, 'TB-303');
+});
+
+test('recover drops finished jobs past retention and moves old rate-limit details to the job', async () => {
+  const old = await queue('session-old', ['TB-303']);
+  const legacy = await queue('session-legacy', ['TB-303']);
+  await batchJobService.store.update(data => {
+    Object.assign(data.jobs.find(j => j.id === old.id), { status: 'completed', finishedAt: '2020-01-01T00:00:00.000Z' });
+    const stored = data.jobs.find(j => j.id === legacy.id);
+    delete stored.ip;
+    stored.rateLimit = { identity: 'session-legacy', ip: '198.51.100.4', tier: 'pro' };
+  });
+
+  await batchJobService.recover();
+
+  assert.equal(await storedJob(old.id), undefined);
+  const migrated = await storedJob(legacy.id);
+  assert.equal(migrated.ip, '198.51.100.4');
+  assert.equal(migrated.rateLimit, undefined);
+});
+
+test('nextJob lets jobs take turns, least recently served first', () => {
+  const now = Date.parse('2026-01-05T12:00:00Z');
+  const at = minutesAgo => new Date(now - minutesAgo * 60000).toISOString();
+  const jobs = [
+    { id: 'big', status: 'running', createdAt: at(30), lastItemAt: at(1) },
+    { id: 'new', status: 'queued', createdAt: at(2), lastItemAt: null },
+    { id: 'waiting', status: 'running', createdAt: at(20), lastItemAt: at(5) },
+    { id: 'paused', status: 'paused', createdAt: at(60), lastItemAt: at(50), resumeAt: at(-10) },
+    { id: 'done', status: 'completed', createdAt: at(90), lastItemAt: at(80) },
+  ];
+
+  assert.equal(batchJobService.nextJob(jobs, now).id, 'waiting');
+  jobs[2].lastItemAt = at(0);
+  assert.equal(batchJobService.nextJob(jobs, now).id, 'new');
+  jobs[1].lastItemAt = at(0);
+  assert.equal(batchJobService.nextJob(jobs, now).id, 'big');
+
+  // A paused job rejoins once its reset time has passed, and has waited longest
+  assert.equal(batchJobService.nextJob(jobs, now + 11 * 60000).id, 'paused');
+  assert.equal(batchJobService.nextJob([jobs[4]], now), null);
+});
@@ -0,0 +1,176 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import { readFixture } from './helpers/fixtureProxy.js';
+import { billingRouter, stripeWebhookHandler } from '../routes/billing.js';
+import { authenticate, resolveTier } from '../middleware/auth.js';
+import { billingService } from '../services/billingService.js';
+import { userService } from '../services/userService.js';
+
+// Local stand-in for the Stripe API: records each form-encoded request and answers
+// checkout and billing portal session creation
+let stripeApi;
+const stripeRequests = [];
+
+let app;
+let user;
+let apiKey;
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function close(server) {
+  return new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+}
+
+before(async () => {
+  stripeApi = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stripeRequests.push({ path: req.url, params: new URLSearchParams(body) });
+      const answers = {
+        '/v1/checkout/sessions': { id: 'cs_test_local', object: 'checkout.session', url: 'https://checkout.stripe.com/c/pay/cs_test_local' },
+        '/v1/billing_portal/sessions': { id: 'bps_test_local', object: 'billing_portal.session', url: 'https://billing.stripe.com/p/session/test_local' },
+      };
+      res.writeHead(answers[req.url] ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answers[req.url] || { error: { message: `No stub for ${req.url}` } }));
+    });
+  });
+  process.env.STRIPE_API_BASE = await listen(stripeApi);
+  process.env.STRIPE_SECRET_KEY = 'sk_test_hunta_local';
+  process.env.STRIPE_PRO_PRICE_ID = 'price_test_pro';
+  process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_hunta_local';
+
+  const routes = express();
+  routes.post('/api/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhookHandler);
+  routes.use(express.json());
+  routes.use(authenticate);
+  routes.use('/api', billingRouter);
+  app = http.createServer(routes);
+  app.url = await listen(app);
+
+  user = await userService.register({ email: 'buyer@example.com', password: 'correct horse battery' });
+  ({ key: apiKey } = await userService.createApiKey(user.id));
+});
+
+after(() => Promise.all([close(app), close(stripeApi)]));
+
+const post = (path, { headers = {}, body = '{}' } = {}) =>
+  fetch(`${app.url}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+
+// Replay a recorded Stripe event, signed the way Stripe signs it
+function sendEvent(fixture, identity, { signature } = {}) {
+  const payload = readFixture(`stripe/${fixture}.json`).replaceAll('{{IDENTITY}}', identity);
+  const header = signature ?? billingService.getClient().webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET,
+  });
+  return post('/api/stripe/webhook', { headers: { 'Stripe-Signature': header }, body: payload });
+}
+
+test('checkout and the billing portal need a signed-in user', async () => {
+  for (const path of ['/api/create-checkout-session', '/api/create-portal-session']) {
+    const response = await post(path);
+    assert.equal(response.status, 401, path);
+  }
+  assert.equal(stripeRequests.length, 0);
+});
+
+test('checkout is keyed on the account', async () => {
+  const response = await post('/api/create-checkout-session', { headers: { Authorization: `Bearer ${apiKey}` } });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { id: 'cs_test_local', url: 'https://checkout.stripe.com/c/pay/cs_test_local' });
+  const { path, params } = stripeRequests.at(-1);
+  assert.equal(path, '/v1/checkout/sessions');
+  assert.equal(params.get('client_reference_id'), `user:${user.id}`);
+  assert.equal(params.get('subscription_data[metadata][identity]'), `user:${user.id}`);
+  assert.equal(params.get('customer_email'), 'buyer@example.com');
+  assert.equal(params.get('line_items[0][price]'), 'price_test_pro');
+});
+
+test('recorded webhooks move the account between tiers, once per event', async () => {
+  const identity = `user:${user.id}`;
+  const tier = async () => resolveTier({ user: await userService.getById(user.id) });
+
+  assert.equal((await sendEvent('checkout.session.completed', identity)).status, 200);
+  assert.equal(await tier(), 'pro');
+  assert.deepEqual(
+    { ...await billingService.getSubscription(identity), updatedAt: undefined },
+    { customerId: 'cus_QHunta0001', subscriptionId: 'sub_1PQa2bHunta0Sub01', status: 'active', eventCreated: 1718000000, updatedAt: undefined },
+  );
+
+  assert.equal((await sendEvent('customer.subscription.updated', identity)).status, 200);
+  assert.equal(await tier(), 'free');
+  assert.equal((await billingService.getSubscription(identity)).status, 'past_due');
+
+  // A replayed event is acknowledged but not applied again
+  await billingService.recordSubscription(identity, { status: 'active' });
+  assert.equal((await sendEvent('customer.subscription.updated', identity)).status, 200);
+  assert.equal((await billingService.getSubscription(identity)).status, 'active');
+
+  // No metadata on this one: the account is found by subscription id
+  assert.equal((await sendEvent('customer.subscription.deleted', identity)).status, 200);
+  assert.equal((await billingService.getSubscription(identity)).status, 'canceled');
+  assert.equal(await tier(), 'free');
+
+  // A checkout event delivered late, after the cancellation, does not re-activate it
+  const late = JSON.parse(readFixture('stripe/checkout.session.completed.json').replaceAll('{{IDENTITY}}', identity));
+  assert.equal(await billingService.handleEvent({ ...late, id: 'evt_late_checkout' }), false);
+  assert.equal((await billingService.getSubscription(identity)).status, 'canceled');
+  assert.equal(await tier(), 'free');
+});
+
+test('a checkout that has not been paid for does not activate the subscription', async () => {
+  const other = await userService.register({ email: 'unpaid@example.com', password: 'correct horse battery' });
+  const identity = `user:${other.id}`;
+  const event = JSON.parse(readFixture('stripe/checkout.session.completed.json').replaceAll('{{IDENTITY}}', identity));
+  event.id = 'evt_unpaid_checkout';
+  event.data.object.payment_status = 'unpaid';
+
+  assert.equal(await billingService.handleEvent(event), false);
+  assert.equal(await billingService.getSubscription(identity), null);
+});
+
+test('the same event delivered twice at once is applied once', async () => {
+  const other = await userService.register({ email: 'twice@example.com', password: 'correct horse battery' });
+  const event = JSON.parse(readFixture('stripe/checkout.session.completed.json').replaceAll('{{IDENTITY}}', `user:${other.id}`));
+  event.id = 'evt_concurrent_checkout';
+
+  const applied = await Promise.all([billingService.handleEvent(event), billingService.handleEvent(event)]);
+  assert.deepEqual(applied.sort(), [false, true]);
+});
+
+test('the billing portal opens for the account\'s Stripe customer', async () => {
+  const response = await post('/api/create-portal-session', { headers: { Authorization: `Bearer ${apiKey}` } });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { url: 'https://billing.stripe.com/p/session/test_local' });
+  assert.equal(stripeRequests.at(-1).params.get('customer'), 'cus_QHunta0001');
+});
+
+test('webhooks for anonymous sessions are not recorded and anonymous requests stay on the anonymous tier', async () => {
+  const payload = readFixture('stripe/checkout.session.completed.json')
+    .replaceAll('{{IDENTITY}}', 'anonymous-session-id')
+    .replace('evt_1PQa2bHunta0Checkout01', 'evt_1PQa2bHunta0Anonymous');
+  const header = billingService.getClient().webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+
+  const response = await post('/api/stripe/webhook', { headers: { 'Stripe-Signature': header }, body: payload });
+
+  assert.equal(response.status, 200);
+  assert.equal(await billingService.getSubscription('anonymous-session-id'), null);
+  assert.equal(await resolveTier({ sessionID: 'anonymous-session-id' }), 'anonymous');
+});
+
+test('webhooks with a bad signature are rejected', async () => {
+  const response = await sendEvent('checkout.session.completed', `user:${user.id}`, { signature: 't=1,v1=forged' });
+  assert.equal(response.status, 400);
+});
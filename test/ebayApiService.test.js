@@ -0,0 +1,119 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+
+process.env.EBAY_CLIENT_ID = 'test-client';
+process.env.EBAY_CLIENT_SECRET = 'test-secret';
+const { ebayApiService } = await import('../services/ebayApiService.js');
+
+const requests = [];
+const originalAdapter = axios.defaults.adapter;
+
+// Answers the token call and serves `total` search results in pages of `limit`
+function browseApi(total) {
+  return async config => {
+    requests.push(config);
+    if (config.url.endsWith('/oauth2/token')) {
+      return { status: 200, statusText: 'OK', headers: {}, config, data: { access_token: 'token', expires_in: 7200 } };
+    }
+    const url = new URL(config.url);
+    const params = config.params || Object.fromEntries(url.searchParams);
+    const offset = Number(params.offset);
+    const limit = Number(params.limit);
+    const itemSummaries = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => ({
+      title: `Fender Stratocaster ${offset + i}`,
+      price: { value: '100.00', currency: 'GBP' },
+      itemWebUrl: `https://www.ebay.co.uk/itm/${100000000 + offset + i}`,
+      buyingOptions: (offset + i) % 2 ? ['AUCTION'] : ['FIXED_PRICE'],
+    }));
+    const next = offset + limit < total
+      ? `https://api.ebay.com/buy/browse/v1/item_summary/search?q=${params.q}&limit=${limit}&offset=${offset + limit}`
+      : undefined;
+    return { status: 200, statusText: 'OK', headers: {}, config, data: { itemSummaries, next } };
+  };
+}
+
+before(() => {
+  axios.defaults.adapter = browseApi(120);
+});
+
+after(() => {
+  axios.defaults.adapter = originalAdapter;
+});
+
+test('buildSearchOptions passes listing type and item location through as Browse API filters', () => {
+  const options = ebayApiService.buildSearchOptions('EBAY_GB', {
+    currency: 'GBP',
+    minPrice: 50,
+    condition: 'used',
+    listingType: 'auction',
+    itemLocation: 'GB',
+    sort: 'price_asc',
+  });
+
+  assert.deepEqual(options.filters, {
+    minPrice: 50,
+    maxPrice: undefined,
+    currency: 'GBP',
+    conditions: ['USED'],
+    buyingOptions: ['AUCTION'],
+    itemLocationCountry: 'GB',
+  });
+  assert.equal(options.sort, 'price');
+  assert.ok(options.maxResults > options.limit);
+});
+
+test('buildSearchOptions only pushes price bounds down in the marketplace currency', () => {
+  const { filters } = ebayApiService.buildSearchOptions('EBAY_US', { currency: 'GBP', minPrice: 50 });
+  assert.equal(filters.minPrice, undefined);
+
+  // Marketplace currencies come from the region profiles
+  assert.equal(ebayApiService.buildSearchOptions('EBAY_DE', { currency: 'EUR', minPrice: 50 }).filters.currency, 'EUR');
+});
+
+test('searchItems follows next links until maxResults listings are collected', async () => {
+  const options = ebayApiService.buildSearchOptions('EBAY_GB', { currency: 'GBP', listingType: 'buy_it_now' });
+  const items = await ebayApiService.searchItems('fender stratocaster', options);
+
+  const searches = requests.filter(config => config.url.includes('/item_summary/search'));
+  assert.equal(searches.length, 3);
+  assert.equal(items.length, 120);
+  assert.equal(searches[0].params.filter, 'buyingOptions:{FIXED_PRICE}');
+  assert.equal(items[1].listingType, 'auction');
+  assert.deepEqual(items[0].price, { amount: 100, currency: 'GBP', original: 'GBP 100.00' });
+});
+
+test('searches that start together share one token request, which has a timeout', async () => {
+  ebayApiService.accessToken = null;
+  const before = requests.filter(config => config.url.endsWith('/oauth2/token')).length;
+
+  await Promise.all([1, 2, 3].map(() => ebayApiService.searchItems('moog', { maxResults: 10 })));
+
+  const tokens = requests.filter(config => config.url.endsWith('/oauth2/token'));
+  assert.equal(tokens.length - before, 1);
+  assert.ok(tokens.at(-1).timeout > 0);
+});
+
+test('an aborted search stops waiting for the token without cancelling it for the others', async () => {
+  ebayApiService.accessToken = null;
+  const api = browseApi(10);
+  let releaseToken;
+  axios.defaults.adapter = async config => {
+    if (config.url.endsWith('/oauth2/token')) await new Promise(resolve => { releaseToken = resolve; });
+    return api(config);
+  };
+  try {
+    const controller = new AbortController();
+    const aborted = ebayApiService.searchItems('moog', { maxResults: 10, signal: controller.signal });
+    const other = ebayApiService.searchItems('moog', { maxResults: 10 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    controller.abort(new Error('client went away'));
+    await assert.rejects(aborted, /client went away/);
+    releaseToken();
+    assert.equal((await other).length, 10);
+  } finally {
+    axios.defaults.adapter = browseApi(120);
+  }
+});
@@ -0,0 +1,204 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchService } from '../services/fetchService.js';
+import { ScrapingBeeTransport, ProxyTransport, estimateScrapingBeeCredits } from '../utils/fetchTransports.js';
+import { startFixtureProxy } from './helpers/fixtureProxy.js';
+import { BotBlockedError, CircuitOpenError } from '../utils/errors.js';
+
+beforeEach(() => {
+  fetchService.retryTimestamps = [];
+});
+
+function httpError(status) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+// Transport whose responses the test scripts: each entry is a body, an Error to throw,
+// or a function receiving a release() callback for requests the test holds open
+function scriptedTransport(script, { credits = 0 } = {}) {
+  const transport = {
+    name: 'scripted',
+    calls: [],
+    active: 0,
+    maxActive: 0,
+    isConfigured: () => true,
+    async fetch(url, options) {
+      transport.calls.push({ url, options });
+      transport.active++;
+      transport.maxActive = Math.max(transport.maxActive, transport.active);
+      try {
+        const step = script.shift();
+        if (step instanceof Error) throw step;
+        const body = typeof step === 'function' ? await new Promise(step) : step;
+        return { status: 200, body, credits };
+      } finally {
+        transport.active--;
+      }
+    },
+  };
+  return transport;
+}
+
+test('no more than two requests run against one host at once; the rest queue in order', async () => {
+  const releases = [];
+  const hold = resolve => releases.push(resolve);
+  const transport = scriptedTransport([hold, hold, hold, hold]);
+
+  const pages = [1, 2, 3, 4].map(n => fetchService.fetchPage(`https://queue.test/${n}`, { transport }));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(transport.calls.length, 2);
+  assert.equal(fetchService.getStats().hosts['queue.test'].queued, 2);
+
+  releases[0]('page 1');
+  releases[1]('page 2');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(transport.calls.length, 4);
+  releases[2]('page 3');
+  releases[3]('page 4');
+
+  assert.deepEqual(await Promise.all(pages), ['page 1', 'page 2', 'page 3', 'page 4']);
+  assert.equal(transport.maxActive, 2);
+  assert.deepEqual(transport.calls.map(c => c.url), [1, 2, 3, 4].map(n => `https://queue.test/${n}`));
+});
+
+test('a queued request that is aborted leaves the queue without taking a slot', async () => {
+  const releases = [];
+  const transport = scriptedTransport([r => releases.push(r), r => releases.push(r), 'third']);
+  const controller = new AbortController();
+
+  const held = [fetchService.fetchPage('https://abort.test/1', { transport }), fetchService.fetchPage('https://abort.test/2', { transport })];
+  const queued = fetchService.fetchPage('https://abort.test/3', { transport, signal: controller.signal });
+  const next = fetchService.fetchPage('https://abort.test/4', { transport });
+  await new Promise(resolve => setImmediate(resolve));
+
+  controller.abort(new Error('search deadline'));
+  await assert.rejects(queued, /search deadline/);
+
+  releases.forEach(release => release('held'));
+  await Promise.all(held);
+  assert.equal(await next, 'third');
+  assert.deepEqual(transport.calls.map(c => c.url).at(-1), 'https://abort.test/4');
+  assert.equal(fetchService.getStats().hosts['abort.test'].active, 0);
+});
+
+test('5xx and network errors are retried, other HTTP errors are not', async () => {
+  const transport = scriptedTransport([httpError(503), 'recovered', httpError(404)]);
+
+  assert.equal(await fetchService.fetchPage('https://retry.test/a', { transport }), 'recovered');
+  await assert.rejects(fetchService.fetchPage('https://retry.test/b', { transport }), /404/);
+
+  assert.equal(transport.calls.length, 3);
+  assert.equal(fetchService.getStats().hosts['retry.test'].retries, 1);
+});
+
+test('retries stop once the per-minute retry budget is spent', async () => {
+  const { perMinute } = fetchService.getStats().retryBudget;
+  fetchService.retryTimestamps = Array.from({ length: perMinute }, () => Date.now());
+  const transport = scriptedTransport([httpError(502), 'never fetched']);
+
+  await assert.rejects(fetchService.fetchPage('https://budget.test/', { transport }), /502/);
+  assert.equal(transport.calls.length, 1);
+});
+
+test('repeated 429s open the host\'s circuit; other hosts are unaffected', async () => {
+  const transport = scriptedTransport([httpError(429), httpError(429), httpError(429), 'other host']);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(fetchService.fetchPage('https://limited.test/', { transport, maxRetries: 0 }), /429/);
+  }
+  await assert.rejects(fetchService.fetchPage('https://limited.test/', { transport }), error => {
+    assert.ok(error instanceof CircuitOpenError);
+    return true;
+  });
+  assert.equal(transport.calls.length, 3);
+
+  const stats = fetchService.getStats().hosts['limited.test'];
+  assert.equal(stats.circuit, 'open');
+  assert.equal(stats.rateLimited, 3);
+  assert.equal(await fetchService.fetchPage('https://fine.test/', { transport }), 'other host');
+});
+
+test('challenge pages throw BotBlockedError and count towards the breaker until a clean page resets it', async () => {
+  const transport = scriptedTransport(['captcha', 'captcha', 'listing page', 'captcha', 'captcha', 'captcha']);
+  const isBlocked = body => body === 'captcha';
+  const fetchBlocked = () => fetchService.fetchPage('https://blocky.test/', { transport, isBlocked, marketplace: 'blocky' });
+
+  for (let i = 0; i < 2; i++) {
+    await assert.rejects(fetchBlocked(), error => error instanceof BotBlockedError && error.marketplace === 'blocky');
+  }
+  assert.equal(await fetchBlocked(), 'listing page');
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(fetchBlocked(), BotBlockedError);
+  }
+  await assert.rejects(fetchBlocked(), CircuitOpenError);
+  assert.equal(fetchService.getStats().hosts['blocky.test'].blocks, 5);
+});
+
+test('credits reported by the transport are counted per host', async () => {
+  const transport = scriptedTransport(['a', 'b'], { credits: 25 });
+  await fetchService.fetchPage('https://credits.test/1', { transport });
+  await fetchService.fetchPage('https://credits.test/2', { transport });
+
+  assert.equal(fetchService.getStats().hosts['credits.test'].credits, 50);
+});
+
+test('ScrapingBeeTransport sends the render options, forwards Spb- headers and reads the Spb-Cost header', async () => {
+  const requests = [];
+  const api = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ params: url.searchParams, headers: req.headers });
+    const headers = { 'Content-Type': 'text/html' };
+    if (url.searchParams.get('url').endsWith('/costed')) headers['Spb-Cost'] = '10';
+    res.writeHead(200, headers).end('<html>ok</html>');
+  });
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  try {
+    const transport = new ScrapingBeeTransport({ apiKey: 'test-key', baseUrl: `http://127.0.0.1:${api.address().port}/api/v1/` });
+
+    const costed = await transport.fetch('https://shop.test/costed', {
+      renderJs: false,
+      premiumProxy: true,
+      countryCode: 'DE',
+      headers: { 'Accept-Language': 'de-DE,de;q=0.9', Referer: 'https://shop.test/' },
+    });
+    assert.deepEqual(costed, { status: 200, body: '<html>ok</html>', credits: 10 });
+    const [{ params, headers }] = requests;
+    assert.equal(params.get('render_js'), 'false');
+    assert.equal(params.get('premium_proxy'), 'true');
+    assert.equal(params.get('country_code'), 'de');
+    assert.equal(params.get('api_key'), 'test-key');
+    assert.equal(params.get('forward_headers'), 'true');
+    assert.equal(headers['spb-accept-language'], 'de-DE,de;q=0.9');
+    assert.equal(headers['spb-referer'], 'https://shop.test/');
+
+    // Without a premium proxy ScrapingBee cannot pick the country
+    const estimated = await transport.fetch('https://shop.test/plain', { renderJs: true, premiumProxy: false, countryCode: 'DE' });
+    assert.equal(estimated.credits, estimateScrapingBeeCredits({ renderJs: true, premiumProxy: false }));
+    assert.equal(requests[1].params.get('country_code'), null);
+    assert.equal(requests[1].params.get('forward_headers'), null);
+  } finally {
+    await new Promise(resolve => {
+      api.close(resolve);
+      api.closeAllConnections();
+    });
+  }
+});
+
+test('ProxyTransport sends https URLs to the stand-in proxy in absolute form', async () => {
+  const proxy = await startFixtureProxy(url => (url.hostname === 'shop.test' ? { body: `<p>${url.pathname}</p>` } : undefined));
+  try {
+    const transport = new ProxyTransport({ proxyUrl: proxy.url });
+    const page = await transport.fetch('https://shop.test/item/7?ref=x', { headers: { 'Accept-Language': 'de-DE' } });
+
+    assert.deepEqual(page, { status: 200, body: '<p>/item/7</p>', credits: 0 });
+    assert.equal(proxy.requests[0].url.href, 'https://shop.test/item/7?ref=x');
+    assert.equal(proxy.requests[0].headers.host, 'shop.test');
+    assert.equal(proxy.requests[0].headers['accept-language'], 'de-DE');
+    await assert.rejects(transport.fetch('https://unknown.test/'), /404/);
+  } finally {
+    await proxy.close();
+  }
+});
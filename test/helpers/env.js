@@ -0,0 +1,19 @@
+// test/helpers/env.js
+//
+// Import first in every test file: services read these at import time. Each test file
+// runs in its own process, so each gets a fresh data directory.
+
+import { mkdtempSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = mkdtempSync(path.join(os.tmpdir(), 'hunta-test-'));
+process.env.LOG_LEVEL ||= 'error';
+process.env.FETCH_TRANSPORT = 'direct';
+process.env.LLM_PROVIDER ||= 'mock';
+
+// Never reach real marketplaces or APIs from a test run
+for (const name of ['SCRAPINGBEE_API_KEY', 'EBAY_CLIENT_ID', 'EBAY_CLIENT_SECRET', 'OPENAI_API_KEY',
+  'RAPIDAPI_GOOGLE_SHOPPING_KEY', 'STRIPE_SECRET_KEY', 'STRIPE_WEBHOOK_SECRET', 'REDIS_URL']) {
+  delete process.env[name];
+}
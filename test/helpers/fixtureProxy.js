@@ -0,0 +1,51 @@
+// test/helpers/fixtureProxy.js
+//
+// Local stand-in for the marketplaces: an HTTP forward proxy that answers every request
+// from fixture files instead of the network. Point a ProxyTransport at it and the
+// scrapers run their real fetch path offline.
+
+import http from 'http';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures');
+
+export function readFixture(name) {
+  return readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * @param {(url: URL, req: http.IncomingMessage) => { status?, body?, fixture?, type? } | undefined} route
+ *   answers one proxied request; `fixture` is a path under test/fixtures. Unrouted requests get a 404.
+ * @returns {Promise<{ url: string, requests: Array<{ url: URL, headers: object }>, close(): Promise<void> }>}
+ */
+export async function startFixtureProxy(route) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    // Proxied requests carry the absolute URL in the request line
+    const url = new URL(req.url);
+    requests.push({ url, headers: req.headers });
+
+    const answer = route(url, req);
+    if (!answer) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end(`No fixture for ${url.href}`);
+    }
+    const body = answer.fixture ? readFixture(answer.fixture) : answer.body ?? '';
+    const type = answer.type || (answer.fixture?.endsWith('.json') ? 'application/json' : 'text/html');
+    res.writeHead(answer.status || 200, { 'Content-Type': type });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      // Keep-alive sockets from the HTTP agent would otherwise hold the server open
+      server.closeAllConnections();
+    }),
+  };
+}
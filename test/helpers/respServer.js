@@ -0,0 +1,146 @@
+// test/helpers/respServer.js
+//
+// A small in-memory server speaking the Redis protocol (RESP2), enough for ioredis and
+// the commands the cache and rate limit stores send: GET, SET [EX|PX], DEL, INCR, DECR,
+// EXPIRE, PEXPIRE, PEXPIREAT, PTTL and MULTI/EXEC. Every command is recorded so
+// tests can assert on what was sent.
+
+import net from 'net';
+
+const simple = text => `+${text}\r\n`;
+const error = text => `-ERR ${text}\r\n`;
+const integer = n => `:${n}\r\n`;
+const bulk = value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+
+// One command from the front of the buffer: { args, length } or null when incomplete
+function parseCommand(buffer) {
+  const readLine = offset => {
+    const end = buffer.indexOf('\r\n', offset);
+    return end === -1 ? null : { line: buffer.toString('utf8', offset, end), next: end + 2 };
+  };
+
+  const header = readLine(0);
+  if (!header) return null;
+  const count = Number(header.line.slice(1));
+  const args = [];
+  let offset = header.next;
+  for (let i = 0; i < count; i++) {
+    const size = readLine(offset);
+    if (!size) return null;
+    const length = Number(size.line.slice(1));
+    if (buffer.length < size.next + length + 2) return null;
+    args.push(buffer.toString('utf8', size.next, size.next + length));
+    offset = size.next + length + 2;
+  }
+  return { args, length: offset };
+}
+
+/**
+ * @returns {Promise<{ url: string, commands: string[][], data: Map, close(): Promise<void> }>}
+ */
+export async function startRespServer() {
+  const data = new Map();
+  const commands = [];
+
+  const live = key => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const setExpiry = (key, expiresAt) => {
+    const entry = live(key);
+    if (!entry) return integer(0);
+    entry.expiresAt = expiresAt;
+    return integer(1);
+  };
+
+  const incrementBy = (key, by) => {
+    const entry = live(key) || { value: '0', expiresAt: null };
+    const value = Number(entry.value) + by;
+    if (!Number.isInteger(value)) return error('value is not an integer or out of range');
+    data.set(key, { ...entry, value: String(value) });
+    return integer(value);
+  };
+
+  function run([name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'PING': return simple('PONG');
+      case 'INFO': return bulk('# Server\r\nredis_version:7.2.0\r\nloading:0\r\n');
+      case 'SELECT':
+      case 'CLIENT':
+      case 'QUIT': return simple('OK');
+      case 'GET': return bulk(live(args[0])?.value ?? null);
+      case 'SET': {
+        const [key, value, option, amount] = args;
+        const ttlMs = option?.toUpperCase() === 'EX' ? Number(amount) * 1000
+          : option?.toUpperCase() === 'PX' ? Number(amount) : null;
+        data.set(key, { value, expiresAt: ttlMs === null ? null : Date.now() + ttlMs });
+        return simple('OK');
+      }
+      case 'DEL': return integer(args.filter(key => live(key) && data.delete(key)).length);
+      case 'INCR': return incrementBy(args[0], 1);
+      case 'DECR': return incrementBy(args[0], -1);
+      case 'EXPIRE': return setExpiry(args[0], Date.now() + Number(args[1]) * 1000);
+      case 'PEXPIRE': return setExpiry(args[0], Date.now() + Number(args[1]));
+      case 'PEXPIREAT': return setExpiry(args[0], Number(args[1]));
+      case 'PTTL': {
+        const entry = live(args[0]);
+        if (!entry) return integer(-2);
+        return integer(entry.expiresAt === null ? -1 : entry.expiresAt - Date.now());
+      }
+      default: return error(`unknown command '${name}'`);
+    }
+  }
+
+  const sockets = new Set();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.length);
+        const { args } = command;
+        commands.push(args);
+        const name = args[0].toUpperCase();
+
+        if (name === 'MULTI') {
+          queued = [];
+          socket.write(simple('OK'));
+        } else if (name === 'EXEC') {
+          const replies = (queued || []).map(run);
+          queued = null;
+          socket.write(`*${replies.length}\r\n${replies.join('')}`);
+        } else if (name === 'DISCARD') {
+          queued = null;
+          socket.write(simple('OK'));
+        } else if (queued) {
+          queued.push(args);
+          socket.write(simple('QUEUED'));
+        } else {
+          socket.write(run(args));
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    commands,
+    data,
+    close: () => new Promise(resolve => {
+      server.close(resolve);
+      sockets.forEach(socket => socket.destroy());
+    }),
+  };
+}
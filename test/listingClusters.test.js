@@ -0,0 +1,81 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeLink, clusterListings, titleSimilarity } from '../utils/listingClusters.js';
+import { tokenize } from '../utils/text.js';
+
+let nextId = 0;
+function listing(title, { score = 0.5, amount = 100, link, image = null, source = 'ebay' } = {}) {
+  nextId++;
+  return {
+    title,
+    score,
+    source,
+    image,
+    link: link || `https://www.example.com/item/${nextId}`,
+    price: { amount, currency: 'GBP' },
+    convertedPrice: { amount, currency: 'GBP' },
+  };
+}
+
+test('tokenize lower-cases, strips accents and splits on punctuation', () => {
+  assert.deepEqual(tokenize('Beyoncé - "Lemonade" 2xLP'), ['beyonce', 'lemonade', '2xlp']);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('titleSimilarity never matches titles whose numbers differ', () => {
+  assert.ok(titleSimilarity('Nike Air Max 90 white', 'Nike Air Max 90 white trainers') >= 0.8);
+  assert.equal(titleSimilarity('Nike Air Max 90 white', 'Nike Air Max 95 white'), 0);
+});
+
+test('canonicalizeLink drops tracking parameters and reduces eBay item pages to their id', () => {
+  assert.equal(canonicalizeLink('https://www.ebay.co.uk/itm/moog-sub-37/123456789012?hash=abc&_trksid=p1'), 'https://ebay.co.uk/itm/123456789012');
+  assert.equal(canonicalizeLink('https://www.reverb.com/item/55-moog/?utm_source=x&show=1'), 'https://reverb.com/item/55-moog?show=1');
+});
+
+test('clusterListings groups the same item across marketplaces under its best-scoring listing', () => {
+  const clusters = clusterListings([
+    listing('Moog Subsequent 37 analog synth', { score: 0.6, amount: 1100, source: 'reverb' }),
+    listing('Moog Subsequent 37 analog synth boxed', { score: 0.9, amount: 1250 }),
+    listing('Korg Minilogue XD', { score: 0.7, amount: 450 }),
+    listing('Moog Sub 37 tribute', { score: 0.4, amount: 900, link: 'https://www.ebay.co.uk/itm/123456789012?_trksid=1' }),
+    listing('Sub37 keyboard', { score: 0.3, amount: 950, link: 'https://ebay.co.uk/itm/123456789012' }),
+  ]);
+
+  assert.deepEqual(clusters.map(c => c.title), [
+    'Moog Subsequent 37 analog synth boxed',
+    'Korg Minilogue XD',
+    'Moog Sub 37 tribute',
+  ]);
+  assert.deepEqual(clusters[0].offers.map(o => o.source), ['ebay', 'reverb']);
+  assert.deepEqual(clusters[0].priceRange, { min: 1100, max: 1250, currency: 'GBP' });
+  // Same canonical link: one listing seen twice, whatever the titles say
+  assert.equal(clusters[2].offers.length, 2);
+});
+
+test('clusterListings compares against the representative, so similar titles do not chain', () => {
+  // A~B and B~C are each above the threshold, but A and C are different items
+  const a = listing('fender stratocaster sunburst maple neck', { score: 0.9 });
+  const b = listing('fender stratocaster sunburst maple neck gigbag', { score: 0.8 });
+  const c = listing('stratocaster sunburst maple neck gigbag strap', { score: 0.7 });
+  assert.ok(titleSimilarity(a.title, b.title) >= 0.8);
+  assert.ok(titleSimilarity(b.title, c.title) >= 0.8);
+  assert.ok(titleSimilarity(a.title, c.title) < 0.8);
+
+  const clusters = clusterListings([c, b, a]);
+
+  assert.deepEqual(clusters.map(cluster => cluster.offers.map(o => o.title)), [
+    [a.title, b.title],
+    [c.title],
+  ]);
+});
+
+test('clusterListings matches image URLs across CDN size variants only when enabled', () => {
+  const listings = [
+    listing('Pokemon Charizard holo', { score: 0.9, image: 'https://i.ebayimg.com/images/g/abc/s-l225.jpg' }),
+    listing('Base set card 4/102', { score: 0.5, image: 'https://i.ebayimg.com/images/g/abc/s-l1600.jpg?set_id=2' }),
+  ];
+
+  assert.equal(clusterListings(listings, { matchImages: true }).length, 1);
+  assert.equal(clusterListings(listings, { matchImages: false }).length, 2);
+});
@@ -0,0 +1,199 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import axios, { AxiosError } from 'axios';
+import { startFixtureProxy } from './helpers/fixtureProxy.js';
+import { fetchService } from '../services/fetchService.js';
+import { currencyService } from '../services/currencyService.js';
+import { ProxyTransport } from '../utils/fetchTransports.js';
+import { ListingNotFoundError } from '../utils/errors.js';
+import { resolveRegion } from '../utils/regions.js';
+
+process.env.EBAY_CLIENT_ID = 'test-client';
+process.env.EBAY_CLIENT_SECRET = 'test-secret';
+const { listingDetailService } = await import('../services/listingDetailService.js');
+
+const requests = [];
+const originalAdapter = axios.defaults.adapter;
+// Item IDs the stubbed Browse API answers with an error status instead of the item
+const failingItems = { '296500000503': 503, '296500000404': 404 };
+
+const BROWSE_ITEM = {
+  legacyItemId: '296512345678',
+  title: 'Fender Player Stratocaster Polar White',
+  price: { value: '429.99', currency: 'GBP' },
+  itemWebUrl: 'https://www.ebay.co.uk/itm/296512345678',
+  condition: 'Used',
+  seller: { username: 'guitarshed', feedbackScore: 2431, feedbackPercentage: '99.8' },
+  shippingOptions: [
+    { shippingServiceCode: 'Parcelforce 24', shippingCost: { value: '24.00', currency: 'GBP' }, maxEstimatedDeliveryDate: '2026-01-07T00:00:00.000Z' },
+    { shippingServiceCode: 'Royal Mail Tracked 48', shippingCost: { value: '12.50', currency: 'GBP' }, maxEstimatedDeliveryDate: '2026-01-09T00:00:00.000Z' },
+  ],
+  itemLocation: { city: 'Leeds', country: 'GB' },
+  buyingOptions: ['FIXED_PRICE'],
+  image: { imageUrl: 'https://i.ebayimg.com/images/g/strat1/s-l1600.jpg' },
+  additionalImages: [{ imageUrl: 'https://i.ebayimg.com/images/g/strat1b/s-l1600.jpg' }],
+};
+
+function respond(config, status, data) {
+  const response = { status, statusText: String(status), headers: {}, config, data };
+  if (status >= 400) throw new AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+  return response;
+}
+
+let proxy;
+
+before(async () => {
+  // Only the eBay API is stubbed; page fetches go through to the fixture proxy
+  const passThrough = axios.getAdapter(originalAdapter);
+  axios.defaults.adapter = async config => {
+    if (!config.url.startsWith('https://api.ebay.com/')) return passThrough(config);
+    requests.push(config);
+    if (config.url.endsWith('/oauth2/token')) return respond(config, 200, { access_token: 'token', expires_in: 7200 });
+    const status = failingItems[config.params.legacy_item_id];
+    return status ? respond(config, status, { errors: [] }) : respond(config, 200, BROWSE_ITEM);
+  };
+  currencyService.setRateProvider(async () => ({ base: 'GBP', rates: { GBP: 1, EUR: 1.2 } }));
+
+  proxy = await startFixtureProxy(url => (url.hostname === 'www.ebay.co.uk' ? { fixture: 'marketplaces/ebay-item.html' } : undefined));
+  fetchService.setTransport(new ProxyTransport({ proxyUrl: proxy.url }));
+});
+
+after(() => {
+  axios.defaults.adapter = originalAdapter;
+  return proxy.close();
+});
+
+const gbp = amount => ({ amount, currency: 'GBP', original: `£${amount}` });
+
+test('identify only accepts known marketplace and niche hosts', () => {
+  assert.deepEqual(listingDetailService.identify('https://www.ebay.co.uk/itm/fender-strat/296512345678?hash=item450a'), {
+    marketplace: 'ebay',
+    url: 'https://www.ebay.co.uk/itm/296512345678',
+    itemId: '296512345678',
+  });
+  assert.deepEqual(listingDetailService.identify('https://ebay.de/itm/296512345678?var=600123456789&_trkparms=x'), {
+    marketplace: 'ebay',
+    url: 'https://ebay.de/itm/296512345678?var=600123456789',
+    itemId: '296512345678',
+    variationId: '600123456789',
+  });
+  assert.equal(listingDetailService.identify('https://www.ebay.co.uk/sch/i.html?_nkw=strat'), null);
+
+  assert.equal(listingDetailService.identify('https://www.vinted.co.uk/items/4455667788-nike').marketplace, 'vinted');
+  assert.equal(listingDetailService.identify('https://www.cashconverters.co.uk/shop/item/1').marketplace, 'niche');
+
+  for (const url of [
+    'https://www.ebay.co.uk.attacker.example/itm/296512345678',
+    'https://notebay.co.uk/itm/296512345678',
+    'http://169.254.169.254/latest/meta-data',
+    'file:///etc/passwd',
+    'not a url',
+  ]) {
+    assert.equal(listingDetailService.identify(url), null, url);
+  }
+});
+
+test('withCheapestShipping picks the cheapest priced option and its import charges', () => {
+  const details = listingDetailService.withCheapestShipping({
+    shippingOptions: [
+      { service: 'Collection', cost: null, importCharges: null },
+      { service: 'Express', cost: gbp(9), importCharges: null },
+      { service: 'Economy', cost: gbp(4), importCharges: gbp(11) },
+    ],
+  });
+  assert.deepEqual(details.shippingCost, gbp(4));
+  assert.deepEqual(details.importCharges, gbp(11));
+
+  const unpriced = listingDetailService.withCheapestShipping({ shippingOptions: [{ service: 'Collection', cost: null }] });
+  assert.equal(unpriced.shippingCost, null);
+  assert.equal(unpriced.importCharges, null);
+});
+
+test('computeLandedCost adds postage and import charges in the requested currency', async () => {
+  const landed = await listingDetailService.computeLandedCost({
+    price: { amount: 100, currency: 'EUR', original: '100,00 €' },
+    shippingCost: gbp(5),
+    importCharges: gbp(20.5),
+  }, 'GBP');
+
+  assert.equal(landed.amount, 108.83);
+  assert.equal(landed.currency, 'GBP');
+  assert.equal(landed.complete, true);
+  assert.equal(landed.breakdown.item.amount, 83.33);
+});
+
+test('computeLandedCost is incomplete when the postage can\'t be converted', async () => {
+  const landed = await listingDetailService.computeLandedCost({
+    price: gbp(100),
+    shippingCost: { amount: 500, currency: 'JPY', original: '¥500' },
+    importCharges: null,
+  }, 'GBP');
+
+  assert.equal(landed.amount, 100);
+  assert.equal(landed.complete, false);
+  assert.equal(landed.breakdown.shipping, null);
+
+  assert.equal(await listingDetailService.computeLandedCost({ price: { amount: 1, currency: 'JPY' } }, 'GBP'), null);
+});
+
+test('eBay listings are read from the Browse API by legacy ID', async () => {
+  const listing = await listingDetailService.getListing('https://www.ebay.co.uk/itm/296512345678?var=600123456789', {
+    region: resolveRegion('UK'),
+    postcode: 'LS1 4AP',
+  });
+
+  const call = requests.at(-1);
+  assert.match(call.url, /\/buy\/browse\/v1\/item\/get_item_by_legacy_id$/);
+  assert.deepEqual(call.params, { legacy_item_id: '296512345678', legacy_variation_id: '600123456789' });
+  assert.equal(call.headers['X-EBAY-C-ENDUSERCTX'], `contextualLocation=${encodeURIComponent('country=GB,zip=LS14AP')}`);
+
+  assert.equal(listing.source, 'ebay_api');
+  assert.equal(listing.itemId, '296512345678');
+  assert.deepEqual(listing.price, { amount: 429.99, currency: 'GBP', original: 'GBP 429.99' });
+  assert.deepEqual(listing.seller, { name: 'guitarshed', feedbackScore: 2431, feedbackPercent: 99.8 });
+  assert.deepEqual(listing.shippingOptions[1], {
+    service: 'Royal Mail Tracked 48',
+    cost: { amount: 12.5, currency: 'GBP', original: 'GBP 12.50' },
+    importCharges: null,
+    estimatedDelivery: '2026-01-09T00:00:00.000Z',
+  });
+  assert.equal(listing.shippingCost.amount, 12.5);
+  assert.equal(listing.itemLocation, 'Leeds, GB');
+  assert.equal(listing.listingType, 'buy_it_now');
+  assert.equal(listing.images.length, 2);
+  assert.equal(listing.landedCost.amount, 442.49);
+  assert.equal(listing.landedCost.complete, true);
+  assert.equal(listing.cache.state, 'miss');
+});
+
+test('eBay listings fall back to the item page when the Browse API fails', async () => {
+  const listing = await listingDetailService.getListing('https://www.ebay.co.uk/itm/296500000503', { region: resolveRegion('UK') });
+
+  assert.equal(proxy.requests.at(-1).url.pathname, '/itm/296500000503');
+  assert.equal(listing.source, 'ebay');
+  assert.equal(listing.itemId, '296500000503');
+  assert.equal(listing.title, 'Fender Player Stratocaster Polar White');
+  assert.deepEqual(listing.price, gbp(429.99));
+  assert.equal(listing.condition, 'Used');
+  assert.deepEqual(listing.seller, { name: 'guitarshed', feedbackScore: 2431, feedbackPercent: 99.8 });
+  assert.deepEqual(listing.shippingOptions, [{
+    service: 'Royal Mail Tracked 48',
+    cost: { amount: 12.5, currency: 'GBP', original: '£12.50' },
+    importCharges: null,
+    estimatedDelivery: null,
+  }]);
+  assert.equal(listing.itemLocation, 'Leeds, United Kingdom');
+  assert.deepEqual(listing.images, [
+    'https://i.ebayimg.com/images/g/strat1/s-l1600.jpg',
+    'https://i.ebayimg.com/images/g/strat1b/s-l500.jpg',
+  ]);
+  assert.equal(listing.landedCost.amount, 442.49);
+});
+
+test('an eBay listing the Browse API doesn\'t have is not found', async () => {
+  await assert.rejects(
+    listingDetailService.getListing('https://www.ebay.co.uk/itm/296500000404', { region: resolveRegion('UK') }),
+    ListingNotFoundError,
+  );
+});
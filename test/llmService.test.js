@@ -0,0 +1,135 @@
+import './helpers/env.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { llmService } from '../services/llmService.js';
+import { llmUsageService } from '../services/llmUsageService.js';
+import { marketplaceRegistry } from '../services/marketplaceRegistry.js';
+import { OpenAIProvider, createLlmProvider } from '../utils/llmProviders.js';
+import { createMockLlmClient } from '../utils/mockLlm.js';
+
+const defaultProvider = llmService.provider;
+
+afterEach(() => {
+  llmService.setProvider(defaultProvider);
+});
+
+function useMock(options) {
+  const client = createMockLlmClient({ fixtures: {}, ...options });
+  llmService.setProvider(new OpenAIProvider({ name: 'mock', model: 'mock', client }));
+  return client;
+}
+
+// Usage is recorded without being awaited; let it land before reading the stats
+async function usageTotals() {
+  await new Promise(resolve => setImmediate(resolve));
+  return (await llmUsageService.getStats({ days: 1 })).totals;
+}
+
+test('LLM_PROVIDER=mock selects the offline mock client', () => {
+  const provider = createLlmProvider('mock');
+  assert.equal(provider.name, 'mock');
+  assert.equal(llmService.describe(), 'mock (mock)');
+});
+
+test('enhanceSearchQuery asks for the strict query schema and normalizes the reply', async () => {
+  const client = useMock({
+    fixtures: {
+      'fender strat 1996': {
+        search_terms: ['Fender Stratocaster 1996', '  fender   strat 96 ', 'Fender Stratocaster 1996'],
+        category: 'musical instruments',
+        brand: 'Fender',
+        model: 'Stratocaster',
+        attributes: ['1996'],
+        exclude_keywords: ['Case', 'PICKGUARD'],
+        price_band: { min: 600, max: 1200, currency: 'gbp' },
+        marketplace_queries: { ebay: 'Fender Stratocaster 1996 MIA', discogs: null, notamarketplace: 'ignored' },
+      },
+    },
+  });
+
+  const understanding = await llmService.enhanceSearchQuery('fender strat 1996');
+
+  assert.deepEqual(understanding, {
+    search_terms: ['Fender Stratocaster 1996', 'fender strat 96'],
+    category: 'musical instruments',
+    brand: 'Fender',
+    model: 'Stratocaster',
+    attributes: ['1996'],
+    exclude_keywords: ['case', 'pickguard'],
+    price_band: { min: 600, max: 1200, currency: 'GBP' },
+    marketplace_queries: { ebay: 'Fender Stratocaster 1996 MIA' },
+  });
+
+  const [request] = client.calls;
+  assert.equal(request.messages.at(-1).content, 'fender strat 1996');
+  assert.equal(request.response_format.type, 'json_schema');
+  assert.equal(request.response_format.json_schema.strict, true);
+  assert.deepEqual(
+    request.response_format.json_schema.schema.properties.marketplace_queries.required,
+    marketplaceRegistry.names(),
+  );
+});
+
+test('a repeated query is served from the cache without calling the model', async () => {
+  const client = useMock();
+  const before = await usageTotals();
+
+  const first = await llmService.enhanceSearchQuery('Moog  Grandmother');
+  const second = await llmService.enhanceSearchQuery('moog grandmother');
+
+  assert.deepEqual(second, first);
+  assert.equal(client.calls.length, 1);
+  const after = await usageTotals();
+  assert.equal(after.requests - before.requests, 1);
+  assert.equal(after.cacheHits - before.cacheHits, 1);
+});
+
+test('a reply wrapped in a markdown code fence is still parsed', async () => {
+  useMock({ respond: () => '```json\n{"search_terms":["roland sh-101"],"category":null,"brand":"Roland","model":"SH-101","attributes":[],"exclude_keywords":[],"price_band":null,"marketplace_queries":{}}\n```' });
+
+  const understanding = await llmService.enhanceSearchQuery('sh101');
+  assert.equal(understanding.brand, 'Roland');
+  assert.deepEqual(understanding.search_terms, ['roland sh-101']);
+});
+
+test('a reply that does not match the schema falls back to the rules enhancer and counts as a failure', async () => {
+  useMock({ respond: () => 'Sorry, I can only help with music.' });
+  const before = await usageTotals();
+
+  const understanding = await llmService.enhanceSearchQuery('vinyl black');
+
+  assert.deepEqual(understanding.search_terms, ['lp black']);
+  assert.equal(understanding.category, 'music');
+  assert.deepEqual(understanding.attributes, ['black']);
+  assert.equal((await usageTotals()).failures - before.failures, 1);
+
+  // Fallbacks are not cached, so the next search asks the model again
+  const client = useMock();
+  await llmService.enhanceSearchQuery('vinyl black');
+  assert.equal(client.calls.length, 1);
+});
+
+test('a model error falls back to the rules enhancer', async () => {
+  useMock({ respond: () => { throw new Error('502 Bad Gateway'); } });
+
+  const understanding = await llmService.enhanceSearchQuery('nike trainers size 9');
+  assert.equal(understanding.category, 'footwear');
+  assert.deepEqual(understanding.attributes, ['size 9']);
+});
+
+test('an aborted search aborts the enhancement instead of falling back', async () => {
+  llmService.setProvider({
+    name: 'mock',
+    model: 'hanging',
+    complete: ({ signal }) => new Promise((resolve, reject) => {
+      if (signal.aborted) return reject(signal.reason);
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }),
+  });
+  const controller = new AbortController();
+
+  const pending = llmService.enhanceSearchQuery('juno 106', { signal: controller.signal });
+  controller.abort(new Error('client went away'));
+
+  await assert.rejects(pending, /client went away/);
+});
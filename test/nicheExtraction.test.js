@@ -0,0 +1,82 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { FIXTURES_DIR, readFixture } from './helpers/fixtureProxy.js';
+import { extractListing, isNicheMarketplaceUrl, nicheDomainsFor, searchNicheMarketplaces } from '../services/nicheSearchService.js';
+import { fetchService } from '../services/fetchService.js';
+import { regionCodes, resolveRegion } from '../utils/regions.js';
+
+// Every domain in the config needs a saved product page and the listing it should give,
+// so a rule that stops matching (or a new domain without one) fails here
+const CONFIG = JSON.parse(readFileSync(new URL('../config/nicheMarketplaces.json', import.meta.url), 'utf8'));
+const DOMAINS = Object.keys(CONFIG);
+
+for (const domain of DOMAINS) {
+  test(`${domain}: extracts the listing from a saved product page`, () => {
+    const page = `niche/${domain}.html`;
+    const expectedFile = path.join(FIXTURES_DIR, `niche/${domain}.expected.json`);
+    assert.ok(existsSync(path.join(FIXTURES_DIR, page)), `add test/fixtures/${page} for ${domain}`);
+    assert.ok(existsSync(expectedFile), `add test/fixtures/niche/${domain}.expected.json for ${domain}`);
+
+    const { url, listing } = JSON.parse(readFileSync(expectedFile, 'utf8'));
+    assert.ok(isNicheMarketplaceUrl(url), `${url} is not matched to ${domain}`);
+
+    const extracted = extractListing(readFixture(page), url);
+    assert.deepEqual(extracted, { url, source: url, ...listing });
+  });
+
+  test(`${domain}: lists the regions it sells in`, () => {
+    const { regions } = CONFIG[domain];
+    assert.ok(regions?.length > 0, `give ${domain} a "regions" list`);
+    regions.forEach(code => assert.ok(regionCodes().includes(code), `${domain} lists unknown region ${code}`));
+  });
+}
+
+test('cashconverters.co.uk: the sold-out marker marks the listing out of stock', () => {
+  const html = readFixture('niche/cashconverters.co.uk.html')
+    .replace('<div class="product-description">', '<div class="sold-banner">This item has been sold</div><div class="product-description">');
+
+  const listing = extractListing(html, 'https://www.cashconverters.co.uk/shop/item/1');
+  assert.equal(listing.availability, 'out_of_stock');
+  assert.equal(listing.extractedFrom.availability, 'rules');
+});
+
+test('pages on other domains get no domain rules', () => {
+  assert.equal(isNicheMarketplaceUrl('https://www.notcashconverters.co.uk/item/1'), false);
+  const listing = extractListing(readFixture('niche/cashconverters.co.uk.html'), 'https://shop.example.org/item/1');
+  assert.equal(listing.price, null);
+  assert.equal(listing.title, 'Fender Player Stratocaster Electric Guitar | Cash Converters');
+});
+
+test('structured data is read on pages without domain rules', () => {
+  const url = 'https://shop.example.org/cameras/nikon-fm2';
+  const listing = extractListing(readFixture('niche/json-ld-product.html'), url);
+
+  assert.deepEqual(listing, {
+    url,
+    title: 'Nikon FM2 35mm Film Camera (Body Only)',
+    price: { amount: 245, currency: 'GBP', original: '245.00' },
+    image: 'https://cdn.example.org/media/products/nikon-fm2-large.jpg',
+    availability: 'in_stock',
+    condition: 'used',
+    source: url,
+    extractedFrom: { title: 'json-ld', price: 'json-ld', currency: 'json-ld', image: 'json-ld', availability: 'json-ld', condition: 'json-ld' },
+  });
+});
+
+test('regions without niche marketplaces are not searched', async () => {
+  assert.deepEqual(nicheDomainsFor(resolveRegion('UK')), ['cashconverters.co.uk']);
+  assert.deepEqual(nicheDomainsFor(resolveRegion('US')), []);
+
+  const transport = fetchService.transport;
+  const fetched = [];
+  fetchService.setTransport({ name: 'recording', isConfigured: () => true, fetch: url => { fetched.push(url); return ''; } });
+  try {
+    assert.deepEqual(await searchNicheMarketplaces('fender', { region: resolveRegion('US') }), []);
+  } finally {
+    fetchService.setTransport(transport);
+  }
+  assert.deepEqual(fetched, []);
+});
@@ -0,0 +1,69 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAmount, parsePrice, toPrice } from '../utils/price.js';
+import { currencyService } from '../services/currencyService.js';
+
+test('parseAmount reads the decimal and thousands separators of each locale', () => {
+  assert.equal(parseAmount('1,234.56'), 1234.56);
+  assert.equal(parseAmount('1.234,56'), 1234.56);
+  assert.equal(parseAmount('12,50'), 12.5);
+  assert.equal(parseAmount('12.5'), 12.5);
+  assert.equal(parseAmount('1,234'), 1234);
+  assert.equal(parseAmount('1.234'), 1234);
+  assert.equal(parseAmount('1.234.567'), 1234567);
+  assert.equal(parseAmount('2 000'), 2000);
+});
+
+test('parsePrice keeps space, no-break and thin-space thousands groups together', () => {
+  assert.equal(parsePrice('€ 2 000').amount, 2000);
+  assert.equal(parsePrice('2 000,00 €').amount, 2000);
+  assert.equal(parsePrice('1 234,56 €').amount, 1234.56);
+  assert.equal(parsePrice('1 234 567 kr', 'SEK').amount, 1234567);
+  assert.equal(parsePrice('2 000 000 ¥', 'JPY').amount, 2000000);
+});
+
+test('parsePrice does not join numbers that are not digit groups', () => {
+  const price = parsePrice('£12.50 3 bids');
+  assert.equal(price.amount, 12.5);
+  assert.equal(price.maxAmount, undefined);
+});
+
+test('parsePrice detects the currency and reads ranges', () => {
+  assert.deepEqual(parsePrice('£1,234.56 to £2,000'), {
+    amount: 1234.56,
+    currency: 'GBP',
+    original: '£1,234.56 to £2,000',
+    maxAmount: 2000,
+  });
+  assert.equal(parsePrice('US $45.00').currency, 'USD');
+  assert.equal(parsePrice('12,00 EUR').currency, 'EUR');
+  assert.equal(parsePrice('12.00', 'GBP').currency, 'GBP');
+  assert.equal(parsePrice('Price on request'), null);
+});
+
+test('parsePrice recognises the currencies Discogs lists in', () => {
+  assert.equal(parsePrice('NZ$45.00').currency, 'NZD');
+  assert.equal(parsePrice('MX$850.00').currency, 'MXN');
+  assert.equal(parsePrice('R$120,00').currency, 'BRL');
+  assert.equal(parsePrice('A$30.00').currency, 'AUD');
+  assert.equal(parsePrice('CA$30.00').currency, 'CAD');
+  assert.equal(parsePrice('ZAR 450.00').currency, 'ZAR');
+});
+
+test('every Discogs currency converts with the bundled rate table', async () => {
+  for (const currency of ['GBP', 'USD', 'EUR', 'CAD', 'AUD', 'JPY', 'CHF', 'SEK', 'NZD', 'MXN', 'BRL', 'ZAR']) {
+    const converted = await currencyService.convert(toPrice(100, currency), 'GBP');
+    assert.ok(converted, `${currency} has no exchange rate`);
+    assert.equal(converted.currency, 'GBP');
+  }
+});
+
+test('validateCurrency accepts codes from the rate table and rejects anything else', async () => {
+  assert.deepEqual(await currencyService.validateCurrency('usd', 'GBP'), { currency: 'USD' });
+  assert.deepEqual(await currencyService.validateCurrency(undefined, 'GBP'), { currency: 'GBP' });
+  assert.deepEqual(await currencyService.validateCurrency('', 'EUR'), { currency: 'EUR' });
+  assert.match((await currencyService.validateCurrency('XYZ', 'GBP')).error, /Unsupported currency: XYZ/);
+  assert.ok((await currencyService.validateCurrency({ code: 'USD' }, 'GBP')).error);
+  assert.ok((await currencyService.validateCurrency('toString', 'GBP')).error);
+});
@@ -0,0 +1,70 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceHistoryService, normalizeItemKey } from '../services/priceHistoryService.js';
+import { toPrice } from '../utils/price.js';
+
+let nextId = 0;
+const seen = (title, amount) => ({ title, price: toPrice(amount, 'GBP'), link: `https://www.example.com/item/${++nextId}`, source: 'ebay' });
+const candidate = (title, amount) => ({ ...seen(title, amount), convertedPrice: toPrice(amount, 'GBP') });
+
+test('normalizeItemKey drops seller filler and word order', () => {
+  assert.equal(normalizeItemKey('RARE Boxed Roland TR-808 - mint condition'), normalizeItemKey('roland tr 808'));
+});
+
+test('deals compare against similar titles found through the item key index', async () => {
+  await priceHistoryService.record('roland tr 808', [
+    seen('Roland TR-808 drum machine', 1800),
+    seen('Roland TR-808 drum machine boxed', 2000),
+    seen('Roland TR-808 drum machine serviced', 2200),
+    seen('Roland TR 808 drum machine', 2400),
+    seen('roland tr 808 drum machine used', 2600),
+    seen('Roland TR-808 rhythm composer', 2500),
+    // Same query, different items: cheap clones and accessories
+    seen('Behringer RD-8 drum machine', 300),
+    seen('TR-8S decksaver cover', 30),
+    seen('808 sample pack USB', 10),
+  ]);
+
+  const [deal, clone] = await priceHistoryService.annotateDeals('Roland TR 808', [
+    candidate('Roland TR-808 drum machine working', 1900),
+    candidate('Behringer RD-8 MkII', 280),
+  ]);
+
+  assert.equal(deal.deal.matchedOn, 'similar_titles');
+  assert.equal(deal.deal.sampleSize, 5);
+  assert.equal(deal.deal.percentile, 20);
+  assert.equal(deal.deal.label, 'good');
+
+  // Too few similar titles: every price for the query counts
+  assert.equal(clone.deal.matchedOn, 'query');
+  assert.equal(clone.deal.sampleSize, 9);
+});
+
+test('the same item key is comparable even when the seller filler makes the titles differ', async () => {
+  await priceHistoryService.record('juno 106', [
+    seen('Roland Juno 106', 900),
+    seen('Roland Juno-106 RARE vintage boxed mint condition free postage', 1000),
+    seen('Roland Juno 106 genuine original', 1100),
+    seen('juno 106 roland uk', 1200),
+    seen('Roland JUNO 106 excellent condition', 1300),
+  ]);
+
+  const [listing] = await priceHistoryService.annotateDeals('juno 106', [
+    candidate('Roland Juno 106 used look', 950),
+  ]);
+  assert.equal(listing.deal.matchedOn, 'similar_titles');
+  assert.equal(listing.deal.sampleSize, 5);
+});
+
+test('a listing is recorded at most once per query per day and never compared with itself', async () => {
+  const listing = seen('Korg MS-20 mini', 450);
+  await priceHistoryService.record('korg ms20', [listing]);
+  await priceHistoryService.record('korg ms20', [listing]);
+
+  const history = await priceHistoryService.getHistory('korg ms20');
+  assert.equal(history.overall.count, 1);
+
+  const [annotated] = await priceHistoryService.annotateDeals('korg ms20', [{ ...listing, convertedPrice: listing.price }]);
+  assert.equal(annotated.deal, null);
+});
@@ -0,0 +1,80 @@
+import './helpers/env.js';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRespServer } from './helpers/respServer.js';
+import { rateLimitService } from '../services/rateLimitService.js';
+import { FileRateLimitStore, RedisRateLimitStore } from '../utils/rateLimitStores.js';
+
+const fileStore = rateLimitService.store;
+let redis;
+
+before(async () => {
+  redis = await startRespServer();
+});
+
+after(() => redis.close());
+
+afterEach(async () => {
+  await rateLimitService.store.client?.quit();
+  rateLimitService.store = fileStore;
+});
+
+const today = () => new Date().toISOString().split('T')[0];
+
+async function consumeConcurrently(count, who) {
+  const results = await Promise.all(Array.from({ length: count }, () => rateLimitService.consume('search', who)));
+  return results.filter(result => result.allowed);
+}
+
+for (const [name, createStore] of [
+  ['file', () => new FileRateLimitStore()],
+  ['Redis', () => new RedisRateLimitStore({ url: redis.url })],
+]) {
+  test(`${name} store: concurrent requests can't take more than the session limit`, async () => {
+    rateLimitService.store = createStore();
+    const who = { identity: `user:${name}-burst`, ip: '203.0.113.1', tier: 'free' };
+    const { session } = rateLimitService.getLimits('free', 'search');
+
+    const allowed = await consumeConcurrently(session * 3, who);
+
+    assert.equal(allowed.length, session);
+    assert.deepEqual(allowed.map(r => r.remaining).sort(), Array.from({ length: session }, (_, i) => i));
+    assert.equal(await rateLimitService.store.get(`search:id:${who.identity}:${today()}`), session);
+    // Rejected requests are taken back off the IP counter too
+    assert.equal(await rateLimitService.store.get(`search:ip:${who.ip}:${today()}`), session);
+  });
+
+  test(`${name} store: the per-IP limit applies across identities and rejects without counting`, async () => {
+    rateLimitService.store = createStore();
+    const ip = `198.51.100.${name.length}`;
+    const { ip: ipLimit } = rateLimitService.getLimits('free', 'search');
+
+    let allowed = 0;
+    for (let i = 0; allowed < ipLimit; i++) {
+      if ((await rateLimitService.consume('search', { identity: `user:${name}-${i}`, ip, tier: 'free' })).allowed) allowed++;
+    }
+    const rejected = await rateLimitService.consume('search', { identity: `user:${name}-fresh`, ip, tier: 'free' });
+
+    assert.equal(rejected.allowed, false);
+    assert.equal(rejected.remaining, 0);
+    assert.equal(await rateLimitService.store.get(`search:id:user:${name}-fresh:${today()}`), 0);
+  });
+}
+
+test('Redis store counts with INCR and sets the expiry in the same transaction', async () => {
+  rateLimitService.store = new RedisRateLimitStore({ url: redis.url });
+  const before = redis.commands.length;
+
+  await rateLimitService.consume('listing', { identity: 'user:tx', ip: '192.0.2.7', tier: 'free' });
+
+  const sent = redis.commands.slice(before).map(([name]) => name.toLowerCase());
+  assert.deepEqual(sent.filter(name => !['info', 'client'].includes(name)), ['multi', 'incr', 'pexpireat', 'incr', 'pexpireat', 'exec']);
+  const counter = redis.data.get(`hunta:ratelimit:listing:id:user:tx:${today()}`);
+  assert.equal(counter.value, '1');
+  assert.equal(counter.expiresAt, rateLimitService.getResetDate().getTime());
+});
+
+test('unlimited tiers are not counted', async () => {
+  const result = await rateLimitService.consume('search', { identity: 'user:pro', ip: '192.0.2.8', tier: 'pro' });
+  assert.deepEqual(result, { allowed: true, tier: 'pro', limit: null, remaining: 'unlimited', resetTime: null, resetSeconds: null });
+});
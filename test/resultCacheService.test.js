@@ -0,0 +1,206 @@
+import './helpers/env.js';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRespServer } from './helpers/respServer.js';
+import { resultCacheService, buildSearchCacheKey } from '../services/resultCacheService.js';
+import { MemoryLruBackend, RedisBackend } from '../utils/cacheBackends.js';
+import { marketplaceRegistry } from '../services/marketplaceRegistry.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let redis;
+
+before(async () => {
+  redis = await startRespServer();
+});
+
+after(() => redis.close());
+
+afterEach(() => {
+  resultCacheService.setBackend(new MemoryLruBackend());
+});
+
+// Fetcher that counts its calls and records whether each was a background refresh
+function countingFetcher(values) {
+  const calls = [];
+  const fetcher = async ({ background }) => {
+    calls.push(background);
+    const value = values[calls.length - 1];
+    if (value instanceof Error) throw value;
+    return value;
+  };
+  return { fetcher, calls };
+}
+
+test('wrap fetches on a miss and serves fresh entries as hits', async () => {
+  resultCacheService.setBackend(new MemoryLruBackend());
+  const { fetcher, calls } = countingFetcher([['first']]);
+
+  assert.deepEqual(await resultCacheService.wrap('k', fetcher, { ttlSeconds: 60 }), { value: ['first'], state: 'miss', ageSeconds: 0 });
+  const hit = await resultCacheService.wrap('k', fetcher, { ttlSeconds: 60 });
+  assert.equal(hit.state, 'hit');
+  assert.deepEqual(hit.value, ['first']);
+  assert.deepEqual(calls, [false]);
+});
+
+test('wrap serves a stale entry at once and refreshes it in the background, once per key', async () => {
+  const backend = new MemoryLruBackend();
+  resultCacheService.setBackend(backend);
+  await backend.set('k', { storedAt: Date.now() - HOUR_MS, value: ['old'] }, 7200);
+  const { fetcher, calls } = countingFetcher([['new']]);
+
+  const [first, second] = await Promise.all([
+    resultCacheService.wrap('k', fetcher, { ttlSeconds: 60 }),
+    resultCacheService.wrap('k', fetcher, { ttlSeconds: 60 }),
+  ]);
+  assert.equal(first.state, 'stale');
+  assert.deepEqual(first.value, ['old']);
+  assert.ok(first.ageSeconds >= 3600);
+  assert.equal(second.state, 'stale');
+
+  await resultCacheService.refreshing.get('k');
+  assert.deepEqual(calls, [true]);
+  const refreshed = await resultCacheService.wrap('k', fetcher, { ttlSeconds: 60 });
+  assert.equal(refreshed.state, 'hit');
+  assert.deepEqual(refreshed.value, ['new']);
+});
+
+test('a failed background refresh keeps serving the stale entry', async () => {
+  const backend = new MemoryLruBackend();
+  resultCacheService.setBackend(backend);
+  await backend.set('k', { storedAt: Date.now() - HOUR_MS, value: ['old'] }, 7200);
+  const { fetcher } = countingFetcher([new Error('marketplace down')]);
+
+  await resultCacheService.wrap('k', fetcher, { ttlSeconds: 60 });
+  await resultCacheService.refreshing.get('k');
+
+  const again = await resultCacheService.wrap('k', async () => ['unused'], { ttlSeconds: 60 });
+  assert.equal(again.state, 'stale');
+  assert.deepEqual(again.value, ['old']);
+  await resultCacheService.refreshing.get('k');
+});
+
+test('errors from the fetcher are not cached', async () => {
+  resultCacheService.setBackend(new MemoryLruBackend());
+  const { fetcher, calls } = countingFetcher([new Error('timeout'), ['ok']]);
+
+  await assert.rejects(resultCacheService.wrap('k', fetcher), /timeout/);
+  assert.deepEqual((await resultCacheService.wrap('k', fetcher)).value, ['ok']);
+  assert.equal(calls.length, 2);
+});
+
+test('a failing backend falls through to the fetcher', async () => {
+  resultCacheService.setBackend({
+    get: async () => { throw new Error('connection refused'); },
+    set: async () => { throw new Error('connection refused'); },
+  });
+
+  assert.deepEqual(await resultCacheService.wrap('k', async () => ['live']), { value: ['live'], state: 'miss', ageSeconds: 0 });
+});
+
+test('MemoryLruBackend expires entries and evicts the least recently used', async () => {
+  const backend = new MemoryLruBackend({ maxEntries: 2 });
+  await backend.set('a', 1, 60);
+  await backend.set('b', 2, 60);
+  await backend.get('a');
+  await backend.set('c', 3, 60);
+  assert.equal(await backend.get('b'), null);
+  assert.equal(await backend.get('a'), 1);
+
+  await backend.set('gone', 4, -1);
+  assert.equal(await backend.get('gone'), null);
+});
+
+test('RedisBackend stores JSON with a TTL under its key prefix against a Redis-protocol server', async () => {
+  const backend = new RedisBackend({ url: redis.url });
+  try {
+    await backend.set('search:v1:k', { storedAt: 1, value: [{ title: 'Moog' }] }, 90.5);
+    assert.deepEqual(await backend.get('search:v1:k'), { storedAt: 1, value: [{ title: 'Moog' }] });
+
+    assert.deepEqual(redis.commands.find(([name]) => name === 'set'), ['set', 'hunta:search:v1:k', '{"storedAt":1,"value":[{"title":"Moog"}]}', 'EX', '91']);
+    const stored = redis.data.get('hunta:search:v1:k');
+    assert.ok(stored.expiresAt - Date.now() > 90 * 1000);
+
+    await backend.delete('search:v1:k');
+    assert.equal(await backend.get('search:v1:k'), null);
+  } finally {
+    await backend.quit();
+  }
+});
+
+test('wrap caches through RedisBackend and serves the second lookup as a hit', async () => {
+  const backend = new RedisBackend({ url: redis.url, keyPrefix: 'swr:' });
+  resultCacheService.setBackend(backend);
+  const { fetcher, calls } = countingFetcher([['from marketplace']]);
+  try {
+    assert.equal((await resultCacheService.wrap('term', fetcher, { ttlSeconds: 60 })).state, 'miss');
+    const hit = await resultCacheService.wrap('term', fetcher, { ttlSeconds: 60 });
+    assert.equal(hit.state, 'hit');
+    assert.deepEqual(hit.value, ['from marketplace']);
+    assert.equal(calls.length, 1);
+  } finally {
+    await backend.quit();
+  }
+});
+
+test('buildSearchCacheKey normalizes the term and includes only the parameters the source uses', () => {
+  const key = (source, overrides = {}) => buildSearchCacheKey({
+    source,
+    term: '  Moog   Grandmother ',
+    location: 'uk',
+    currency: 'gbp',
+    params: marketplaceRegistry.get(source).cacheKeyParams,
+    ...overrides,
+  });
+
+  assert.equal(key('ebay'), key('ebay', { term: 'moog grandmother', location: 'UK', currency: 'GBP' }));
+  for (const filters of [{ minPrice: 100 }, { condition: 'used' }, { listingType: 'auction' }, { itemLocation: 'DE' }, { sort: 'newest' }]) {
+    assert.notEqual(key('ebay', { filters }), key('ebay'), JSON.stringify(filters));
+  }
+  assert.notEqual(key('ebay', { currency: 'USD' }), key('ebay'));
+  assert.notEqual(key('gumtree', { filters: { postcode: 'E8 1AA' } }), key('gumtree'));
+
+  // Vinted ignores price, sort and currency, so those searches share its cache
+  assert.equal(key('vinted', { currency: 'USD', filters: { minPrice: 100, sort: 'price_asc' } }), key('vinted'));
+  assert.notEqual(key('vinted', { location: 'de' }), key('vinted'));
+});
+
+test('identical misses arriving together share one fetch', async () => {
+  resultCacheService.setBackend(new MemoryLruBackend());
+  let release;
+  let calls = 0;
+  const fetcher = () => {
+    calls++;
+    return new Promise(resolve => { release = resolve; });
+  };
+
+  const first = resultCacheService.wrap('together', fetcher);
+  const second = resultCacheService.wrap('together', fetcher);
+  await new Promise(resolve => setImmediate(resolve));
+  release(['listing']);
+
+  assert.deepEqual(await first, { value: ['listing'], state: 'miss', ageSeconds: 0 });
+  assert.deepEqual(await second, { value: ['listing'], state: 'hit', ageSeconds: 0 });
+  assert.equal(calls, 1);
+  assert.equal(resultCacheService.pending.size, 0);
+});
+
+test('a miss waiting on a fetch its caller cancelled fetches for itself, but shares real errors', async () => {
+  resultCacheService.setBackend(new MemoryLruBackend());
+  const cancelled = Object.assign(new Error('canceled'), { name: 'CanceledError' });
+  let reject;
+  const first = resultCacheService.wrap('cancelled', () => new Promise((_, r) => { reject = r; }));
+  const second = resultCacheService.wrap('cancelled', async () => ['own fetch']);
+  await new Promise(resolve => setImmediate(resolve));
+  reject(cancelled);
+
+  await assert.rejects(first, /canceled/);
+  assert.deepEqual((await second).value, ['own fetch']);
+
+  const failing = resultCacheService.wrap('failing', () => new Promise((_, r) => { reject = r; }));
+  const waiting = resultCacheService.wrap('failing', async () => ['never used']);
+  await new Promise(resolve => setImmediate(resolve));
+  reject(new Error('502 Bad Gateway'));
+  await assert.rejects(failing, /502/);
+  await assert.rejects(waiting, /502/);
+});
@@ -0,0 +1,137 @@
+import './helpers/env.js';
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { savedSearchService } from '../services/savedSearchService.js';
+import { searchService } from '../services/searchService.js';
+import { rateLimitService } from '../services/rateLimitService.js';
+import { userService } from '../services/userService.js';
+import { webhookService } from '../services/webhookService.js';
+
+const performSearch = searchService.performSearch;
+let searches;
+
+beforeEach(async () => {
+  searches = 0;
+  searchService.performSearch = async () => {
+    searches += 1;
+    return { listings: [] };
+  };
+  await savedSearchService.store.update(data => { data.searches = []; });
+});
+
+afterEach(() => {
+  searchService.performSearch = performSearch;
+});
+
+async function registerUser(email) {
+  return userService.register({ email, password: 'correct horse battery' });
+}
+
+test('runDue runs due searches for existing owners and removes searches whose owner is gone', async () => {
+  const user = await registerUser('owner@example.com');
+  const owned = await savedSearchService.create(`user:${user.id}`, { search_term: 'moog grandmother' });
+  await savedSearchService.create('user:deleted-account', { search_term: 'orphan' });
+  await savedSearchService.create('anonymous-session-id', { search_term: 'legacy' });
+
+  await savedSearchService.runDue();
+
+  assert.equal(searches, 1);
+  const { searches: stored } = await savedSearchService.store.load();
+  assert.deepEqual(stored.map(s => s.id), [owned.id]);
+  assert.ok(stored[0].lastRunAt);
+});
+
+test('scheduled runs count against the owner\'s search quota and skip once it is used up', async () => {
+  const user = await registerUser('quota@example.com');
+  const identity = `user:${user.id}`;
+  const saved = await savedSearchService.create(identity, { search_term: 'juno 60' });
+
+  const { session } = rateLimitService.getLimits('free', 'search');
+  for (let i = 0; i < session - 1; i++) {
+    assert.ok((await rateLimitService.consume('search', { identity, tier: 'free' })).allowed);
+  }
+
+  // The last search of the day goes to the scheduled run
+  await savedSearchService.runDue();
+  assert.equal(searches, 1);
+  assert.equal((await rateLimitService.consume('search', { identity, tier: 'free' })).allowed, false);
+
+  // Due again, but over quota: nothing runs and lastRunAt stays put
+  await savedSearchService.store.update(data => { data.searches[0].lastRunAt = new Date(0).toISOString(); });
+  await savedSearchService.runDue();
+  assert.equal(searches, 1);
+  assert.equal((await savedSearchService.get(identity, saved.id)).lastRunAt, new Date(0).toISOString());
+});
+
+test('a listing is only new when none of its offers has been seen, whichever seller represents it', async () => {
+  const user = await registerUser('seen@example.com');
+  const identity = `user:${user.id}`;
+  await savedSearchService.create(identity, { search_term: 'sh-101' });
+
+  const offer = (source, link) => ({ source, link, title: 'Roland SH-101' });
+  const runs = [
+    [{ ...offer('ebay', 'https://www.ebay.co.uk/itm/123456789012?_trksid=a'), offers: [offer('ebay', 'https://www.ebay.co.uk/itm/123456789012?_trksid=a')] }],
+    // The same item, now represented by a new Reverb offer, plus a tracking param change
+    [{
+      ...offer('reverb', 'https://reverb.com/item/55-roland-sh-101'),
+      offers: [offer('reverb', 'https://reverb.com/item/55-roland-sh-101'), offer('ebay', 'https://www.ebay.co.uk/itm/123456789012?_trksid=b')],
+    }],
+    [{ ...offer('gumtree', 'https://www.gumtree.com/p/synths/sh-101/99'), offers: [offer('gumtree', 'https://www.gumtree.com/p/synths/sh-101/99')] }],
+  ];
+  searchService.performSearch = async () => ({ listings: runs.shift() });
+
+  const [savedSearch] = (await savedSearchService.store.load()).searches;
+  assert.deepEqual(await savedSearchService.run(savedSearch), []);
+  assert.deepEqual(await savedSearchService.run(savedSearch), []);
+  assert.deepEqual(savedSearch.seenLinks, ['https://reverb.com/item/55-roland-sh-101', 'https://ebay.co.uk/itm/123456789012']);
+
+  const found = await savedSearchService.run(savedSearch);
+  assert.deepEqual(found.map(r => r.source), ['gumtree']);
+});
+
+test('listings whose webhook delivery failed are sent again on the next run', async () => {
+  const user = await registerUser('webhook@example.com');
+  const deliveries = [];
+  const statuses = [500, 204];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push(JSON.parse(body));
+      res.writeHead(statuses.shift()).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  webhookService.allowPrivateNetworks = true;
+
+  try {
+    await savedSearchService.create(`user:${user.id}`, {
+      search_term: 'jupiter 8',
+      webhook_url: `http://127.0.0.1:${receiver.address().port}/hook`,
+    });
+    const listing = { source: 'ebay', link: 'https://www.ebay.co.uk/itm/223344556677', title: 'Roland Jupiter-8' };
+    const runs = [[], [listing], [listing], [listing]];
+    searchService.performSearch = async () => ({ listings: runs.shift() });
+    const [savedSearch] = (await savedSearchService.store.load()).searches;
+
+    await savedSearchService.run(savedSearch);
+    await savedSearchService.run(savedSearch);
+    assert.deepEqual(savedSearch.seenLinks, []);
+
+    await savedSearchService.run(savedSearch);
+    assert.deepEqual(deliveries.map(d => d.listings.map(l => l.link)), [[listing.link], [listing.link]]);
+    assert.deepEqual(savedSearch.seenLinks, ['https://ebay.co.uk/itm/223344556677']);
+    assert.equal(savedSearch.lastNewCount, 1);
+
+    // Delivered once: not sent a third time
+    assert.deepEqual(await savedSearchService.run(savedSearch), []);
+    assert.equal(deliveries.length, 2);
+  } finally {
+    webhookService.allowPrivateNetworks = false;
+    await new Promise(resolve => {
+      receiver.close(resolve);
+      receiver.closeAllConnections();
+    });
+  }
+});
@@ -0,0 +1,238 @@
+import './helpers/env.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFixtureProxy } from './helpers/fixtureProxy.js';
+import { fetchService } from '../services/fetchService.js';
+import { scrapingService } from '../services/scrapingService.js';
+import { ProxyTransport } from '../utils/fetchTransports.js';
+import { BotBlockedError } from '../utils/errors.js';
+import { resolveRegion } from '../utils/regions.js';
+import { logger } from '../utils/logger.js';
+
+// Which fixture each marketplace host serves; a "blocked" query gets the challenge page
+const HOSTS = {
+  'www.discogs.com': 'discogs',
+  'www.vinted.co.uk': 'vinted',
+  'webapi.depop.com': 'depop',
+  'www.gumtree.com': 'gumtree',
+};
+
+let proxy;
+
+before(async () => {
+  proxy = await startFixtureProxy(url => {
+    // eBay search terms name the results-page layout to serve
+    if (url.hostname.startsWith('www.ebay.')) return { fixture: `marketplaces/ebay-search-${url.searchParams.get('_nkw')}.html` };
+    const marketplace = HOSTS[url.hostname];
+    if (!marketplace) return undefined;
+    const term = url.searchParams.get('q') || url.searchParams.get('search_text') || url.searchParams.get('what');
+    if (term === 'blocked') return { fixture: `marketplaces/${marketplace}-blocked.html` };
+    return { fixture: `marketplaces/${marketplace}-search.${marketplace === 'depop' ? 'json' : 'html'}` };
+  });
+  fetchService.setTransport(new ProxyTransport({ proxyUrl: proxy.url }));
+});
+
+after(() => proxy.close());
+
+function assertListingShape(item, source) {
+  assert.deepEqual(Object.keys(item).sort(), ['image', 'link', 'price', 'source', 'title']);
+  assert.equal(item.source, source);
+  assert.equal(typeof item.title, 'string');
+  assert.match(item.link, /^https:\/\//);
+  assert.equal(typeof item.price.amount, 'number');
+}
+
+function assertNear(isoTime, secondsFromNow) {
+  const offset = Date.parse(isoTime) - Date.now();
+  assert.ok(Math.abs(offset - secondsFromNow * 1000) < 60000, `${isoTime} is not ${secondsFromNow}s from now`);
+}
+
+for (const [layout, version] of [['s-card', 's-card-2025'], ['s-item', 's-item-2023']]) {
+  test(`searchEbay parses the ${layout} results layout and skips the "Shop on eBay" tile`, async t => {
+    const info = t.mock.method(logger, 'info');
+    const items = await scrapingService.searchEbay(layout);
+
+    assert.ok(info.mock.calls.some(call => call.arguments[0] === `📝 eBay served layout ${version}`));
+    assert.equal(items.length, 2);
+    assert.deepEqual(items[0], {
+      title: 'Fender Player Stratocaster Polar White',
+      price: { amount: 429.99, currency: 'GBP', original: '£429.99' },
+      link: 'https://www.ebay.co.uk/itm/296512345678?hash=item450a1b2c3d',
+      image: layout === 's-card' ? 'https://i.ebayimg.com/images/g/strat1/s-l500.webp' : 'https://i.ebayimg.com/thumbs/images/g/strat1/s-l225.webp',
+      source: 'ebay',
+      shippingCost: { amount: 12.5, currency: 'GBP', original: '£12.50' },
+      condition: 'Pre-owned',
+      bidCount: null,
+      endTime: null,
+      sellerLocation: 'United Kingdom',
+      listingType: 'buy_it_now',
+    });
+
+    const [, auction] = items;
+    assert.equal(auction.title, 'Squier Classic Vibe 50s Stratocaster');
+    assert.match(auction.image, /strat2/);
+    assert.equal(auction.shippingCost.amount, 0);
+    assert.equal(auction.bidCount, 7);
+    assert.equal(auction.listingType, 'auction');
+    assertNear(auction.endTime, 28 * 3600);
+    assert.equal(auction.sellerLocation, 'Ireland');
+  });
+}
+
+test('searchEbay reads shipping, bids and location from a German s-card page', async () => {
+  const items = await scrapingService.searchEbay('s-card-de', {}, { region: resolveRegion('de') });
+
+  assert.equal(proxy.requests.at(-1).url.hostname, 'www.ebay.de');
+  assert.equal(items.length, 2);
+  assert.deepEqual(items.map(({ title, price, shippingCost, bidCount, sellerLocation, listingType }) => ({
+    title, price, shippingCost, bidCount, sellerLocation, listingType,
+  })), [
+    {
+      title: 'Fender Player Stratocaster Buttercream',
+      price: { amount: 649, currency: 'EUR', original: '649,00 €' },
+      shippingCost: { amount: 9.99, currency: 'EUR', original: '9,99 €' },
+      bidCount: 3,
+      sellerLocation: 'Österreich',
+      listingType: 'auction',
+    },
+    {
+      title: 'Squier Affinity Stratocaster',
+      price: { amount: 229, currency: 'EUR', original: '229,00 €' },
+      shippingCost: { amount: 0, currency: 'EUR', original: 'Kostenloser Versand' },
+      bidCount: null,
+      sellerLocation: 'Deutschland',
+      listingType: 'buy_it_now',
+    },
+  ]);
+});
+
+test('searchEbay returns nothing and warns on an unknown results layout', async t => {
+  const warn = t.mock.method(logger, 'warn');
+  const items = await scrapingService.searchEbay('unknown');
+
+  assert.deepEqual(items, []);
+  const [, warning] = warn.mock.calls.find(call => call.arguments[0] === '⚠️ eBay parse warning').arguments;
+  assert.equal(warning.code, 'unknown_layout');
+  assert.deepEqual(warning.triedLayouts, ['s-card-2025', 's-item-2023']);
+});
+
+test('searchDiscogs parses marketplace rows and skips listings without a price', async () => {
+  const items = await scrapingService.searchDiscogs('aphex twin');
+
+  assert.equal(items.length, 2);
+  items.forEach(item => assertListingShape(item, 'discogs'));
+  assert.deepEqual(items[0], {
+    title: 'Aphex Twin - Selected Ambient Works 85-92 (LP, Album, RE)',
+    price: { amount: 34.99, currency: 'GBP', original: '£34.99' },
+    link: 'https://www.discogs.com/sell/item/2711112233',
+    image: 'https://i.discogs.com/aphex-saw-150.jpg',
+    source: 'discogs',
+  });
+  assert.equal(items[1].title, 'Aphex Twin - Richard D. James Album (CD, Album) & Bonus');
+  assert.equal(items[1].price.amount, 1234.5);
+  assert.equal(items[1].image, 'https://i.discogs.com/aphex-richard-150.jpg');
+});
+
+test('searchDiscogs asks for prices in the requested currency when Discogs supports it', async () => {
+  await scrapingService.searchDiscogs('aphex twin', { currency: 'USD' });
+  assert.equal(proxy.requests.at(-1).url.searchParams.get('currency'), 'USD');
+
+  await scrapingService.searchDiscogs('aphex twin', { currency: 'PLN' });
+  assert.equal(proxy.requests.at(-1).url.searchParams.get('currency'), 'GBP');
+});
+
+test('pages are requested in the region\'s language and country', async () => {
+  const transport = fetchService.transport;
+  const requests = [];
+  fetchService.setTransport({
+    name: transport.name,
+    isConfigured: () => true,
+    fetch: (url, options) => {
+      requests.push(options);
+      return transport.fetch(url, options);
+    },
+  });
+  try {
+    await scrapingService.searchDiscogs('aphex twin', { region: resolveRegion('de') });
+  } finally {
+    fetchService.setTransport(transport);
+  }
+
+  assert.equal(requests[0].countryCode, 'DE');
+  assert.equal(requests[0].headers['Accept-Language'], resolveRegion('de').acceptLanguage);
+});
+
+test('searchVinted parses grid items and takes the title from the overlay link', async () => {
+  const items = await scrapingService.searchVinted('nike jacket');
+
+  assert.equal(items.length, 3);
+  items.forEach(item => assertListingShape(item, 'vinted'));
+  assert.deepEqual(items[0], {
+    title: 'Nike windrunner jacket',
+    price: { amount: 18, currency: 'GBP', original: '£18.00' },
+    link: 'https://www.vinted.co.uk/items/4455667788-nike-windrunner-jacket',
+    image: 'https://images1.vinted.net/t/01_nike-jacket/310x430/nike.jpeg',
+    source: 'vinted',
+  });
+  assert.equal(items[1].price.amount, 42.5);
+  // Commas in the title itself are kept; only the trailing details and price are cut
+  assert.equal(items[2].title, "Levi's 501, W32 L30");
+});
+
+test('searchDepop reads the JSON search API and prefers the discounted price', async () => {
+  const items = await scrapingService.searchDepop('nike');
+
+  assert.equal(items.length, 2);
+  items.forEach(item => assertListingShape(item, 'depop'));
+  assert.equal(items[0].title, 'Vintage Nike sweatshirt grey');
+  assert.equal(items[0].link, 'https://www.depop.com/products/vintagevault-vintage-nike-sweatshirt-grey/');
+  assert.equal(items[0].price.amount, 28);
+  assert.equal(items[0].price.currency, 'GBP');
+  assert.equal(items[0].image, 'https://media-photos.depop.com/b1/640.jpg');
+  // No description: the title comes from the slug
+  assert.equal(items[1].title, 'retroseller nike air max 90');
+  assert.equal(items[1].image, 'https://media-photos.depop.com/b2/640.jpg');
+
+  const query = proxy.requests.at(-1).url.searchParams;
+  assert.equal(query.get('country'), 'gb');
+  assert.equal(query.get('currency'), 'GBP');
+});
+
+test('searchGumtree parses result tiles and searches near a postcode', async () => {
+  const items = await scrapingService.searchGumtree('fender strat', {
+    region: resolveRegion('UK'),
+    postcode: 'E8 1AB',
+    radiusKm: 16,
+  });
+
+  assert.equal(items.length, 2);
+  items.forEach(item => assertListingShape(item, 'gumtree'));
+  assert.deepEqual(items[0], {
+    title: 'Fender Stratocaster Mexican 2009',
+    price: { amount: 450, currency: 'GBP', original: '£450' },
+    link: 'https://www.gumtree.com/p/guitars/fender-stratocaster-mexican-2009/1468001122',
+    image: 'https://img.gumtree.com/fender-strat/86.jpg',
+    source: 'gumtree',
+  });
+  assert.equal(items[1].link, 'https://www.gumtree.com/p/guitars/squier-strat-pack/1468003344');
+  assert.equal(items[1].price.amount, 1150);
+
+  const query = proxy.requests.at(-1).url.searchParams;
+  assert.equal(query.get('search_location'), 'E8 1AB');
+  assert.equal(query.get('distance'), '10');
+});
+
+for (const [method, marketplace] of [
+  ['searchDiscogs', 'discogs'],
+  ['searchVinted', 'vinted'],
+  ['searchDepop', 'depop'],
+  ['searchGumtree', 'gumtree'],
+]) {
+  test(`${method} throws BotBlockedError on a ${marketplace} challenge page`, async () => {
+    await assert.rejects(scrapingService[method]('blocked'), error => {
+      assert.ok(error instanceof BotBlockedError);
+      assert.equal(error.marketplace, marketplace);
+      return true;
+    });
+  });
+}
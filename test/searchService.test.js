@@ -0,0 +1,103 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { searchService } from '../services/searchService.js';
+import { sourceHealthService } from '../services/sourceHealthService.js';
+
+// A source that ignores the abort signal and answers only when the test says so
+function stubbornSource(name) {
+  let settle;
+  const reply = new Promise((resolve, reject) => { settle = { resolve, reject }; });
+  return { name, cacheTtlSeconds: 60, search: () => reply, settle };
+}
+
+// AbortSignal.timeout does not keep the process alive, and nothing else here would
+function deadlineIn(ms) {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError')), ms);
+  return controller.signal;
+}
+
+function run(tasks, signal, deadline = signal) {
+  return searchService.runTasks(tasks, {
+    context: { location: 'uk', currency: 'GBP', filters: {}, signal },
+    deadline,
+    skipped: [],
+    hasEnough: async () => false,
+    onEvent: async () => {},
+  });
+}
+
+test('the deadline returns partial results without waiting for sources that ignore it', async () => {
+  const slow = stubbornSource('stubborn-slow');
+  const fast = { name: 'stubborn-fast', cacheTtlSeconds: 60, search: async () => [{ title: 'Moog', price: { amount: 1, currency: 'GBP' }, link: 'https://fast.test/1' }] };
+  const startedAt = Date.now();
+
+  const { events } = await run([{ term: 'moog', source: fast }, { term: 'moog', source: slow }], deadlineIn(50));
+
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.deepEqual(events.map(e => e.status), ['ok', 'timeout']);
+  assert.equal(events[0].listings.length, 1);
+
+  // Failing after the deadline is not held against the source
+  slow.settle.reject(new Error('socket hang up'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(sourceHealthService.getStats('stubborn-slow').samples, 0);
+});
+
+test('a search the caller cancels is reported as cancelled and not counted against the source', async () => {
+  const source = stubbornSource('stubborn-cancelled');
+  const controller = new AbortController();
+  const deadline = new AbortController().signal;
+
+  const pending = run([{ term: 'moog', source }], AbortSignal.any([controller.signal, deadline]), deadline);
+  controller.abort(new Error('client went away'));
+  const { events } = await pending;
+
+  assert.equal(events[0].status, 'cancelled');
+  assert.equal(events[0].error, 'client went away');
+  source.settle.reject(Object.assign(new Error('canceled'), { name: 'CanceledError' }));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(sourceHealthService.getStats('stubborn-cancelled').samples, 0);
+});
+
+test('a source\'s own timeout still counts against it', async () => {
+  const source = { name: 'own-timeout', cacheTtlSeconds: 60, search: async () => { throw Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' }); } };
+
+  const { events } = await run([{ term: 'moog', source }], new AbortController().signal);
+
+  assert.equal(events[0].status, 'timeout');
+  assert.equal(sourceHealthService.getStats('own-timeout').samples, 1);
+});
+
+test('excluded keywords match whole words only', () => {
+  const listing = title => ({ title, convertedPrice: { amount: 10, currency: 'GBP' } });
+  const results = [listing('Fender Stratocaster hard case'), listing('Leather briefcase'), listing('Deep Purple LP'), listing('Aphex Twin EP')];
+
+  const kept = searchService.applyFilters(results, { excludeKeywords: ['case', 'ep'] });
+  assert.deepEqual(kept.map(r => r.title), ['Leather briefcase', 'Deep Purple LP']);
+
+  const phrase = searchService.applyFilters(results, { excludeKeywords: ['hard case'] });
+  assert.equal(phrase.length, 3);
+});
+
+test('keywords suggested by query understanding lower the score instead of dropping the listing', () => {
+  const listing = title => ({ title, source: 'ebay', convertedPrice: { amount: 900, currency: 'GBP' } });
+  const understanding = { search_terms: [], brand: 'Fender', model: 'Stratocaster', attributes: [], exclude_keywords: ['case'] };
+
+  const [plain, withCase, showcase] = searchService.scoreResults(
+    [listing('Fender Stratocaster 1996'), listing('Fender Stratocaster 1996 with hard case'), listing('Fender Stratocaster 1996 showcase')],
+    'fender stratocaster 1996',
+    understanding,
+    { explain: true },
+  );
+
+  assert.ok(withCase.score > 0);
+  assert.ok(withCase.score < plain.score);
+  assert.deepEqual(withCase.scoreBreakdown.penalties, [{ signal: 'case', penalty: 0.2 }]);
+  assert.deepEqual(showcase.scoreBreakdown.penalties, []);
+
+  // Asking for the case turns the penalty off
+  const [asked] = searchService.scoreResults([listing('Fender Stratocaster hard case')], 'stratocaster case', understanding, { explain: true });
+  assert.deepEqual(asked.scoreBreakdown.penalties, []);
+});
@@ -0,0 +1,117 @@
+import './helpers/env.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sourceHealthService } from '../services/sourceHealthService.js';
+
+const MINUTE_MS = 60000;
+const BENCH_BASE_MS = 5 * MINUTE_MS;
+const PROBE_TIMEOUT_MS = 2 * MINUTE_MS;
+
+// The service reads the clock through Date.now; tests move it by hand
+let now;
+
+beforeEach(t => {
+  now = Date.parse('2026-01-05T12:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+});
+
+function fail(name, times = 1) {
+  for (let i = 0; i < times; i++) {
+    sourceHealthService.record(name, { status: 'error', durationMs: 500, error: 'HTTP 503' });
+  }
+}
+
+test('a source is benched after five consecutive failures and kept out until the bench ends', () => {
+  fail('bench', 4);
+  assert.equal(sourceHealthService.checkAvailability('bench').allowed, true);
+
+  fail('bench');
+  const check = sourceHealthService.checkAvailability('bench');
+  assert.equal(check.allowed, false);
+  assert.equal(check.reason, `benched until ${new Date(now + BENCH_BASE_MS).toISOString()}`);
+  assert.equal(sourceHealthService.getStats('bench').status, 'benched');
+
+  now += BENCH_BASE_MS - 1;
+  assert.equal(sourceHealthService.checkAvailability('bench').allowed, false);
+});
+
+test('a success resets the failure count', () => {
+  fail('reset', 4);
+  sourceHealthService.record('reset', { status: 'ok', durationMs: 200, count: 3 });
+  fail('reset', 4);
+  assert.equal(sourceHealthService.checkAvailability('reset').allowed, true);
+});
+
+test('only one probe goes through after the bench, until it reports or times out', () => {
+  fail('probe', 5);
+  now += BENCH_BASE_MS;
+
+  assert.equal(sourceHealthService.checkAvailability('probe').allowed, true);
+  assert.deepEqual(sourceHealthService.checkAvailability('probe'), { allowed: false, reason: 'benched, probe in progress' });
+  assert.equal(sourceHealthService.getStats('probe').status, 'probing');
+
+  // A probe that never reported back is given up on, and another one is let through
+  now += PROBE_TIMEOUT_MS - 1;
+  assert.equal(sourceHealthService.checkAvailability('probe').allowed, false);
+  now += 1;
+  assert.equal(sourceHealthService.checkAvailability('probe').allowed, true);
+  assert.equal(sourceHealthService.checkAvailability('probe').allowed, false);
+});
+
+test('a failed probe doubles the bench and a successful one brings the source back', () => {
+  fail('backoff', 5);
+
+  for (const benchMs of [2 * BENCH_BASE_MS, 4 * BENCH_BASE_MS]) {
+    now = Date.parse(sourceHealthService.getStats('backoff').benchedUntil);
+    assert.equal(sourceHealthService.checkAvailability('backoff').allowed, true);
+    fail('backoff');
+    assert.equal(sourceHealthService.getStats('backoff').benchedUntil, new Date(now + benchMs).toISOString());
+  }
+
+  now = Date.parse(sourceHealthService.getStats('backoff').benchedUntil);
+  assert.equal(sourceHealthService.checkAvailability('backoff').allowed, true);
+  sourceHealthService.record('backoff', { status: 'ok', durationMs: 300, count: 10 });
+  assert.equal(sourceHealthService.checkAvailability('backoff').allowed, true);
+  assert.equal(sourceHealthService.getStats('backoff').consecutiveFailures, 0);
+
+  // The next bench starts from the base duration again
+  fail('backoff', 5);
+  assert.equal(sourceHealthService.getStats('backoff').benchedUntil, new Date(now + BENCH_BASE_MS).toISOString());
+});
+
+test('a cancelled probe frees the slot without counting as an outcome', () => {
+  fail('cancelled', 5);
+  now += BENCH_BASE_MS;
+  assert.equal(sourceHealthService.checkAvailability('cancelled').allowed, true);
+
+  sourceHealthService.record('cancelled', { status: 'cancelled', durationMs: 100 });
+  assert.equal(sourceHealthService.getStats('cancelled').samples, 5);
+  assert.equal(sourceHealthService.checkAvailability('cancelled').allowed, true);
+});
+
+test('getStats reports degraded while failing or below the success rate', () => {
+  const ok = () => sourceHealthService.record('degraded', { status: 'ok', durationMs: 100, count: 4 });
+  assert.equal(sourceHealthService.getStats('degraded').status, 'unknown');
+
+  ok();
+  assert.equal(sourceHealthService.getStats('degraded').status, 'healthy');
+  fail('degraded');
+  assert.equal(sourceHealthService.getStats('degraded').status, 'degraded');
+
+  // 4 of 6 is below 80% even once the last search succeeded
+  ok();
+  ok();
+  fail('degraded');
+  ok();
+  const stats = sourceHealthService.getStats('degraded');
+  assert.equal(stats.status, 'degraded');
+  assert.equal(stats.successRate, 0.67);
+  assert.equal(stats.consecutiveFailures, 0);
+  assert.equal(stats.lastError, 'error: HTTP 503');
+
+  // Outcomes older than the window drop out of the stats
+  now += 31 * MINUTE_MS;
+  ok();
+  assert.equal(sourceHealthService.getStats('degraded').status, 'healthy');
+  assert.equal(sourceHealthService.getStats('degraded').samples, 1);
+});
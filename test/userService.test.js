@@ -0,0 +1,39 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { userService } from '../services/userService.js';
+
+test('authenticateApiKey resolves the owner and writes lastUsedAt at most once an hour', async () => {
+  const user = await userService.register({ email: 'keys@example.com', password: 'correct horse battery' });
+  const { key, apiKey } = await userService.createApiKey(user.id, 'ci');
+
+  const save = userService.store.save;
+  let saves = 0;
+  userService.store.save = () => {
+    saves++;
+    return save.call(userService.store);
+  };
+  try {
+    assert.equal((await userService.authenticateApiKey(key)).id, user.id);
+    const [{ lastUsedAt: first }] = await userService.listApiKeys(user.id);
+    assert.ok(first);
+
+    await userService.authenticateApiKey(key);
+    await userService.authenticateApiKey(key);
+    assert.equal(saves, 1);
+    assert.equal((await userService.listApiKeys(user.id))[0].lastUsedAt, first);
+
+    // An hour later the next use is recorded again
+    const stored = (await userService.store.load()).apiKeys.find(k => k.id === apiKey.id);
+    const anHourAgo = new Date(Date.now() - 61 * 60 * 1000).toISOString();
+    stored.lastUsedAt = anHourAgo;
+    await userService.authenticateApiKey(key);
+    assert.equal(saves, 2);
+    assert.ok((await userService.listApiKeys(user.id))[0].lastUsedAt > anHourAgo);
+  } finally {
+    userService.store.save = save;
+  }
+
+  assert.equal(await userService.authenticateApiKey('hk_unknown'), null);
+  assert.equal(await userService.authenticateApiKey('not-a-key'), null);
+});
@@ -0,0 +1,83 @@
+import './helpers/env.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWantlist } from '../utils/wantlist.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+
+test('parseCsv keeps commas, doubled quotes and line breaks inside quoted cells', () => {
+  const rows = parseCsv('\uFEFFterm,notes\r\n"Moog, Minimoog","says ""mint""\nboxed"\r\n\r\nTB-303,\n');
+
+  assert.deepEqual(rows, [
+    ['term', 'notes'],
+    ['Moog, Minimoog', 'says "mint"\nboxed'],
+    ['TB-303', ''],
+  ]);
+});
+
+test('toCsv quotes cells that need it and round-trips through parseCsv', () => {
+  const records = [
+    { term: 'Moog, Minimoog', title: 'Minimoog "Model D"\nreissue', price: 2999.5 },
+    { term: 'TB-303', title: null, price: -1 },
+  ];
+  const csv = toCsv(['term', 'title', 'price'], records);
+
+  assert.equal(csv, 'term,title,price\r\n"Moog, Minimoog","Minimoog ""Model D""\nreissue",2999.5\r\nTB-303,,-1\r\n');
+  assert.deepEqual(parseCsv(csv).slice(1), [['Moog, Minimoog', 'Minimoog "Model D"\nreissue', '2999.5'], ['TB-303', '', '-1']]);
+});
+
+test('toCsv stops text cells from being read as spreadsheet formulas', () => {
+  const csv = toCsv(['title'], [
+    { title: '=HYPERLINK("https://evil.example","Click")' },
+    { title: '+44 guitar' },
+    { title: '-50% off' },
+    { title: '@SUM(A1)' },
+    { title: 'Fender = great' },
+  ]);
+
+  assert.deepEqual(parseCsv(csv).slice(1).map(([cell]) => cell), [
+    '\'=HYPERLINK("https://evil.example","Click")',
+    '\'+44 guitar',
+    '\'-50% off',
+    '\'@SUM(A1)',
+    'Fender = great',
+  ]);
+});
+
+test('parseWantlist reads a Discogs export as "Artist Title" without the artist suffixes', () => {
+  const csv = [
+    'Catalog#,Artist,Title,Label,Format,Rating,Released,release_id,Notes',
+    'WAP 30,Aphex Twin,Selected Ambient Works 85-92,Apollo,"LP, Album",,1992,1234,',
+    'XL 123,Prince (2),"Purple Rain, Remastered",XL,LP,,2017,5678,',
+    'K 456,Kraftwerk*,Computer World,Kling Klang,LP,,1981,9012,',
+    ',,,,,,,3456,',
+  ].join('\n');
+
+  assert.deepEqual(parseWantlist(csv), {
+    format: 'discogs',
+    items: [
+      { term: 'Aphex Twin Selected Ambient Works 85-92' },
+      { term: 'Prince Purple Rain, Remastered' },
+      { term: 'Kraftwerk Computer World' },
+    ],
+  });
+});
+
+test('parseWantlist reads the term, artist and price columns of a CSV with a header', () => {
+  const csv = 'Artist,Search Term,Min Price,Max Price\nRoland,TB-303,£800,"£1,200"\n,Moog Minimoog,,free\n';
+
+  assert.deepEqual(parseWantlist(csv), {
+    format: 'csv',
+    items: [
+      { term: 'Roland TB-303', minPrice: 800, maxPrice: 1200 },
+      { term: 'Moog Minimoog', minPrice: undefined, maxPrice: undefined },
+    ],
+  });
+});
+
+test('parseWantlist treats anything else as one term per line', () => {
+  assert.deepEqual(parseWantlist('Roland TB-303\n\nMoog Minimoog\n'), {
+    format: 'list',
+    items: [{ term: 'Roland TB-303' }, { term: 'Moog Minimoog' }],
+  });
+  assert.deepEqual(parseWantlist(''), { format: 'list', items: [] });
+});
@@ -0,0 +1,83 @@
+import './helpers/env.js';
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import { webhookService } from '../services/webhookService.js';
+
+// A local receiver standing in for the user's webhook endpoint
+let receiver;
+let deliveries = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ path: req.url, headers: req.headers, body });
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+        return res.end();
+      }
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => new Promise(resolve => {
+  receiver.close(resolve);
+  receiver.closeAllConnections();
+}));
+
+afterEach(() => {
+  deliveries = [];
+  webhookService.allowPrivateNetworks = false;
+  delete process.env.WEBHOOK_SECRET;
+});
+
+const receiverUrl = path => `http://127.0.0.1:${receiver.address().port}${path}`;
+
+test('checkUrl rejects loopback, link-local and private hosts', async () => {
+  for (const url of [
+    'http://127.0.0.1/hook',
+    'http://localhost:8080/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.5/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://0.0.0.0/hook',
+  ]) {
+    assert.match(await webhookService.checkUrl(url), /private address/, url);
+  }
+  assert.match(await webhookService.checkUrl('ftp://example.com/hook'), /http\(s\) URL/);
+  assert.equal(await webhookService.checkUrl('https://93.184.216.34/hook'), null);
+});
+
+test('send refuses to deliver to a private address', async () => {
+  assert.equal(await webhookService.send(receiverUrl('/hook'), { event: 'test' }), false);
+  assert.equal(deliveries.length, 0);
+});
+
+test('send posts the signed JSON payload when the receiver is allowed', async () => {
+  webhookService.allowPrivateNetworks = true;
+  process.env.WEBHOOK_SECRET = 'webhook-test-secret';
+
+  assert.equal(await webhookService.send(receiverUrl('/hook'), { event: 'saved_search.new_listings', listings: [] }), true);
+
+  assert.equal(deliveries.length, 1);
+  const [{ path, headers, body }] = deliveries;
+  assert.equal(path, '/hook');
+  assert.equal(headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(body), { event: 'saved_search.new_listings', listings: [] });
+  assert.equal(headers['x-hunta-signature'], crypto.createHmac('sha256', 'webhook-test-secret').update(body).digest('hex'));
+});
+
+test('send does not follow redirects', async () => {
+  webhookService.allowPrivateNetworks = true;
+  assert.equal(await webhookService.send(receiverUrl('/redirect'), { event: 'test' }), false);
+  assert.equal(deliveries.length, 1);
+});
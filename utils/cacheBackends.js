@@ -0,0 +1,94 @@
+// utils/cacheBackends.js
+//
+// Key/value backends for cached search results. Values are JSON-serializable;
+// every backend implements async get(key), set(key, value, ttlSeconds) and delete(key).
+
+import Redis from 'ioredis';
+import { logger } from './logger.js';
+
+export class MemoryLruBackend {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Unexpired entries, least recently used first, as [key, { value, expiresAt }] pairs
+  dump() {
+    const now = Date.now();
+    return [...this.entries].filter(([, entry]) => entry.expiresAt > now);
+  }
+
+  restore(entries) {
+    const now = Date.now();
+    entries
+      .filter(([, entry]) => entry.expiresAt > now)
+      .forEach(([key, entry]) => this.entries.set(key, entry));
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Works against any server speaking the Redis protocol (Redis, Valkey, KeyDB, ...).
+ */
+export class RedisBackend {
+  constructor({ url = process.env.REDIS_URL || 'redis://127.0.0.1:6379', keyPrefix = 'hunta:', client } = {}) {
+    this.client = client || new Redis(url, { keyPrefix, lazyConnect: true, maxRetriesPerRequest: 1 });
+    this.client.on('error', error => logger.warn(`⚠️ Redis cache error: ${error.message}`));
+  }
+
+  async get(key) {
+    const raw = await this.client.get(key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, JSON.stringify(value), 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  async quit() {
+    await this.client.quit();
+  }
+}
+
+export function createCacheBackend(type = process.env.CACHE_BACKEND || 'memory') {
+  if (type === 'redis') {
+    logger.info('🗄️ Using Redis cache backend');
+    return new RedisBackend();
+  }
+  return new MemoryLruBackend({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500 });
+}
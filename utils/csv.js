@@ -0,0 +1,66 @@
+// utils/csv.js
+//
+// Minimal RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks.
+// Enough for wantlist uploads and result downloads without another dependency.
+
+/**
+ * Parse CSV text into rows of strings. Blank lines are dropped.
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(cell => cell.trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+// Spreadsheets run text starting with = + - @ as a formula, and listing titles come from
+// sellers; a leading ' keeps such a cell as text. Numbers (e.g. negative amounts) are left alone.
+function escapeCell(value) {
+  if (value == null) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects as CSV with the given columns as the header row.
+ */
+export function toCsv(columns, records) {
+  return [columns, ...records.map(record => columns.map(column => record[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,44 @@
+// utils/errors.js
+
+// Thrown by marketplace searches when a challenge/captcha page comes back instead of results
+export class BotBlockedError extends Error {
+  constructor(marketplace) {
+    super(`${marketplace} returned bot-blocking content`);
+    this.name = 'BotBlockedError';
+    this.marketplace = marketplace;
+  }
+}
+
+// Thrown by the fetch layer while a host's circuit breaker is open
+export class CircuitOpenError extends Error {
+  constructor(host, retryAt) {
+    super(`${host} is temporarily paused after repeated blocks or rate limits`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+    this.retryAt = retryAt;
+  }
+}
+
+// Thrown when a marketplace says a listing does not exist (removed, or a bad item ID)
+export class ListingNotFoundError extends Error {
+  constructor(url) {
+    super(`Listing not found: ${url}`);
+    this.name = 'ListingNotFoundError';
+    this.url = url;
+  }
+}
+
+/**
+ * Map a search failure to a source status: blocked, circuit_open, timeout, cancelled or error.
+ */
+export function classifyError(error) {
+  if (error instanceof BotBlockedError) return 'blocked';
+  if (error instanceof CircuitOpenError) return 'circuit_open';
+  if (error?.name === 'AbortError' || error?.name === 'CanceledError' || error?.code === 'ERR_CANCELED') {
+    return 'cancelled';
+  }
+  if (error?.code === 'ECONNABORTED' || error?.code === 'ETIMEDOUT' || /timeout/i.test(error?.message || '')) {
+    return 'timeout';
+  }
+  return 'error';
+}
@@ -0,0 +1,164 @@
+// utils/fetchTransports.js
+//
+// How a page is actually fetched. Every transport has a `name`, isConfigured() and
+// async fetch(url, { renderJs, premiumProxy, countryCode, cookies, headers, timeoutMs, signal })
+// resolving to { status, body, credits }. HTTP errors reject with the axios error.
+
+import http from 'http';
+import axios from 'axios';
+
+const SCRAPINGBEE_BASE_URL = 'https://app.scrapingbee.com/api/v1/';
+
+const BROWSER_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) ' +
+    'AppleWebKit/537.36 (KHTML, like Gecko) ' +
+    'Chrome/115.0.0.0 Safari/537.36',
+  'Accept-Language': 'en-GB,en;q=0.9',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+};
+
+// ScrapingBee's published credit costs, used when the Spb-Cost header is missing
+export function estimateScrapingBeeCredits({ renderJs, premiumProxy }) {
+  if (premiumProxy) return renderJs ? 25 : 10;
+  return renderJs ? 5 : 1;
+}
+
+export class ScrapingBeeTransport {
+  constructor({ apiKey = process.env.SCRAPINGBEE_API_KEY, baseUrl = SCRAPINGBEE_BASE_URL } = {}) {
+    this.name = 'scrapingbee';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Headers for the target page are sent with ScrapingBee's `Spb-` prefix and forwarded
+   * by it; unprefixed headers would only reach the API. countryCode (ISO 3166-1) picks the
+   * premium proxy's exit country so regional sites serve the region's prices.
+   */
+  async fetch(url, { renderJs = true, premiumProxy = true, countryCode, cookies, headers, timeoutMs = 30000, signal } = {}) {
+    if (!this.apiKey) {
+      throw new Error('ScrapingBee API key is not configured');
+    }
+
+    const params = {
+      api_key: this.apiKey,
+      url,
+      render_js: renderJs,
+      premium_proxy: premiumProxy,
+      block_resources: false, // keep this to bypass bot detection
+    };
+    if (premiumProxy && countryCode) params.country_code = countryCode.toLowerCase();
+    if (cookies) params.cookies = JSON.stringify(cookies);
+    if (headers && Object.keys(headers).length > 0) params.forward_headers = true;
+
+    const response = await axios.get(this.baseUrl, {
+      params,
+      headers: Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [`Spb-${name}`, value])),
+      timeout: timeoutMs,
+      signal,
+    });
+
+    const cost = Number(response.headers?.['spb-cost']);
+    return {
+      status: response.status,
+      body: response.data,
+      credits: Number.isFinite(cost) ? cost : estimateScrapingBeeCredits({ renderJs, premiumProxy }),
+    };
+  }
+}
+
+/**
+ * Plain HTTP from this server, optionally through a forward proxy.
+ * JS rendering and premium proxies are not available.
+ */
+export class DirectTransport {
+  constructor({ proxyUrl = null } = {}) {
+    this.name = 'direct';
+    this.proxyUrl = proxyUrl;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // How axios reaches the page; a forward proxy tunnels https URLs with CONNECT
+  routing() {
+    const proxy = this.proxyUrl ? new URL(this.proxyUrl) : null;
+    return {
+      proxy: proxy
+        ? { protocol: proxy.protocol.replace(':', ''), host: proxy.hostname, port: Number(proxy.port) || 80 }
+        : undefined,
+    };
+  }
+
+  async fetch(url, { cookies, headers, timeoutMs = 30000, signal } = {}) {
+    const cookieHeader = cookies
+      ? Object.entries(cookies).map(([k, v]) => `${k}=${v}`).join('; ')
+      : null;
+
+    const response = await axios.get(url, {
+      headers: { ...BROWSER_HEADERS, ...headers, ...(cookieHeader ? { Cookie: cookieHeader } : {}) },
+      ...this.routing(),
+      timeout: timeoutMs,
+      signal,
+      responseType: 'text',
+    });
+    return { status: response.status, body: response.data, credits: 0 };
+  }
+}
+
+// Sends each request to the proxy as a plain-HTTP absolute-form request line
+// ("GET https://host/path"), so a stand-in can answer https URLs without terminating TLS
+function absoluteFormTransport(proxy) {
+  return {
+    request(options, callback) {
+      const port = options.port ? `:${options.port}` : '';
+      return http.request({
+        ...options,
+        protocol: 'http:',
+        host: proxy.hostname,
+        hostname: proxy.hostname,
+        port: Number(proxy.port) || 80,
+        path: `${options.protocol}//${options.hostname}${port}${options.path}`,
+        headers: { ...options.headers, Host: `${options.hostname}${port}` },
+        agent: undefined,
+      }, callback);
+    },
+  };
+}
+
+/**
+ * Plain HTTP through FETCH_PROXY_URL. Pointing it at a local stand-in that serves
+ * fixture pages lets the scrapers run offline.
+ */
+export class ProxyTransport extends DirectTransport {
+  constructor({ proxyUrl = process.env.FETCH_PROXY_URL } = {}) {
+    super({ proxyUrl });
+    this.name = 'proxy';
+  }
+
+  isConfigured() {
+    return Boolean(this.proxyUrl);
+  }
+
+  routing() {
+    return { proxy: false, transport: absoluteFormTransport(new URL(this.proxyUrl)) };
+  }
+}
+
+export function createTransport(type = process.env.FETCH_TRANSPORT || 'scrapingbee') {
+  switch (type) {
+    case 'scrapingbee':
+      return new ScrapingBeeTransport();
+    case 'direct':
+      return new DirectTransport();
+    case 'proxy':
+      return new ProxyTransport();
+    default:
+      throw new Error(`Unknown FETCH_TRANSPORT: ${type}`);
+  }
+}
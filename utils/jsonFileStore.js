@@ -0,0 +1,63 @@
+// utils/jsonFileStore.js
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+/**
+ * Small JSON-file persistence for service state. The whole document is kept in
+ * memory and written back atomically (temp file + rename) after each change.
+ */
+export class JsonFileStore {
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.isAbsolute(fileName) ? fileName : path.join(DATA_DIR, fileName);
+    this.defaults = defaults;
+    this.data = null;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          this.data = { ...structuredClone(this.defaults), ...JSON.parse(await readFile(this.filePath, 'utf8')) };
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.error(`❌ Failed to read ${this.filePath}, starting empty:`, error.message);
+          }
+          this.data = structuredClone(this.defaults);
+        }
+        return this.data;
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Apply a mutation to the loaded document and persist it.
+   * @param {(data: object) => any} mutator
+   * @returns {Promise<any>} whatever the mutator returned
+   */
+  async update(mutator) {
+    const data = await this.load();
+    const result = mutator(data);
+    await this.save();
+    return result;
+  }
+
+  save() {
+    this.writeChain = this.writeChain
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await writeFile(tmpPath, JSON.stringify(this.data, null, 2));
+        await rename(tmpPath, this.filePath);
+      });
+    return this.writeChain;
+  }
+}
@@ -0,0 +1,118 @@
+// utils/listingClusters.js
+
+import { tokenize } from './text.js';
+
+const TRACKING_PARAMS = [
+  /^utm_/i, /^_trk/i, /^_trksid$/i, /^hash$/i, /^amdata$/i, /^mkevt$/i, /^mkcid$/i, /^mkrid$/i,
+  /^campid$/i, /^customid$/i, /^toolid$/i, /^ref$/i, /^ref_src$/i, /^gclid$/i, /^fbclid$/i,
+  /^srsltid$/i, /^epid$/i, /^itmmeta$/i, /^var$/i,
+];
+
+const SIMILARITY_THRESHOLD = Number(process.env.CLUSTER_TITLE_SIMILARITY) || 0.8;
+const MATCH_IMAGES = process.env.CLUSTER_MATCH_IMAGES !== 'false';
+
+/**
+ * Canonical form of a listing URL: lowercase host without "www.", no tracking params,
+ * no fragment or trailing slash, and eBay item pages reduced to /itm/<id>.
+ */
+export function canonicalizeLink(link) {
+  let url;
+  try {
+    url = new URL(link);
+  } catch {
+    return link;
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^www\./, '');
+  const ebayItem = /^ebay\./.test(host) && url.pathname.match(/\/itm\/(?:[^/]+\/)?(\d{9,})/);
+  if (ebayItem) {
+    return `https://${host}/itm/${ebayItem[1]}`;
+  }
+
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const pathname = url.pathname.replace(/\/+$/, '');
+
+  return `https://${host}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Image CDNs vary size suffixes (s-l225.jpg vs s-l1600.jpg); compare without them
+function canonicalizeImage(image) {
+  if (!image) return null;
+  return image
+    .replace(/^https?:\/\//, '')
+    .replace(/\?.*$/, '')
+    .replace(/s-l\d+\./, 's-l.');
+}
+
+const hasDigit = token => /\d/.test(token);
+
+/**
+ * Dice coefficient over title token sets (0..1). Titles whose numeric tokens differ
+ * (sizes, model numbers, years) are never similar.
+ */
+export function titleSimilarity(a, b) {
+  const tokensA = new Set(tokenize(a));
+  const tokensB = new Set(tokenize(b));
+  if (tokensA.size < 2 || tokensB.size < 2) return 0;
+  const numbersA = [...tokensA].filter(hasDigit);
+  const numbersB = [...tokensB].filter(hasDigit);
+  if (numbersA.length !== numbersB.length || numbersA.some(t => !tokensB.has(t))) return 0;
+  let shared = 0;
+  tokensA.forEach(t => { if (tokensB.has(t)) shared++; });
+  return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Group listings of the same item into one result carrying every `offers` entry and a
+ * `priceRange`. The highest-scoring listing represents the group. A listing joins a group
+ * when its canonical link matches one already in it, or when its image URL (if
+ * matchImages is set) or title matches the representative's. Matching against the
+ * representative rather than any member keeps A~B and B~C from pulling an unrelated C in.
+ * Expects scored listings with a convertedPrice.
+ */
+export function clusterListings(listings, { matchImages = MATCH_IMAGES, threshold = SIMILARITY_THRESHOLD } = {}) {
+  const clusters = [];
+
+  // Highest score first, so the first member of each cluster is its representative
+  for (const listing of [...listings].sort((a, b) => b.score - a.score)) {
+    const link = canonicalizeLink(listing.link);
+    const image = matchImages ? canonicalizeImage(listing.image) : null;
+
+    let cluster = clusters.find(c => c.links.has(link) || (image && c.image === image));
+    if (!cluster) {
+      let best = 0;
+      for (const candidate of clusters) {
+        const similarity = titleSimilarity(candidate.members[0].title, listing.title);
+        if (similarity >= threshold && similarity > best) {
+          best = similarity;
+          cluster = candidate;
+        }
+      }
+    }
+
+    if (cluster) {
+      cluster.members.push(listing);
+      cluster.links.add(link);
+    } else {
+      clusters.push({ members: [listing], links: new Set([link]), image });
+    }
+  }
+
+  return clusters.map(({ members }) => {
+    const amounts = members.map(l => l.convertedPrice.amount);
+    return {
+      ...members[0],
+      offers: members.map(({ title, source, marketplace, link, price, convertedPrice, image, condition, deal }) => ({
+        title, source, marketplace, link, price, convertedPrice, image, condition, deal,
+      })),
+      priceRange: {
+        min: Math.min(...amounts),
+        max: Math.max(...amounts),
+        currency: members[0].convertedPrice.currency,
+      },
+    };
+  });
+}
@@ -0,0 +1,148 @@
+// utils/llmProviders.js
+//
+// LLM providers for query understanding. Every provider has a `name`, a `model` and
+// async complete({ system, user, schemaName, schema, temperature, maxTokens, signal })
+// resolving to { content, usage: { promptTokens, completionTokens } }.
+
+import OpenAI from 'openai';
+import { createMockLlmClient } from './mockLlm.js';
+import { logger } from './logger.js';
+
+/**
+ * OpenAI chat completions with structured outputs. Also serves any OpenAI-compatible
+ * endpoint (Ollama, llama.cpp, vLLM, ...) through baseURL, and the offline mock client.
+ */
+export class OpenAIProvider {
+  constructor({ name = 'openai', model = 'gpt-4o-mini', apiKey, baseURL, client } = {}) {
+    this.name = name;
+    this.model = model;
+    this.client = client || new OpenAI({ apiKey, baseURL, maxRetries: 0 });
+  }
+
+  async complete({ system, user, schemaName, schema, temperature = 0.3, maxTokens = 400, signal }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user },
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: schemaName, strict: true, schema },
+      },
+      temperature,
+      max_tokens: maxTokens,
+    }, { signal });
+
+    const message = completion.choices[0].message;
+    if (message.refusal) {
+      throw new Error(`Model refused: ${message.refusal}`);
+    }
+    return {
+      content: message.content,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+      },
+    };
+  }
+}
+
+const CATEGORY_KEYWORDS = {
+  'music': ['vinyl', 'lp', 'record', 'records', 'cd', 'cassette', 'album', 'ep'],
+  'musical instruments': ['guitar', 'bass', 'amp', 'amplifier', 'synth', 'synthesizer', 'pedal', 'drum', 'drums', 'keyboard'],
+  'footwear': ['trainers', 'sneakers', 'shoes', 'boots'],
+  'cameras': ['camera', 'lens', 'slr', 'dslr'],
+  'video games': ['console', 'playstation', 'ps1', 'ps2', 'xbox', 'nintendo', 'gameboy', 'sega'],
+  'clothing': ['jacket', 'coat', 'shirt', 'jeans', 'hoodie', 'dress', 'jumper'],
+};
+
+const SYNONYMS = {
+  vinyl: 'lp',
+  lp: 'vinyl',
+  trainers: 'sneakers',
+  sneakers: 'trainers',
+  synth: 'synthesizer',
+  synthesizer: 'synth',
+  amp: 'amplifier',
+  amplifier: 'amp',
+  jumper: 'sweater',
+};
+
+const COLOURS = ['black', 'white', 'red', 'blue', 'green', 'yellow', 'pink', 'purple', 'orange', 'brown', 'grey', 'gray', 'silver', 'gold', 'sunburst'];
+
+/**
+ * Deterministic offline enhancer: keyword rules instead of a model, so searches keep
+ * working (and cost nothing) without an API key. Only understands query_understanding.
+ */
+export class RulesProvider {
+  constructor() {
+    this.name = 'rules';
+    this.model = 'rules';
+  }
+
+  understand(query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    const category = Object.keys(CATEGORY_KEYWORDS)
+      .find(name => CATEGORY_KEYWORDS[name].some(keyword => words.includes(keyword))) || null;
+
+    const sizeMatch = query.toLowerCase().match(/\b(?:size|uk|eu|us)\s*(\d+(?:\.\d+)?)\b/);
+    const attributes = [
+      ...(sizeMatch ? [sizeMatch[0]] : []),
+      ...words.filter(w => COLOURS.includes(w) || (/\d/.test(w) && !sizeMatch?.[0].includes(w))),
+    ];
+
+    const swapped = words.map(w => SYNONYMS[w] || w).join(' ');
+
+    return {
+      search_terms: swapped !== words.join(' ') ? [swapped] : [],
+      category,
+      brand: null,
+      model: null,
+      attributes,
+      exclude_keywords: [],
+      price_band: null,
+      marketplace_queries: {},
+    };
+  }
+
+  async complete({ schemaName, user }) {
+    if (schemaName !== 'query_understanding') {
+      throw new Error(`Rules provider cannot answer ${schemaName}`);
+    }
+    return {
+      content: JSON.stringify(this.understand(user)),
+      usage: { promptTokens: 0, completionTokens: 0 },
+    };
+  }
+}
+
+/**
+ * Provider selected by LLM_PROVIDER: openai (default), local, rules or mock.
+ * OpenAI without an API key falls back to the rules provider, with one warning at startup.
+ */
+export function createLlmProvider(type = process.env.LLM_PROVIDER || 'openai') {
+  switch (type) {
+    case 'local':
+      logger.info(`🤖 Using local LLM at ${process.env.LLM_BASE_URL || 'http://localhost:11434/v1'}`);
+      return new OpenAIProvider({
+        name: 'local',
+        model: process.env.LLM_MODEL || 'llama3.1',
+        apiKey: process.env.LLM_API_KEY || 'local',
+        baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+      });
+    case 'rules':
+      return new RulesProvider();
+    case 'mock':
+      return new OpenAIProvider({ name: 'mock', model: 'mock', client: createMockLlmClient() });
+    case 'openai':
+      if (!process.env.OPENAI_API_KEY) {
+        logger.warn('⚠️ OPENAI_API_KEY not set. Using the offline rules enhancer instead.');
+        return new RulesProvider();
+      }
+      return new OpenAIProvider({ model: process.env.LLM_MODEL || 'gpt-4o-mini', apiKey: process.env.OPENAI_API_KEY });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${type}`);
+  }
+}
@@ -1,15 +1,109 @@
 // utils/logger.js
+//
+// One JSON object per line: { time, level, msg, ...request context, ...fields }.
+// Extra arguments are folded in: plain objects become fields, an Error becomes `err`,
+// anything else is appended to the message. LOG_LEVEL sets the minimum level
+// (default info in production, debug elsewhere); LOG_FORMAT=pretty prints plain
+// "[INFO] message" lines for local development. Secrets are redacted before writing.
 
-export const logger = {
-  info: (msg, ...args) => console.log('[INFO]', msg, ...args),
-  warn: (msg, ...args) => console.warn('[WARN]', msg, ...args),
-  error: (msg, ...args) => console.error('[ERROR]', msg, ...args),
-  debug: (msg, ...args) => {
-    if (process.env.NODE_ENV === 'production') return; // optionally disable debug in prod
-    if (console.debug) {
-      console.debug('[DEBUG]', msg, ...args);
-    } else {
-      console.log('[DEBUG]', msg, ...args);
+import { getRequestContext } from './requestContext.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_FIELD = /^(authorization|cookie|password|secret|token|api[-_]?key|access[-_]?token|refresh[-_]?token|client[-_]?secret|x-rapidapi-key|x-api-key|x-admin-token)$/i;
+const SECRET_PARAM = /\b(api_key|apikey|key|token|secret|password)=([^&\s"']+)/gi;
+const SECRET_ENV = /KEY|SECRET|TOKEN|PASSWORD/;
+const REDACTED = '[REDACTED]';
+
+let secretValues;
+
+// Read lazily so values loaded by dotenv after this module are still covered
+function getSecretValues() {
+  if (!secretValues) {
+    secretValues = Object.entries(process.env)
+      .filter(([name, value]) => SECRET_ENV.test(name) && value && value.trim().length >= 8)
+      .map(([, value]) => value.trim());
+  }
+  return secretValues;
+}
+
+function minimumLevel() {
+  const configured = LEVELS[process.env.LOG_LEVEL?.toLowerCase()];
+  if (configured) return configured;
+  return process.env.NODE_ENV === 'production' ? LEVELS.info : LEVELS.debug;
+}
+
+function redactString(text) {
+  let result = text.replace(SECRET_PARAM, `$1=${REDACTED}`);
+  for (const secret of getSecretValues()) {
+    if (result.includes(secret)) result = result.split(secret).join(REDACTED);
+  }
+  return result;
+}
+
+/**
+ * Strip secrets from a log value: fields named like credentials, `key=...` query
+ * parameters and the values of *_KEY/*_SECRET/*_TOKEN/*_PASSWORD env vars.
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object' || depth > 5) return value;
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [
+    k,
+    SECRET_FIELD.test(k) && v != null ? REDACTED : redact(v, depth + 1),
+  ]));
+}
+
+// Only the useful parts of an error; axios errors carry request config with credentials
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.response?.status ? { status: error.response.status } : {}),
+    stack: error.stack,
+  };
+}
+
+function buildEntry(level, msg, args) {
+  const parts = [typeof msg === 'string' ? msg : String(msg)];
+  const fields = {};
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.err = serializeError(arg);
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== undefined) {
+      parts.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
     }
-  },
+  }
+  return redact({
+    time: new Date().toISOString(),
+    level,
+    msg: parts.join(' '),
+    ...getRequestContext(),
+    ...fields,
+  });
+}
+
+function write(level, msg, args) {
+  if (LEVELS[level] < minimumLevel()) return;
+  const entry = buildEntry(level, msg, args);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const { time, level: _level, msg: text, ...rest } = entry;
+    const extra = Object.keys(rest).length ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`[${level.toUpperCase()}] ${text}${extra}\n`);
+  } else {
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+export const logger = {
+  debug: (msg, ...args) => write('debug', msg, args),
+  info: (msg, ...args) => write('info', msg, args),
+  warn: (msg, ...args) => write('warn', msg, args),
+  error: (msg, ...args) => write('error', msg, args),
 };
@@ -0,0 +1,51 @@
+// utils/metrics.js
+//
+// Prometheus metrics served at /metrics. Label values are kept to fixed sets
+// (source names, statuses, route patterns) so series counts stay bounded.
+
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: 'hunta_' });
+
+export const metrics = {
+  httpRequestDuration: new client.Histogram({
+    name: 'hunta_http_request_duration_seconds',
+    help: 'HTTP request duration by method, route and status code',
+    labelNames: ['method', 'route', 'status'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [registry],
+  }),
+  sourceSearchDuration: new client.Histogram({
+    name: 'hunta_source_search_duration_seconds',
+    help: 'Live marketplace search duration by source and status (cache hits excluded)',
+    labelNames: ['source', 'status'],
+    buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+    registers: [registry],
+  }),
+  sourceErrors: new client.Counter({
+    name: 'hunta_source_errors_total',
+    help: 'Failed marketplace searches by source and status (blocked, circuit_open, timeout, error)',
+    labelNames: ['source', 'status'],
+    registers: [registry],
+  }),
+  cacheLookups: new client.Counter({
+    name: 'hunta_result_cache_lookups_total',
+    help: 'Result cache lookups by source and state (hit, stale, miss)',
+    labelNames: ['source', 'state'],
+    registers: [registry],
+  }),
+  rateLimitRejections: new client.Counter({
+    name: 'hunta_rate_limit_rejections_total',
+    help: 'Requests rejected by the daily rate limits, by bucket and tier',
+    labelNames: ['bucket', 'tier'],
+    registers: [registry],
+  }),
+  fetchCredits: new client.Counter({
+    name: 'hunta_fetch_credits_total',
+    help: 'ScrapingBee credits spent, by target host',
+    labelNames: ['host'],
+    registers: [registry],
+  }),
+};
@@ -0,0 +1,51 @@
+// utils/mockLlm.js
+// Offline stand-in for the OpenAI client, used by LLM_PROVIDER=mock or passed to
+// new OpenAIProvider({ client }). Only chat.completions.create is implemented.
+
+import { readFileSync } from 'fs';
+
+// Deterministic reply built from the query alone: tokens with digits become attributes
+function defaultReply(query) {
+  return {
+    search_terms: [query],
+    category: null,
+    brand: null,
+    model: null,
+    attributes: query.split(/\s+/).filter(token => /\d/.test(token)),
+    exclude_keywords: [],
+    price_band: null,
+    marketplace_queries: {},
+  };
+}
+
+function loadFixtures(filePath = process.env.LLM_MOCK_FIXTURES_FILE) {
+  return filePath ? JSON.parse(readFileSync(filePath, 'utf8')) : {};
+}
+
+/**
+ * @param {object} options
+ *   fixtures: { [query]: reply } replies for known queries (defaults to LLM_MOCK_FIXTURES_FILE)
+ *   respond(query, params): custom reply; a string is returned as-is, anything else as JSON
+ */
+export function createMockLlmClient({ fixtures = loadFixtures(), respond } = {}) {
+  const calls = [];
+
+  return {
+    calls,
+    chat: {
+      completions: {
+        async create(params) {
+          calls.push(params);
+          const query = params.messages.filter(m => m.role === 'user').at(-1)?.content ?? '';
+          const reply = respond ? await respond(query, params) : fixtures[query] ?? defaultReply(query);
+          const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+          return {
+            model: 'mock',
+            choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content } }],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+          };
+        },
+      },
+    },
+  };
+}
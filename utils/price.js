@@ -0,0 +1,105 @@
+// utils/price.js
+
+const SYMBOL_CURRENCIES = [
+  // Longer prefixes first so "US $" wins over "$"
+  ['US $', 'USD'],
+  ['AU $', 'AUD'],
+  ['CA $', 'CAD'],
+  ['C $', 'CAD'],
+  // Discogs' compact forms
+  ['CA$', 'CAD'],
+  ['NZ$', 'NZD'],
+  ['MX$', 'MXN'],
+  ['R$', 'BRL'],
+  ['A$', 'AUD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['$', 'USD'],
+];
+
+const CURRENCY_CODES = ['GBP', 'USD', 'EUR', 'AUD', 'CAD', 'JPY', 'CHF', 'SEK', 'PLN', 'NZD', 'MXN', 'BRL', 'ZAR'];
+
+// Digits with "," / "." separators, or a space, no-break or thin space before a group of three ("2 000")
+const NUMBER_REGEX = /\d(?:[\d.,]|[ \u00A0\u2009\u202F](?=\d{3}(?!\d)))*/g;
+
+function detectCurrency(text) {
+  const upper = text.toUpperCase();
+  const code = CURRENCY_CODES.find(c => new RegExp(`\\b${c}\\b`).test(upper));
+  if (code) return code;
+  const symbol = SYMBOL_CURRENCIES.find(([s]) => upper.includes(s));
+  return symbol ? symbol[1] : null;
+}
+
+/**
+ * Parse a localized number such as "1,234.56", "1.234,56", "12,50", "1.234" or "2 000".
+ * With both separators the last one is the decimal point. A lone separator followed by
+ * exactly three digits groups thousands; otherwise it is the decimal point.
+ */
+export function parseAmount(str) {
+  if (!str) return null;
+  let s = str.replace(/\s/g, '');
+  const lastComma = s.lastIndexOf(',');
+  const lastDot = s.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    s = lastComma > lastDot
+      ? s.replace(/\./g, '').replace(',', '.')
+      : s.replace(/,/g, '');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const groups = s.split(separator);
+    s = groups.length > 2 || groups.at(-1).length === 3
+      ? groups.join('')
+      : groups.join('.');
+  }
+
+  const amount = Number.parseFloat(s);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Parse a scraped price string into { amount, currency, original }.
+ * Ranges such as "£1,234.56 to £2,000" use the lower bound and add maxAmount.
+ * @param {string|number} raw
+ * @param {string} defaultCurrency Currency to assume when the string carries none.
+ */
+export function parsePrice(raw, defaultCurrency = null) {
+  if (raw == null || raw === '') return null;
+  const original = String(raw).trim();
+  const numbers = (original.match(NUMBER_REGEX) || [])
+    .map(n => n.replace(/[.,]+$/, ''))
+    .map(parseAmount)
+    .filter(n => n != null);
+
+  if (numbers.length === 0) return null;
+
+  const price = {
+    amount: numbers[0],
+    currency: detectCurrency(original) || defaultCurrency,
+    original,
+  };
+
+  if (numbers.length > 1 && /\sto\s|[-–]/i.test(original)) {
+    price.maxAmount = Math.max(...numbers);
+  }
+
+  return price;
+}
+
+/**
+ * Build a price from an already-structured amount and currency (e.g. API responses).
+ */
+export function toPrice(value, currency) {
+  const amount = typeof value === 'number' ? value : parseAmount(String(value ?? ''));
+  if (amount == null) return null;
+  return { amount, currency: currency || null, original: `${currency || ''} ${value}`.trim() };
+}
+
+export function formatPrice(amount, currency) {
+  if (amount == null || !currency) return null;
+  try {
+    return new Intl.NumberFormat('en-GB', { style: 'currency', currency }).format(amount);
+  } catch {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
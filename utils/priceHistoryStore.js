@@ -0,0 +1,78 @@
+// utils/priceHistoryStore.js
+//
+// Append-only price observations, one JSON Lines file per UTC day under
+// DATA_DIR/price-history. Unlike JsonFileStore nothing is rewritten: a busy day adds
+// thousands of rows, and old days are dropped by deleting their file.
+
+import { appendFile, mkdir, readdir, readFile, unlink } from 'fs/promises';
+import path from 'path';
+import { DATA_DIR } from './jsonFileStore.js';
+import { logger } from './logger.js';
+
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+export class FilePriceHistoryStore {
+  constructor(dir = path.join(DATA_DIR, 'price-history')) {
+    this.dir = dir;
+    this.writeChain = Promise.resolve();
+  }
+
+  async listDays() {
+    try {
+      return (await readdir(this.dir))
+        .map(name => name.match(FILE_PATTERN)?.[1])
+        .filter(Boolean)
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Every observation from `sinceDate` (YYYY-MM-DD) onwards, oldest first.
+   * Unreadable lines are skipped.
+   */
+  async load(sinceDate) {
+    const observations = [];
+    for (const day of (await this.listDays()).filter(d => d >= sinceDate)) {
+      const lines = (await readFile(path.join(this.dir, `${day}.jsonl`), 'utf8')).split('\n');
+      let skipped = 0;
+      lines.filter(Boolean).forEach(line => {
+        try {
+          observations.push(JSON.parse(line));
+        } catch {
+          skipped++;
+        }
+      });
+      if (skipped) logger.warn(`⚠️ Skipped ${skipped} unreadable price history lines in ${day}.jsonl`);
+    }
+    return observations;
+  }
+
+  // Appends are serialized so lines from concurrent searches never interleave
+  async append(observations) {
+    if (observations.length === 0) return;
+    const byDay = new Map();
+    observations.forEach(o => {
+      const day = o.seenAt.split('T')[0];
+      byDay.set(day, (byDay.get(day) || '') + `${JSON.stringify(o)}\n`);
+    });
+
+    const write = this.writeChain.then(async () => {
+      await mkdir(this.dir, { recursive: true });
+      for (const [day, lines] of byDay) {
+        await appendFile(path.join(this.dir, `${day}.jsonl`), lines);
+      }
+    });
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  // Delete whole days older than `beforeDate`
+  async prune(beforeDate) {
+    const old = (await this.listDays()).filter(d => d < beforeDate);
+    await Promise.all(old.map(day => unlink(path.join(this.dir, `${day}.jsonl`))));
+    return old.length;
+  }
+}
@@ -0,0 +1,123 @@
+// utils/queryUnderstanding.js
+
+const MAX_TERMS = 5;
+const MAX_LIST_ITEMS = 10;
+const MAX_TEXT_LENGTH = 120;
+
+/**
+ * JSON schema the LLM must fill in (OpenAI structured outputs, strict mode).
+ * marketplace_queries gets one nullable property per marketplace name.
+ */
+export function buildQueryUnderstandingSchema(marketplaces) {
+  const nullableString = { type: ['string', 'null'] };
+  const stringList = { type: 'array', items: { type: 'string' } };
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: ['search_terms', 'category', 'brand', 'model', 'attributes', 'exclude_keywords', 'price_band', 'marketplace_queries'],
+    properties: {
+      search_terms: stringList,
+      category: nullableString,
+      brand: nullableString,
+      model: nullableString,
+      attributes: stringList,
+      exclude_keywords: stringList,
+      price_band: {
+        anyOf: [
+          { type: 'null' },
+          {
+            type: 'object',
+            additionalProperties: false,
+            required: ['min', 'max', 'currency'],
+            properties: {
+              min: { type: 'number' },
+              max: { type: 'number' },
+              currency: { type: 'string' },
+            },
+          },
+        ],
+      },
+      marketplace_queries: {
+        type: 'object',
+        additionalProperties: false,
+        required: marketplaces,
+        properties: Object.fromEntries(marketplaces.map(name => [name, nullableString])),
+      },
+    },
+  };
+}
+
+/**
+ * Parse a model reply as JSON, tolerating a surrounding markdown code fence.
+ * @returns {any|null} null when the reply is not JSON
+ */
+export function parseModelJson(text) {
+  if (typeof text !== 'string') return null;
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    return null;
+  }
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().replace(/\s+/g, ' ').slice(0, MAX_TEXT_LENGTH);
+  return text || null;
+}
+
+function cleanList(value, max = MAX_LIST_ITEMS) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.map(cleanText).filter(Boolean))].slice(0, max);
+}
+
+/**
+ * Validate a parsed model reply against the schema and normalize it. Unknown fields
+ * are dropped and bad values are nulled out rather than failing the whole reply.
+ * @returns {object|null} null when the reply is not an object with a search_terms array
+ */
+export function normalizeQueryUnderstanding(raw, marketplaces = []) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.search_terms)) return null;
+
+  let priceBand = null;
+  const band = raw.price_band;
+  if (band && Number.isFinite(band.min) && Number.isFinite(band.max) && band.min >= 0 && band.min <= band.max
+    && typeof band.currency === 'string' && /^[A-Z]{3}$/i.test(band.currency)) {
+    priceBand = { min: band.min, max: band.max, currency: band.currency.toUpperCase() };
+  }
+
+  const marketplaceQueries = {};
+  marketplaces.forEach(name => {
+    const query = cleanText(raw.marketplace_queries?.[name]);
+    if (query) marketplaceQueries[name] = query;
+  });
+
+  return {
+    search_terms: cleanList(raw.search_terms, MAX_TERMS),
+    category: cleanText(raw.category),
+    brand: cleanText(raw.brand),
+    model: cleanText(raw.model),
+    attributes: cleanList(raw.attributes),
+    exclude_keywords: cleanList(raw.exclude_keywords).map(k => k.toLowerCase()),
+    price_band: priceBand,
+    marketplace_queries: marketplaceQueries,
+  };
+}
+
+/**
+ * Understanding with nothing but the original query, used when the LLM is unavailable.
+ */
+export function emptyQueryUnderstanding() {
+  return {
+    search_terms: [],
+    category: null,
+    brand: null,
+    model: null,
+    attributes: [],
+    exclude_keywords: [],
+    price_band: null,
+    marketplace_queries: {},
+  };
+}
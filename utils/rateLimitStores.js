@@ -0,0 +1,82 @@
+// utils/rateLimitStores.js
+//
+// Counter stores for the rate limiter. Every store implements async get(key) and
+// async consume(counters, expiresAt): counters is [{ key, limit }] and expiresAt a ms
+// timestamp. consume counts one request against every counter only if each is still
+// under its limit, atomically, and resolves to { allowed, counts } with the counts
+// after the request (or as they stand when it was rejected).
+
+import Redis from 'ioredis';
+import { JsonFileStore } from './jsonFileStore.js';
+import { logger } from './logger.js';
+
+export class FileRateLimitStore {
+  constructor(store = new JsonFileStore('rate-limits.json', { counters: {} })) {
+    this.store = store;
+  }
+
+  async get(key) {
+    const { counters } = await this.store.load();
+    const entry = counters[key];
+    return entry && entry.expiresAt > Date.now() ? entry.count : 0;
+  }
+
+  async consume(counters, expiresAt) {
+    // Checking and counting in one update, so concurrent requests can't both take the last slot
+    return this.store.update(({ counters: stored }) => {
+      const now = Date.now();
+      for (const [k, entry] of Object.entries(stored)) {
+        if (entry.expiresAt <= now) delete stored[k];
+      }
+      const counts = counters.map(({ key }) => stored[key]?.count ?? 0);
+      if (counters.some(({ limit }, i) => counts[i] >= limit)) {
+        return { allowed: false, counts };
+      }
+      counters.forEach(({ key }) => {
+        stored[key] ||= { count: 0, expiresAt };
+        stored[key].count += 1;
+      });
+      return { allowed: true, counts: counts.map(count => count + 1) };
+    });
+  }
+}
+
+export class RedisRateLimitStore {
+  constructor({ url = process.env.REDIS_URL || 'redis://127.0.0.1:6379', keyPrefix = 'hunta:ratelimit:', client } = {}) {
+    this.client = client || new Redis(url, { keyPrefix, lazyConnect: true, maxRetriesPerRequest: 1 });
+    this.client.on('error', error => logger.warn(`⚠️ Redis rate limit store error: ${error.message}`));
+  }
+
+  async get(key) {
+    return Number(await this.client.get(key)) || 0;
+  }
+
+  async consume(counters, expiresAt) {
+    // INCR first and judge by the results: a GET-then-INCR would let concurrent requests
+    // (or other app instances) all pass the check before any of them counted
+    const transaction = this.client.multi();
+    counters.forEach(({ key }) => transaction.incr(key).pexpireat(key, expiresAt));
+    const replies = await transaction.exec();
+    const failed = replies.find(([error]) => error);
+    if (failed) throw failed[0];
+    const counts = counters.map((_, i) => replies[i * 2][1]);
+
+    if (counters.every(({ limit }, i) => counts[i] <= limit)) {
+      return { allowed: true, counts };
+    }
+
+    // Over a limit: take the request back off every counter so rejected requests aren't counted
+    const rollback = this.client.multi();
+    counters.forEach(({ key }) => rollback.decr(key));
+    await rollback.exec();
+    return { allowed: false, counts: counts.map(count => count - 1) };
+  }
+}
+
+export function createRateLimitStore(type = process.env.RATE_LIMIT_BACKEND || 'file') {
+  if (type === 'redis') {
+    logger.info('🗄️ Using Redis rate limit store');
+    return new RedisRateLimitStore();
+  }
+  return new FileRateLimitStore();
+}
@@ -0,0 +1,95 @@
+// utils/regions.js
+//
+// Region profiles (config/regions.json): per region, the default currency, the
+// Accept-Language sent to marketplaces, the Google domain for niche search, and the
+// region-specific settings of each marketplace that only serves some regions
+// (eBay site and marketplace ID, Vinted domain, Depop country, Gumtree).
+// A marketplace missing from a profile is not searched in that region.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_REGIONS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/regions.json');
+
+export const DEFAULT_REGION = 'UK';
+
+const PROFILES = Object.fromEntries(
+  Object.entries(JSON.parse(readFileSync(process.env.REGIONS_FILE || DEFAULT_REGIONS_FILE, 'utf8')))
+    .map(([code, profile]) => [code, { code, ...profile }])
+);
+
+export function regionCodes() {
+  return Object.keys(PROFILES);
+}
+
+/**
+ * Profile for a location code or alias ("UK", "gb", "US", ...), or null if unknown.
+ */
+export function resolveRegion(location = DEFAULT_REGION) {
+  const wanted = String(location).trim().toUpperCase();
+  return Object.values(PROFILES).find(p => p.code === wanted || p.aliases?.includes(wanted)) || null;
+}
+
+/**
+ * Codes of the regions whose profile configures `marketplace`, for adapter `regions`.
+ */
+export function regionsWith(marketplace) {
+  return Object.values(PROFILES).filter(p => p.marketplaces?.[marketplace]).map(p => p.code);
+}
+
+/**
+ * Every host a marketplace is configured on across the profiles (e.g. all eBay sites).
+ */
+export function marketplaceDomains(marketplace) {
+  return [...new Set(Object.values(PROFILES).map(p => p.marketplaces?.[marketplace]?.domain).filter(Boolean))];
+}
+
+/**
+ * Marketplaces in the region that search around a postcode (e.g. Gumtree in the UK).
+ */
+export function localPickupMarketplaces(region) {
+  return Object.entries(region.marketplaces || {}).filter(([, settings]) => settings.localPickup).map(([name]) => name);
+}
+
+export function normalizePostcode(postcode) {
+  return postcode.trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+export function isValidPostcode(region, postcode) {
+  return !region.postcodePattern || new RegExp(region.postcodePattern).test(normalizePostcode(postcode));
+}
+
+/**
+ * Check a request's location, and its postcode if any, against the region profiles.
+ * @returns {{ region: object } | { error: string }}
+ */
+export function validateRegion(location = DEFAULT_REGION, { postcode } = {}) {
+  const region = typeof location === 'string' ? resolveRegion(location) : null;
+  if (!region) {
+    return { error: `Unknown location: ${location} (available: ${regionCodes().join(', ')})` };
+  }
+  if (postcode) {
+    if (!localPickupMarketplaces(region).length) {
+      return { error: `postcode is not supported in ${region.code}: no local-pickup marketplaces` };
+    }
+    if (!isValidPostcode(region, postcode)) {
+      return { error: `postcode is not a valid ${region.name} postcode` };
+    }
+  }
+  return { region };
+}
+
+/**
+ * The region a search ran with, as reported in responses.
+ */
+export function describeRegion(region, { postcode, radiusKm } = {}) {
+  return {
+    code: region.code,
+    name: region.name,
+    currency: region.currency,
+    language: region.acceptLanguage.split(',')[0],
+    postcode: postcode ?? null,
+    radiusKm: radiusKm ?? null,
+  };
+}
@@ -0,0 +1,26 @@
+// utils/requestContext.js
+//
+// Per-request fields (requestId, and source/term inside a marketplace search) that follow
+// async work without being passed around, so every log line can say which request it is for.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+export function getRequestContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Run fn with extra context fields, layered over the current context.
+ */
+export function runWithContext(fields, fn) {
+  return storage.run({ ...getRequestContext(), ...fields }, fn);
+}
+
+/**
+ * Run fn outside any request context, e.g. to start background work from inside a request.
+ */
+export function runWithoutContext(fn) {
+  return storage.exit(fn);
+}
@@ -0,0 +1,168 @@
+// utils/searchFilters.js
+
+export const SORT_OPTIONS = ['relevance', 'price_asc', 'price_desc', 'newest'];
+export const CONDITIONS = ['new', 'used'];
+export const LISTING_TYPES = ['auction', 'buy_it_now'];
+// Bounds for a caller-chosen search deadline
+export const MIN_TIMEOUT_MS = 1000;
+export const MAX_TIMEOUT_MS = 60000;
+export const MAX_RADIUS_KM = 500;
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+}
+
+function parseOptionalPrice(value, field) {
+  if (value === undefined || value === null || value === '') return { value: undefined };
+  const num = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(num) || num < 0) {
+    return { error: `${field} must be a non-negative number` };
+  }
+  return { value: num };
+}
+
+/**
+ * Validate the filter/sort fields of a search request body.
+ * @param {object} body Request body using snake_case keys.
+ * @param {string[]} knownSources Registered marketplace names.
+ * @returns {{ filters: object } | { error: string }}
+ */
+export function parseSearchFilters(body = {}, knownSources = []) {
+  const {
+    min_price,
+    max_price,
+    condition,
+    listing_type,
+    item_location,
+    sources,
+    exclude_sources,
+    exclude_keywords,
+    sort = 'relevance',
+    min_score,
+    explain,
+    timeout_ms,
+    postcode,
+    radius_km,
+  } = body;
+
+  const min = parseOptionalPrice(min_price, 'min_price');
+  if (min.error) return { error: min.error };
+  const max = parseOptionalPrice(max_price, 'max_price');
+  if (max.error) return { error: max.error };
+  if (min.value !== undefined && max.value !== undefined && min.value > max.value) {
+    return { error: 'min_price cannot be greater than max_price' };
+  }
+
+  if (condition !== undefined && !CONDITIONS.includes(condition)) {
+    return { error: `condition must be one of: ${CONDITIONS.join(', ')}` };
+  }
+
+  if (listing_type !== undefined && !LISTING_TYPES.includes(listing_type)) {
+    return { error: `listing_type must be one of: ${LISTING_TYPES.join(', ')}` };
+  }
+
+  // Two-letter country code, as in the region profiles (GB, US, DE, ...)
+  if (item_location !== undefined && (typeof item_location !== 'string' || !/^[A-Za-z]{2}$/.test(item_location))) {
+    return { error: 'item_location must be a two-letter country code' };
+  }
+
+  if (!SORT_OPTIONS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_OPTIONS.join(', ')}` };
+  }
+
+  for (const [field, value] of [['sources', sources], ['exclude_sources', exclude_sources]]) {
+    if (value === undefined) continue;
+    if (!isStringArray(value)) {
+      return { error: `${field} must be an array of marketplace names` };
+    }
+    const unknown = value.filter(s => !knownSources.includes(s));
+    if (unknown.length > 0) {
+      return { error: `Unknown ${field}: ${unknown.join(', ')} (available: ${knownSources.join(', ')})` };
+    }
+  }
+
+  if (exclude_keywords !== undefined && !isStringArray(exclude_keywords)) {
+    return { error: 'exclude_keywords must be an array of non-empty strings' };
+  }
+
+  let minScore;
+  if (min_score !== undefined && min_score !== null && min_score !== '') {
+    minScore = Number(min_score);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+      return { error: 'min_score must be a number between 0 and 1' };
+    }
+  }
+
+  if (explain !== undefined && ![true, false, 'true', 'false'].includes(explain)) {
+    return { error: 'explain must be a boolean' };
+  }
+
+  let timeoutMs;
+  if (timeout_ms !== undefined && timeout_ms !== null && timeout_ms !== '') {
+    timeoutMs = Number(timeout_ms);
+    if (!Number.isInteger(timeoutMs) || timeoutMs < MIN_TIMEOUT_MS || timeoutMs > MAX_TIMEOUT_MS) {
+      return { error: `timeout_ms must be an integer between ${MIN_TIMEOUT_MS} and ${MAX_TIMEOUT_MS}` };
+    }
+  }
+
+  // The postcode's format is checked against the region profile by the caller
+  if (postcode !== undefined && postcode !== null && postcode !== '') {
+    if (typeof postcode !== 'string' || !/^[A-Za-z0-9 -]{2,10}$/.test(postcode.trim())) {
+      return { error: 'postcode must be 2-10 letters, digits, spaces or hyphens' };
+    }
+  }
+
+  let radiusKm;
+  if (radius_km !== undefined && radius_km !== null && radius_km !== '') {
+    radiusKm = Number(radius_km);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius_km must be a number between 0 and ${MAX_RADIUS_KM}` };
+    }
+    if (!postcode) {
+      return { error: 'radius_km needs a postcode' };
+    }
+  }
+
+  return {
+    filters: {
+      minPrice: min.value,
+      maxPrice: max.value,
+      condition,
+      listingType: listing_type,
+      itemLocation: item_location?.toUpperCase(),
+      sources,
+      excludeSources: exclude_sources,
+      excludeKeywords: exclude_keywords?.map(k => k.trim().toLowerCase()),
+      sort,
+      minScore,
+      explain: explain === true || explain === 'true',
+      timeoutMs,
+      postcode: postcode ? postcode.trim().toUpperCase().replace(/\s+/g, ' ') : undefined,
+      radiusKm,
+    },
+  };
+}
+
+const ARRAY_FIELDS = ['sources', 'exclude_sources', 'exclude_keywords'];
+
+/**
+ * Turn query-string input (GET requests, e.g. EventSource) into the same shape as a
+ * JSON body: comma-separated or repeated params become arrays.
+ */
+export function fromQueryString(query = {}) {
+  const body = { ...query };
+  for (const field of ARRAY_FIELDS) {
+    if (typeof body[field] === 'string') {
+      body[field] = body[field].split(',').map(v => v.trim()).filter(Boolean);
+    }
+  }
+  return body;
+}
+
+/**
+ * Map a free-text listing condition ("New other", "Pre-owned", ...) to new/used.
+ */
+export function normalizeCondition(condition) {
+  if (!condition) return null;
+  return /^\s*(brand\s+)?new\b/i.test(condition) ? 'new' : 'used';
+}
@@ -0,0 +1,127 @@
+// utils/selectorExtractor.js
+//
+// Declarative, versioned selector sets for scraped pages (config/selectors/*.json).
+// A selector set lists the page layouts a marketplace has served, newest first. Each
+// layout has a `detect` selector, an `item` selector and per-field specs: either a CSS
+// selector string, or { selector, attr, remove, all, contains } where `attr` may list
+// fallbacks, `remove` strips child elements (badges like "New listing") before reading text,
+// `all` collects every match (e.g. gallery images) instead of the first and `contains` keeps
+// only elements whose text includes one of the listed phrases (case-insensitive), for rows
+// told apart only by their wording; list the phrase for every site language the set serves.
+// A single-item page such as a listing uses "body" as its `item` selector.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+
+const SELECTORS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/selectors');
+
+export function loadSelectorSet(marketplace) {
+  return JSON.parse(readFileSync(path.join(SELECTORS_DIR, `${marketplace}.json`), 'utf8'));
+}
+
+/**
+ * A parse problem worth knowing about without dumping the page into the logs.
+ */
+export function parseWarning(code, details) {
+  return { code, ...details };
+}
+
+function readField($, $item, spec) {
+  const { selector, attr, remove, all, contains } = typeof spec === 'string' ? { selector: spec } : spec;
+  let $matches = $item.find(selector);
+  if (contains) {
+    const phrases = contains.map(phrase => phrase.toLowerCase());
+    $matches = $matches.filter((_, el) => {
+      const text = $(el).text().toLowerCase();
+      return phrases.some(phrase => text.includes(phrase));
+    });
+  }
+  if (all) {
+    return [...new Set($matches.toArray().map(el => readValue($(el), attr, remove)).filter(Boolean))];
+  }
+  const $el = $matches.first();
+  if ($el.length === 0) return null;
+  return readValue($el, attr, remove);
+}
+
+function readValue($el, attr, remove) {
+  if (attr) {
+    for (const name of [].concat(attr)) {
+      const value = $el.attr(name)?.trim();
+      if (value) return value;
+    }
+    return null;
+  }
+
+  const $copy = remove ? $el.clone() : $el;
+  if (remove) $copy.find(remove).remove();
+  const text = $copy.text().replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+/**
+ * Parse a result page with the first layout whose `detect` selector matches.
+ * @param {string} html
+ * @param {object} selectorSet { marketplace, layouts: [...] }
+ * @param {string[]} requiredFields items missing any of these are skipped
+ * @returns {{ layout: string|null, items: object[], warnings: object[] }} items hold raw field text
+ */
+export function extractWithSelectors(html, selectorSet, requiredFields = []) {
+  const $ = cheerio.load(html);
+  const { marketplace } = selectorSet;
+  const layout = selectorSet.layouts.find(l => $(l.detect).length > 0);
+
+  if (!layout) {
+    return {
+      layout: null,
+      items: [],
+      warnings: [parseWarning('unknown_layout', {
+        marketplace,
+        pageTitle: $('title').first().text().trim().slice(0, 120) || null,
+        htmlLength: html.length,
+        triedLayouts: selectorSet.layouts.map(l => l.version),
+      })],
+    };
+  }
+
+  const items = [];
+  const missing = {};
+  let placeholders = 0;
+  const $items = $(layout.item);
+
+  $items.each((_, el) => {
+    const $item = $(el);
+    const item = Object.fromEntries(
+      Object.entries(layout.fields).map(([field, spec]) => [field, readField($, $item, spec)])
+    );
+
+    if (layout.skipTitles?.includes(item.title)) {
+      placeholders++;
+      return;
+    }
+    const absent = requiredFields.filter(field => !item[field]);
+    if (absent.length) {
+      absent.forEach(field => { missing[field] = (missing[field] || 0) + 1; });
+      return;
+    }
+    items.push(item);
+  });
+
+  const warnings = [];
+  if ($items.length === 0) {
+    warnings.push(parseWarning('no_items', { marketplace, layout: layout.version, itemSelector: layout.item }));
+  }
+  if (Object.keys(missing).length) {
+    warnings.push(parseWarning('missing_fields', {
+      marketplace,
+      layout: layout.version,
+      missing,
+      parsed: items.length,
+      total: $items.length - placeholders,
+    }));
+  }
+
+  return { layout: layout.version, items, warnings };
+}
@@ -0,0 +1,163 @@
+// utils/structuredData.js
+//
+// Product data embedded in shop pages: JSON-LD, OpenGraph/product meta tags and
+// schema.org microdata. Every extractor returns the same partial shape,
+// { title, price, currency, image, availability, condition }, with null for anything missing.
+
+function decodeEntities(str) {
+  if (str == null) return null;
+  const text = String(str)
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .replace(/&pound;|&#163;/g, '£')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text || null;
+}
+
+/**
+ * schema.org availability ("https://schema.org/InStock", "instock", "out of stock", ...)
+ * as 'in_stock', 'out_of_stock', 'preorder' or null.
+ */
+export function normalizeAvailability(value) {
+  if (!value) return null;
+  const v = String(value).toLowerCase().replace(/^https?:\/\/schema\.org\//, '').replace(/[\s_-]/g, '');
+  if (/^(instock|limitedavailability|onlineonly|instoreonly|available)$/.test(v)) return 'in_stock';
+  if (/^(outofstock|soldout|discontinued|unavailable)$/.test(v)) return 'out_of_stock';
+  if (/^(preorder|presale|backorder)$/.test(v)) return 'preorder';
+  return null;
+}
+
+/**
+ * schema.org itemCondition ("https://schema.org/UsedCondition", "refurbished", ...)
+ * as 'new', 'used', 'refurbished' or null.
+ */
+export function normalizeItemCondition(value) {
+  if (!value) return null;
+  const v = String(value).toLowerCase().replace(/^https?:\/\/schema\.org\//, '');
+  if (/refurbished/.test(v)) return 'refurbished';
+  if (/damaged|used|pre-?owned|second/.test(v)) return 'used';
+  if (/new/.test(v)) return 'new';
+  return null;
+}
+
+function firstOf(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function hasType(node, type) {
+  const types = [].concat(node?.['@type'] || []);
+  return types.some(t => String(t).replace(/^https?:\/\/schema\.org\//, '') === type);
+}
+
+// Depth-first walk over JSON-LD, including @graph containers and nested arrays
+function findNodes(node, type, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(n => findNodes(n, type, found));
+  } else if (node && typeof node === 'object') {
+    if (hasType(node, type)) found.push(node);
+    Object.values(node).forEach(value => {
+      if (value && typeof value === 'object') findNodes(value, type, found);
+    });
+  }
+  return found;
+}
+
+function imageUrl(image) {
+  const first = firstOf(image);
+  if (!first) return null;
+  return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+}
+
+export function extractJsonLd(html) {
+  const blocks = [...html.matchAll(/<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)];
+  const products = [];
+  for (const [, body] of blocks) {
+    try {
+      findNodes(JSON.parse(body.trim()), 'Product', products);
+    } catch {
+      // Broken JSON-LD is common; other blocks or extractors may still work
+    }
+  }
+
+  const product = products[0];
+  if (!product) return null;
+
+  const offers = [].concat(product.offers || []);
+  const offer = offers.find(o => hasType(o, 'Offer')) || offers[0] || {};
+  const price = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price ?? null;
+
+  return {
+    title: decodeEntities(product.name),
+    price: price != null ? String(price) : null,
+    currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+    image: imageUrl(product.image),
+    availability: normalizeAvailability(offer.availability),
+    condition: normalizeItemCondition(offer.itemCondition || product.itemCondition),
+  };
+}
+
+function metaContent(html, name) {
+  const escaped = name.replace(/[.:]/g, '\\$&');
+  const match = html.match(new RegExp(`<meta[^>]+(?:property|name)=["']${escaped}["'][^>]*>`, 'i'));
+  return match ? decodeEntities(match[0].match(/content=["']([^"']*)["']/i)?.[1]) : null;
+}
+
+export function extractOpenGraph(html) {
+  const result = {
+    title: metaContent(html, 'og:title'),
+    price: metaContent(html, 'product:price:amount') || metaContent(html, 'og:price:amount'),
+    currency: metaContent(html, 'product:price:currency') || metaContent(html, 'og:price:currency'),
+    image: metaContent(html, 'og:image'),
+    availability: normalizeAvailability(metaContent(html, 'product:availability') || metaContent(html, 'og:availability')),
+    condition: normalizeItemCondition(metaContent(html, 'product:condition')),
+  };
+  return Object.values(result).some(v => v != null) ? result : null;
+}
+
+// itemprop values come from content/href/src attributes, or the element's text
+function itemprop(html, name) {
+  const match = html.match(new RegExp(`<(\\w+)[^>]*\\sitemprop=["']${name}["'][^>]*>`, 'i'));
+  if (!match) return null;
+  const attribute = match[0].match(/\s(?:content|href|src)=["']([^"']*)["']/i);
+  if (attribute) return decodeEntities(attribute[1]);
+  const rest = html.slice(match.index + match[0].length);
+  const text = rest.match(new RegExp(`^([\\s\\S]*?)</${match[1]}>`, 'i'));
+  return text ? decodeEntities(text[1]) : null;
+}
+
+export function extractMicrodata(html) {
+  if (!/itemtype=["']https?:\/\/schema\.org\/Product["']/i.test(html)) return null;
+  return {
+    title: itemprop(html, 'name'),
+    price: itemprop(html, 'price') || itemprop(html, 'lowPrice'),
+    currency: itemprop(html, 'priceCurrency'),
+    image: itemprop(html, 'image'),
+    availability: normalizeAvailability(itemprop(html, 'availability')),
+    condition: normalizeItemCondition(itemprop(html, 'itemCondition')),
+  };
+}
+
+/**
+ * Merge extractor results field by field; earlier sources win.
+ */
+export function mergeExtracted(...results) {
+  const fields = ['title', 'price', 'currency', 'image', 'availability', 'condition'];
+  const merged = Object.fromEntries(fields.map(f => [f, null]));
+  const sources = {};
+  results.forEach(({ name, data } = {}) => {
+    if (!data) return;
+    fields.forEach(field => {
+      if (merged[field] == null && data[field] != null) {
+        merged[field] = data[field];
+        sources[field] = name;
+      }
+    });
+  });
+  return { ...merged, extractedFrom: sources };
+}
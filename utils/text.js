@@ -0,0 +1,27 @@
+// utils/text.js
+//
+// Text helpers shared by ranking, listing clusters, price history and search filters.
+
+/**
+ * Lower-case ASCII word tokens: accents are stripped and anything that isn't a letter
+ * or digit splits words.
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Whether `phrase` appears in `text` as whole words, in order ("hard case" matches
+ * "Strat, hard case included" but "case" does not match "showcase").
+ */
+export function containsWords(text, phrase) {
+  const words = tokenize(phrase);
+  if (words.length === 0) return false;
+  const tokens = tokenize(text);
+  return tokens.some((_, i) => words.every((word, j) => tokens[i + j] === word));
+}
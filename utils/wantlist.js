@@ -0,0 +1,52 @@
+// utils/wantlist.js
+//
+// Turn an uploaded wantlist into batch search items: { term, minPrice, maxPrice }.
+// Accepts a Discogs wantlist export (Catalog#, Artist, Title, ..., release_id), a CSV
+// with a header naming the term column (search_term, term, query, item or title, plus
+// optional artist, min_price and max_price), or a plain one-term-per-line list.
+
+import { parseCsv } from './csv.js';
+
+const TERM_COLUMNS = ['search_term', 'term', 'query', 'item', 'title', 'name'];
+
+// Discogs tells same-named artists apart with "(2)" and marks name variations with "*"
+function cleanDiscogsArtist(artist) {
+  return artist.replace(/\*$/, '').replace(/\s*\(\d+\)$/, '').trim();
+}
+
+function parsePriceCell(value) {
+  if (!value) return undefined;
+  const amount = Number(value.replace(/[^\d.]/g, ''));
+  return Number.isFinite(amount) && amount > 0 ? amount : undefined;
+}
+
+/**
+ * @returns {{ format: 'discogs'|'csv'|'list', items: Array<{ term: string, minPrice?: number, maxPrice?: number }> }}
+ */
+export function parseWantlist(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { format: 'list', items: [] };
+
+  const header = rows[0].map(cell => cell.toLowerCase().replace(/\s+/g, '_'));
+  const column = name => header.indexOf(name);
+
+  if (column('release_id') !== -1 && column('artist') !== -1 && column('title') !== -1) {
+    const items = rows.slice(1).map(row => ({
+      term: [cleanDiscogsArtist(row[column('artist')] || ''), row[column('title')] || ''].filter(Boolean).join(' '),
+    }));
+    return { format: 'discogs', items: items.filter(item => item.term) };
+  }
+
+  const termColumn = TERM_COLUMNS.map(column).find(index => index !== -1);
+  if (termColumn !== undefined) {
+    const artistColumn = column('artist');
+    const items = rows.slice(1).map(row => ({
+      term: [artistColumn !== -1 ? row[artistColumn] : '', row[termColumn] || ''].filter(Boolean).join(' '),
+      minPrice: parsePriceCell(row[column('min_price')]),
+      maxPrice: parsePriceCell(row[column('max_price')]),
+    }));
+    return { format: 'csv', items: items.filter(item => item.term) };
+  }
+
+  return { format: 'list', items: rows.map(row => ({ term: row[0] })).filter(item => item.term) };
+}